@@ -0,0 +1,54 @@
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './App';
+
+// Render smoke test: the whole controller mounts and answers the playing keys
+// without Web Audio or Web MIDI (jsdom has neither).
+let container;
+let root;
+
+beforeEach(() => {
+  // The missing Web Audio, Web MIDI and IndexedDB are each reported once
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  container = document.createElement('div');
+  document.body.appendChild(container);
+  root = createRoot(container);
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+  window.localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+const press = (code, key) => act(() => {
+  window.dispatchEvent(new KeyboardEvent('keydown', { code, key, bubbles: true }));
+});
+const release = (code, key) => act(() => {
+  window.dispatchEvent(new KeyboardEvent('keyup', { code, key, bubbles: true }));
+});
+
+// Mount and let the sample-set restore (an IndexedDB promise) settle
+const show = () => root.render(<App />);
+const mount = () => act(async () => { show(); });
+
+test('renders the controller', async () => {
+  await mount();
+  expect(container.querySelector('.synth-container')).not.toBeNull();
+  expect(container.querySelectorAll('.key-btn').length).toBeGreaterThan(0);
+});
+
+test('plays keys and octave modifiers without errors', async () => {
+  await mount();
+  press('KeyJ', 'j');
+  release('KeyJ', 'j');
+  press('ShiftRight', 'Shift');
+  press('KeyK', 'K');
+  release('KeyK', 'K');
+  release('ShiftRight', 'Shift');
+  press('Space', ' ');
+  release('Space', ' ');
+  expect(container.querySelectorAll('.history-note').length).toBeGreaterThan(1);
+});
@@ -1,33 +1,45 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { useSynth } from './SynthEngine';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useSynth, DEFAULT_SYNTH_SETTINGS } from './SynthEngine';
+import { SYNTH_CONTROLS, controlValue } from './synthControls';
 import Keyboard from './components/Keyboard';
 import Controls from './components/Controls';
 import Staff from './components/Staff';
-import flatScales, { scaleGroups } from './scales';
+import PresetManager from './components/PresetManager';
+import ProfileTransfer from './components/ProfileTransfer';
+import MidiFilePlayer from './components/MidiFilePlayer';
+import Looper from './components/Looper';
+import ClockPanel from './components/ClockPanel';
+import OutputRouting from './components/OutputRouting';
+import SamplerPanel from './components/SamplerPanel';
+import Arpeggiator from './components/Arpeggiator';
+import StepSequencer from './components/StepSequencer';
+import TuningPanel from './components/TuningPanel';
+import ScaleEditor from './components/ScaleEditor';
+import ScaleDetector from './components/ScaleDetector';
+import Harmonizer from './components/Harmonizer';
+import KeyLayoutEditor from './components/KeyLayoutEditor';
+import flatScales, { buildScaleList } from './scales';
+import { DETECT_WINDOW, MIN_NOTES, pitchClassHistogram, rankScales } from './scaleDetection';
+import { loadSession, saveSession } from './presetStore';
+import { createPerformanceRecorder } from './performanceRecorder';
+import { createLooper } from './looper';
+import { createScheduler } from './scheduler';
+import { createClockMaster, createClockFollower } from './midiClock';
+import { DEFAULT_ARP, createArpeggiator } from './arpeggiator';
+import { DEFAULT_SEQUENCE, createStepSequencer } from './stepSequencer';
+import { DEFAULT_TUNING, buildTuning, mtsMessages, bendFor, createChannelRotator } from './tuning';
+import { CHORD_TYPES, CHORD_VOICINGS, DEFAULT_CHORD, buildChord, parseChordSteps } from './chords';
+import { DEFAULT_HARMONY, harmonyNotes } from './harmonizer';
+import { DEFAULT_KEY_LAYOUT, moveKeys } from './keyLayouts';
+import { DEFAULT_ROUTE, routeNote, routeStatuses, primaryChannel, sentKey, createSentNotes } from './midiRouting';
+import { addNewDevices, listeningInputIds, acceptsChannel } from './midiInputs';
 
 const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
 const getNoteName = (midi) => `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
 
-const KEY_MAP = {
-  'a': -4, 's': -3, 'd': -2, 'f': -1,
-  ' ': 0,
-  'j': 1, 'k': 2, 'l': 3, ';': 4,
-};
-
-const DEFAULT_KEY_LABELS = [
-  { key: 'A', interval: -4 },
-  { key: 'S', interval: -3 },
-  { key: 'D', interval: -2 },
-  { key: 'F', interval: -1 },
-  { key: 'SPACE', interval: 0, isSpace: true },
-  { key: 'J', interval: +1 },
-  { key: 'K', interval: +2 },
-  { key: 'L', interval: +3 },
-  { key: ';', interval: +4 },
-];
-
+// Velocities per key code of the default layout's move keys
 const DEFAULT_VELOCITIES = {};
-DEFAULT_KEY_LABELS.forEach(k => { DEFAULT_VELOCITIES[k.key] = 100; });
+moveKeys(DEFAULT_KEY_LAYOUT).forEach(k => { DEFAULT_VELOCITIES[k.code] = 100; });
 
 // Default pad mapping — MPD218 Bank A pads (notes 36-51, 16 pads) → common intervals
 const DEFAULT_PAD_MAP = {
@@ -76,33 +88,28 @@ const ASSIGNABLE_ACTIONS = [
   { value: +12, label: 'Oct +' },
 ];
 
-// Synth controls that can be mapped to MIDI CC knobs/faders
-const SYNTH_CONTROLS = [
-  { id: 'cutoff',       label: 'Filter Cutoff',  min: 20,  max: 20000, step: 10 },
-  { id: 'resonance',    label: 'Resonance',       min: 0,   max: 20,    step: 0.1 },
-  { id: 'attack',       label: 'Attack',          min: 0,   max: 2,     step: 0.01 },
-  { id: 'decay',        label: 'Decay',            min: 0,   max: 2,     step: 0.01 },
-  { id: 'sustain',      label: 'Sustain',          min: 0,   max: 1,     step: 0.01 },
-  { id: 'release',      label: 'Release',          min: 0,   max: 5,     step: 0.01 },
-  { id: 'masterVolume', label: 'Master Volume',    min: 0,   max: 1,     step: 0.01 },
-  { id: 'scaleKey',     label: 'Scale Key',        min: 0,   max: 11,    step: 1 },
-  { id: 'scaleIndex',   label: 'Scale',            min: 0,   max: 199,   step: 1 }, // max clamped in handler
-];
-
 const DEFAULT_CC_MAP = {}; // No default CC mappings
 
+const OCTAVE_HOLD_MS = 400;  // an octave jump sounds its new note for this long
+
+// Played notes that chord mode and the arpeggiator take over — scheduled playback
+// already carries the notes they produced
+const LIVE_SOURCES = ['key', 'touch', 'pad', 'mouse', 'octave'];
+
 // ─── Scale helpers ────────────────────────────────────────────────────────────
 
 /**
  * Walk `steps` scale degrees from `currentNote`.
- * scale: e.g. [0,2,4,5,7,9,11,12] — last entry is always 12.
+ * scale: e.g. [0,2,4,5,7,9,11,12] — last entry is the period in keys (12,
+ * except for tunings that repeat after some other number of keys).
  */
 function scaleStepNote(currentNote, rootKey, scale, steps) {
   if (steps === 0) return currentNote;
+  const period = scale[scale.length - 1];
   const degreesPerOctave = scale.length - 1;
   const semitoneAboveRoot = currentNote - rootKey;
-  const octave = Math.floor(semitoneAboveRoot / 12);
-  const semitoneInOctave = ((semitoneAboveRoot % 12) + 12) % 12;
+  const octave = Math.floor(semitoneAboveRoot / period);
+  const semitoneInOctave = ((semitoneAboveRoot % period) + period) % period;
   // Find nearest scale degree within one octave
   const scaleDeg = scale.slice(0, degreesPerOctave);
   let closestIdx = 0, closestDist = Infinity;
@@ -113,15 +120,16 @@ function scaleStepNote(currentNote, rootKey, scale, steps) {
   const newGlobal = octave * degreesPerOctave + closestIdx + steps;
   const newOct = Math.floor(newGlobal / degreesPerOctave);
   const newIdx = ((newGlobal % degreesPerOctave) + degreesPerOctave) % degreesPerOctave;
-  return Math.max(0, Math.min(127, rootKey + newOct * 12 + scale[newIdx]));
+  return Math.max(0, Math.min(127, rootKey + newOct * period + scale[newIdx]));
 }
 
 /** Snap `note` to the nearest note that belongs to the given scale+key. */
 function snapToScale(note, rootKey, scale) {
+  const period = scale[scale.length - 1];
   const scaleDeg = scale.slice(0, scale.length - 1);
   let best = note, bestDist = Infinity;
   for (let n = 0; n <= 127; n++) {
-    if (scaleDeg.includes(((n - rootKey) % 12 + 12) % 12)) {
+    if (scaleDeg.includes(((n - rootKey) % period + period) % period)) {
       const d = Math.abs(n - note);
       if (d < bestDist) { bestDist = d; best = n; }
     }
@@ -129,8 +137,78 @@ function snapToScale(note, rootKey, scale) {
   return best;
 }
 
+// What the keys step through: the chosen scale in the chosen key, or every
+// mapped key of a tuning whose period isn't 12 keys
+const keyScale = (tuning, scaleKey, scaleValue) => (tuning.scale[tuning.scale.length - 1] === 12
+  ? { rootKey: scaleKey, scale: scaleValue }
+  : { rootKey: tuning.rootKey, scale: tuning.scale });
+
+// Sent to MTS ports when leaving MTS mode, to put them back in 12-TET
+const EQUAL_FREQUENCIES = buildTuning(DEFAULT_TUNING).frequencies;
+
 const DEFAULT_SCALE_INDEX = Math.max(0, flatScales.findIndex(s => s.label.toLowerCase() === 'major'));
 
+// Everything a preset captures, at factory values
+const DEFAULT_SESSION = {
+  padMap: DEFAULT_PAD_MAP,   // maps given to an input the first time it is seen
+  ccMap: DEFAULT_CC_MAP,
+  devices: {},               // input name → { enabled, channel, padMap, ccMap }
+  usePadVelocity: true,
+  keyVelocities: DEFAULT_VELOCITIES,   // by KeyboardEvent.code
+  keyLayout: DEFAULT_KEY_LAYOUT,      // computer keys → moves and octave modifiers
+  velocityMultiplier: 100,
+  routes: [{ ...DEFAULT_ROUTE, id: 'route-1' }],
+  scaleKey: 0,
+  scaleIndex: DEFAULT_SCALE_INDEX,   // into the built-in scales followed by customScales
+  customScales: [],        // { id, name, group, value } from the scale editor
+  favoriteScales: [],      // scale ids the { / } hotkeys cycle through; empty = every scale
+  bpm: 120,
+  clockMode: 'internal',   // 'internal' | 'send' | 'receive'
+  panicOnChange: false,    // CC 123/120 on every channel when routing changes or the page closes
+  chord: DEFAULT_CHORD,    // chord mode: type, voicing and custom steps
+  harmony: DEFAULT_HARMONY,   // harmonizer voices, their level and MIDI channel
+  arp: DEFAULT_ARP,        // arpeggiator pattern, rate, gate, octaves, latch and sync
+  sequence: DEFAULT_SEQUENCE,   // step sequencer pattern of relative moves
+  tuning: DEFAULT_TUNING,  // Scala scale/mapping, reference pitch and how MIDI out carries it
+  settings: DEFAULT_SYNTH_SETTINGS,
+};
+
+const NO_CONTROLLER = 'Computer keyboard';
+
+// What an imported mapping profile may reference
+const PROFILE_VALIDATION = {
+  intervals: ASSIGNABLE_ACTIONS.map(a => a.value),
+  controlIds: SYNTH_CONTROLS.map(c => c.id),
+};
+
+const clampScaleIndex = (idx, count = flatScales.length) => Math.max(0, Math.min(count - 1, Number(idx) || 0));
+// Intervals of scale `idx` in `list` — an index left dangling by a deleted scale reads as major
+const scaleValueAt = (list, idx) => (list[idx] || flatScales[DEFAULT_SCALE_INDEX]).value;
+
+// Sending to a port that has just been unplugged throws; its notes are gone with it
+const safeSend = (output, data, timestamp) => {
+  try {
+    output.send(data, timestamp);
+  } catch (err) {
+    console.warn('[MIDI] Send failed on', output.name, err);
+  }
+};
+
+/** All Notes Off (CC 123) and All Sound Off (CC 120) on every channel of `output`. */
+const sendAllNotesOff = (output) => {
+  for (let ch = 0; ch < 16; ch++) {
+    safeSend(output, [0xB0 + ch, 123, 0]);
+    safeSend(output, [0xB0 + ch, 120, 0]);
+  }
+};
+
+// Recorder source for a held-note label
+const heldSource = (label) => {
+  if (label.startsWith('__pad_')) return 'pad';
+  if (label === '__mouse__') return 'mouse';
+  return 'key';
+};
+
 const pickPreferredOutput = (outputs) => {
   if (!outputs.length) return null;
   const portOne = outputs.find((o) => /^1\s*[-:]/.test(o.name || ''));
@@ -141,62 +219,149 @@ const pickPreferredOutput = (outputs) => {
 };
 
 function MidiController() {
-  const { playNote, stopNote, settings, updateSetting } = useSynth();
+  const [initialSession] = useState(() => loadSession(DEFAULT_SESSION));
+  const [customScales, setCustomScales] = useState(initialSession.customScales);
+  const [favoriteScales, setFavoriteScales] = useState(initialSession.favoriteScales);
+  const scales = useMemo(() => buildScaleList(customScales), [customScales]);
+  // The scale select's optgroups: built-in groups first, then each custom group
+  const scaleOptionGroups = useMemo(() => {
+    const groups = [];
+    scales.forEach((scale, index) => {
+      let group = groups.find(g => g.group === scale.group);
+      if (!group) groups.push(group = { group: scale.group, entries: [] });
+      group.entries.push({ scale, index });
+    });
+    return groups;
+  }, [scales]);
+  const {
+    playNote, stopNote, stopAll, setPitchBend, setModWheel, setPressure, setTempo, setTuning: setSynthTuning,
+    sampleZones, addSamples, updateSampleZone, removeSampleZone, renderAudio,
+    settings, updateSetting, loadSettings,
+  } = useSynth(initialSession.settings);
   const [midiOutputs, setMidiOutputs] = useState([]);
-  const [selectedOutput, setSelectedOutput] = useState(null);
-  const [currentNote, setCurrentNote] = useState(60);
+  const [tuning, setTuning] = useState(() => ({ ...DEFAULT_TUNING, ...initialSession.tuning }));
+  const activeTuning = useMemo(() => buildTuning(tuning), [tuning]);
+  const [currentNote, setCurrentNote] = useState(() => {
+    const { rootKey, scale } = keyScale(activeTuning, initialSession.scaleKey, scaleValueAt(scales, clampScaleIndex(initialSession.scaleIndex, scales.length)));
+    return snapToScale(60, rootKey, scale);
+  });
   const [activeNotes, setActiveNotes] = useState([]);
-  const [noteHistory, setNoteHistory] = useState([{ note: 60, time: Date.now() }]);
+  const [noteHistory, setNoteHistory] = useState([{ note: currentNote, time: Date.now() }]);
   const [pressedKeys, setPressedKeys] = useState(new Set());
   const [lastInterval, setLastInterval] = useState(null);
   const [showControls, setShowControls] = useState(false);
   const [synthMuted, setSynthMuted] = useState(false);
   const [midiMuted, setMidiMuted] = useState(false);
-  const [keyVelocities, setKeyVelocities] = useState(DEFAULT_VELOCITIES);
-  const [velocityMultiplier, setVelocityMultiplier] = useState(100);
-  const [midiChannel, setMidiChannel] = useState(1);
+  const [keyVelocities, setKeyVelocities] = useState(initialSession.keyVelocities);
+  const [keyLayout, setKeyLayout] = useState(() => ({ ...DEFAULT_KEY_LAYOUT, ...initialSession.keyLayout }));
+  const [showKeyLayout, setShowKeyLayout] = useState(false);
+  const keys = useMemo(() => moveKeys(keyLayout), [keyLayout]);
+  const [velocityMultiplier, setVelocityMultiplier] = useState(initialSession.velocityMultiplier);
+  const [routes, setRoutes] = useState(initialSession.routes);   // output routing table
+  const [panicOnChange, setPanicOnChange] = useState(initialSession.panicOnChange);
   const [velocityPopup, setVelocityPopup] = useState(null); // key label or null
   const [midiInputs, setMidiInputs] = useState([]);
-  const [selectedInput, setSelectedInput] = useState(null);
-  const [padMap, setPadMap] = useState(DEFAULT_PAD_MAP);
+  const [devices, setDevices] = useState(initialSession.devices);
+  const [mappingDevice, setMappingDevice] = useState(null); // input whose maps the panel edits; null = new-device defaults
+  const [padMap, setPadMap] = useState(initialSession.padMap);
   const [midiLearnTarget, setMidiLearnTarget] = useState(null); // interval value being learned
-  const [lastMidiIn, setLastMidiIn] = useState(null); // { note, vel, name }
+  const [lastMidiIn, setLastMidiIn] = useState(null); // { device, note, vel, name }
   const [showMidiConfig, setShowMidiConfig] = useState(false);
-  const [usePadVelocity, setUsePadVelocity] = useState(true);
+  const [usePadVelocity, setUsePadVelocity] = useState(initialSession.usePadVelocity);
   const [rapidLearnActive, setRapidLearnActive] = useState(false);
   const rapidLearnActiveRef = useRef(false);
-  const [ccMap, setCcMap] = useState(DEFAULT_CC_MAP);
+  const [ccMap, setCcMap] = useState(initialSession.ccMap);
   const [ccLearnTarget, setCcLearnTarget] = useState(null);
-  const ccMapRef = useRef(DEFAULT_CC_MAP);
+  const ccMapRef = useRef(initialSession.ccMap);
   const ccLearnTargetRef = useRef(null);
   const [showInfo, setShowInfo] = useState(false);
-  const [scaleKey, setScaleKey] = useState(0);   // 0–11 (C…B)
-  const [scaleIndex, setScaleIndex] = useState(DEFAULT_SCALE_INDEX);
-
-  const scaleKeyRef = useRef(0);
-  const scaleIndexRef = useRef(DEFAULT_SCALE_INDEX);
-
-  const currentNoteRef = useRef(60);
+  const [showFilePlayer, setShowFilePlayer] = useState(false);
+  const [fileStaffNotes, setFileStaffNotes] = useState(null); // imported track shown on the staff
+  const [showLooper, setShowLooper] = useState(false);
+  const [looper, setLooper] = useState(null);
+  const [scheduler] = useState(createScheduler);   // shared look-ahead clock for all playback
+  const [bpm, setBpm] = useState(initialSession.bpm);
+  const [showClock, setShowClock] = useState(false);
+  const [clockMode, setClockMode] = useState(initialSession.clockMode);
+  const [transport, setTransport] = useState({ running: false, incomingBpm: null, position: 0 });
+  const [scaleKey, setScaleKey] = useState(initialSession.scaleKey);   // 0–11 (C…B)
+  const [scaleIndex, setScaleIndex] = useState(() => clampScaleIndex(initialSession.scaleIndex, scales.length));
+  const [chord, setChord] = useState(() => ({ ...DEFAULT_CHORD, ...initialSession.chord }));
+  const [chordTones, setChordTones] = useState([]);   // every tone of the chords and harmonies still held
+  const [harmony, setHarmony] = useState(() => ({ ...DEFAULT_HARMONY, ...initialSession.harmony }));
+  const [showHarmonizer, setShowHarmonizer] = useState(false);
+  const [customChordText, setCustomChordText] = useState(null);   // custom steps being typed
+  const [showArp, setShowArp] = useState(false);
+  const [showTuning, setShowTuning] = useState(false);
+  const [showScaleEditor, setShowScaleEditor] = useState(false);
+  const [showDetector, setShowDetector] = useState(false);
+  const [detectSource, setDetectSource] = useState('input');   // 'input' | 'played'
+  const [heardNotes, setHeardNotes] = useState([]);            // incoming MIDI notes while detecting
+  const [playedSince, setPlayedSince] = useState(() => Date.now());   // played notes before this are ignored
+  const [arp, setArp] = useState(() => ({ ...DEFAULT_ARP, ...initialSession.arp }));
+  const [showSequencer, setShowSequencer] = useState(false);
+  const [sequence, setSequence] = useState(() => ({ ...DEFAULT_SEQUENCE, ...initialSession.sequence }));
+  const [sequencer, setSequencer] = useState(null);
+
+  const scaleKeyRef = useRef(initialSession.scaleKey);
+  const scaleIndexRef = useRef(scaleIndex);
+  const scalesRef = useRef(scales);
+  const customScalesRef = useRef(customScales);
+  const favoriteScalesRef = useRef(favoriteScales);
+  const detectListeningRef = useRef(false);
+  const chordRef = useRef(chord);
+  const chordNotesRef = useRef(new Map());   // root → [tones] per chord still sounding, oldest first
+  const harmonyRef = useRef(harmony);
+  const harmonyNotesRef = useRef(new Map()); // played note → [{ voices, channel }] still sounding, oldest first
+  const lastChordRef = useRef(null);         // previous chord's tones, for voice leading
+  const arpRef = useRef(arp);
+  const arpeggiatorRef = useRef(null);
+  const arpCallbacksRef = useRef({});        // latest note handlers for the arpeggiator engine
+  const sequenceRef = useRef(sequence);
+  const sequencerRef = useRef(null);
+  const seqCallbacksRef = useRef({});        // latest note handlers for the step sequencer
+  const tuningRef = useRef(tuning);
+  const activeTuningRef = useRef(activeTuning);
+  const bendRotatorsRef = useRef(new Map());   // output name → channel rotator for per-note pitch bend
+  const mtsSentRef = useRef(false);            // ports were retuned by MTS and need resetting on leaving it
+
+  const currentNoteRef = useRef(currentNote);
   const synthMutedRef = useRef(false);
   const midiMutedRef = useRef(false);
   const midiAccessRef = useRef(null);
-  const selectedOutputRef = useRef(null);
   const heldNotesRef = useRef(new Map());   // keyLabel → midiNote
-  const keyVelocitiesRef = useRef(DEFAULT_VELOCITIES);
-  const velocityMultiplierRef = useRef(100);
-  const midiChannelRef = useRef(1);
-  const selectedInputRef = useRef(null);
-  const padMapRef = useRef(DEFAULT_PAD_MAP);
+  const recorderRef = useRef(null);
+  if (!recorderRef.current) recorderRef.current = createPerformanceRecorder();
+  const looperRef = useRef(null);
+  const loopCallbacksRef = useRef({});   // latest note handlers for the looper engine
+  const bpmRef = useRef(initialSession.bpm);
+  const clockModeRef = useRef(initialSession.clockMode);
+  const clockMasterRef = useRef(null);
+  const clockFollowerRef = useRef(null);
+  const songPositionRef = useRef(0);   // beats; where Continue resumes while the transport is stopped
+  const keyVelocitiesRef = useRef(initialSession.keyVelocities);
+  const keyLayoutRef = useRef(keyLayout);
+  const octaveKeysRef = useRef(new Map());   // octave modifier code → octaves, while held
+  const velocityMultiplierRef = useRef(initialSession.velocityMultiplier);
+  const routesRef = useRef(initialSession.routes);
+  const panicOnChangeRef = useRef(initialSession.panicOnChange);
+  const sentNotesRef = useRef(createSentNotes());   // where each note-on still sounding went
+  const prevRoutedPortsRef = useRef(null);
+  const devicesRef = useRef(initialSession.devices);
+  const mappingDeviceRef = useRef(null);
+  const padMapRef = useRef(initialSession.padMap);
   const midiLearnTargetRef = useRef(null);
-  const usePadVelocityRef = useRef(true);
+  const usePadVelocityRef = useRef(initialSession.usePadVelocity);
 
   useEffect(() => { synthMutedRef.current = synthMuted; }, [synthMuted]);
   useEffect(() => { midiMutedRef.current = midiMuted; }, [midiMuted]);
-  useEffect(() => { selectedOutputRef.current = selectedOutput; }, [selectedOutput]);
   useEffect(() => { keyVelocitiesRef.current = keyVelocities; }, [keyVelocities]);
+  useEffect(() => { keyLayoutRef.current = keyLayout; }, [keyLayout]);
   useEffect(() => { velocityMultiplierRef.current = velocityMultiplier; }, [velocityMultiplier]);
-  useEffect(() => { midiChannelRef.current = midiChannel; }, [midiChannel]);
-  useEffect(() => { selectedInputRef.current = selectedInput; }, [selectedInput]);
+  useEffect(() => { routesRef.current = routes; }, [routes]);
+  useEffect(() => { panicOnChangeRef.current = panicOnChange; }, [panicOnChange]);
+  useEffect(() => { devicesRef.current = devices; }, [devices]);
+  useEffect(() => { mappingDeviceRef.current = mappingDevice; }, [mappingDevice]);
   useEffect(() => { padMapRef.current = padMap; }, [padMap]);
   useEffect(() => { midiLearnTargetRef.current = midiLearnTarget; }, [midiLearnTarget]);
   useEffect(() => { usePadVelocityRef.current = usePadVelocity; }, [usePadVelocity]);
@@ -205,11 +370,49 @@ function MidiController() {
   useEffect(() => { ccLearnTargetRef.current = ccLearnTarget; }, [ccLearnTarget]);
   useEffect(() => { scaleKeyRef.current = scaleKey; }, [scaleKey]);
   useEffect(() => { scaleIndexRef.current = scaleIndex; }, [scaleIndex]);
+  useEffect(() => { scalesRef.current = scales; }, [scales]);
+  useEffect(() => { customScalesRef.current = customScales; }, [customScales]);
+  useEffect(() => { favoriteScalesRef.current = favoriteScales; }, [favoriteScales]);
+  useEffect(() => { detectListeningRef.current = showDetector && detectSource === 'input'; }, [showDetector, detectSource]);
+  useEffect(() => { chordRef.current = chord; }, [chord]);
+  useEffect(() => { harmonyRef.current = harmony; }, [harmony]);
+  useEffect(() => { arpRef.current = arp; }, [arp]);
+  useEffect(() => { sequenceRef.current = sequence; }, [sequence]);
+  useEffect(() => { tuningRef.current = tuning; }, [tuning]);
+  useEffect(() => {
+    activeTuningRef.current = activeTuning;
+    setSynthTuning(activeTuning.equal ? null : activeTuning.frequencies);
+    // A tuning with another period brings its own scale; keep the current note on it
+    const { rootKey, scale } = keyScale(activeTuning, scaleKeyRef.current, scaleValueAt(scalesRef.current, scaleIndexRef.current));
+    const snapped = snapToScale(currentNoteRef.current, rootKey, scale);
+    currentNoteRef.current = snapped;
+    setCurrentNote(snapped);
+  }, [activeTuning, setSynthTuning]);
+
+  /** Root key and scale the keys currently step through. */
+  const currentScale = useCallback(() => (
+    keyScale(activeTuningRef.current, scaleKeyRef.current, scaleValueAt(scalesRef.current, scaleIndexRef.current))
+  ), []);
+  useEffect(() => { bpmRef.current = bpm; }, [bpm]);
+  useEffect(() => { setTempo(bpm); }, [bpm, setTempo]);
+  useEffect(() => { clockModeRef.current = clockMode; }, [clockMode]);
 
   useEffect(() => {
     currentNoteRef.current = currentNote;
   }, [currentNote]);
 
+  /** Snapshot of everything a preset stores. */
+  const getSessionSnapshot = useCallback(() => ({
+    padMap, ccMap, devices, usePadVelocity, keyVelocities, keyLayout, velocityMultiplier,
+    routes, panicOnChange, scaleKey, scaleIndex, customScales, favoriteScales, bpm, clockMode, chord, harmony, arp, sequence, tuning, settings,
+  }), [padMap, ccMap, devices, usePadVelocity, keyVelocities, keyLayout, velocityMultiplier, routes, panicOnChange, scaleKey, scaleIndex, customScales, favoriteScales, bpm, clockMode, chord, harmony, arp, sequence, tuning, settings]);
+
+  // Autosave the session shortly after anything it covers changes
+  useEffect(() => {
+    const id = setTimeout(() => saveSession(getSessionSnapshot()), 300);
+    return () => clearTimeout(id);
+  }, [getSessionSnapshot]);
+
   // Close velocity popup on outside click
   useEffect(() => {
     if (!velocityPopup) return;
@@ -234,19 +437,7 @@ function MidiController() {
         console.log('[MIDI] Inputs:', inputs.map(i => ({ id: i.id, name: i.name })));
         setMidiOutputs(outputs);
         setMidiInputs(inputs);
-        if (outputs.length > 0) {
-          const preferred = pickPreferredOutput(outputs);
-          console.log('[MIDI] Auto-selecting output:', preferred.name, preferred.id);
-          setSelectedOutput(preferred.id);
-        } else {
-          console.warn('[MIDI] No outputs found');
-        }
-
-        // Auto-select first input
-        if (inputs.length > 0) {
-          console.log('[MIDI] Auto-selecting input:', inputs[0].name, inputs[0].id);
-          setSelectedInput(inputs[0].id);
-        }
+        if (!outputs.length) console.warn('[MIDI] No outputs found');
 
         // Listen for device changes
         access.onstatechange = (e) => {
@@ -255,17 +446,10 @@ function MidiController() {
           const updatedInputs = Array.from(access.inputs.values());
           setMidiOutputs(updatedOutputs);
           setMidiInputs(updatedInputs);
-          const selectedStillExists = updatedOutputs.some((o) => o.id === selectedOutputRef.current);
-          if (!selectedStillExists) {
-            const preferred = pickPreferredOutput(updatedOutputs);
-            if (preferred) {
-              console.log('[MIDI] Re-selecting output after state change:', preferred.name, preferred.id);
-              setSelectedOutput(preferred.id);
-            }
-          }
-          const inputStillExists = updatedInputs.some((i) => i.id === selectedInputRef.current);
-          if (!inputStillExists && updatedInputs.length > 0) {
-            setSelectedInput(updatedInputs[0].id);
+          // Inputs are keyed by name, so a device that comes back keeps its maps;
+          // the listener effect re-attaches once it shows up as connected again
+          if (e.port.type === 'input' && e.port.state === 'connected' && e.port.connection !== 'open' && devicesRef.current[e.port.name]) {
+            console.log('[MIDI-IN] Device available:', e.port.name, '— restoring its mapping');
           }
         };
       } catch (err) {
@@ -275,89 +459,280 @@ function MidiController() {
     getMIDIAccess();
   }, []);
 
+  // Routes without a port yet (new session or migrated preset) take the preferred output
   useEffect(() => {
-    if (!selectedOutput) {
-      console.log('[MIDI] Selected output: none');
-      return;
-    }
-    const output = midiOutputs.find((o) => o.id === selectedOutput);
-    console.log('[MIDI] Selected output changed:', output ? `${output.name} (${output.id})` : selectedOutput);
-  }, [selectedOutput, midiOutputs]);
-
-  // Helper to get the cached MIDI output
-  const getMidiOutput = useCallback(() => {
-    if (!midiAccessRef.current) {
-      console.log('[MIDI] getMidiOutput: no access object');
-      return null;
-    }
-    if (!selectedOutputRef.current) {
-      console.log('[MIDI] getMidiOutput: no output selected');
-      return null;
-    }
-    const output = midiAccessRef.current.outputs.get(selectedOutputRef.current);
-    if (!output) {
-      console.log('[MIDI] getMidiOutput: output not found for id:', selectedOutputRef.current);
+    const preferred = pickPreferredOutput(midiOutputs);
+    if (!preferred || !routes.some(r => r.output === null)) return;
+    console.log('[MIDI] Routing to preferred output:', preferred.name);
+    setRoutes(prev => prev.map(r => (r.output === null ? { ...r, output: preferred.name } : r)));
+  }, [midiOutputs, routes]);
+
+  /** Connected output port called `name`, or null. */
+  const findOutput = useCallback((name) => {
+    if (!midiAccessRef.current || !name) return null;
+    return Array.from(midiAccessRef.current.outputs.values())
+      .find(o => o.name === name && o.state !== 'disconnected') || null;
+  }, []);
+
+  /** Every distinct connected port some enabled route sends to. */
+  const getRoutedOutputs = useCallback(() => {
+    const names = new Set(routesRef.current.filter(r => r.enabled).map(r => r.output));
+    return Array.from(names).map(findOutput).filter(Boolean);
+  }, [findOutput]);
+
+  /** The channel rotator per-note pitch bend uses on `output`, rebuilt when the range changes. */
+  const bendChannels = useCallback((output) => {
+    const low = tuningRef.current.channelLow - 1;
+    const high = Math.max(low, tuningRef.current.channelHigh - 1);
+    let rotator = bendRotatorsRef.current.get(output.name);
+    if (!rotator || !rotator.matches(low, high)) {
+      rotator = createChannelRotator(low, high);
+      bendRotatorsRef.current.set(output.name, rotator);
     }
-    return output || null;
+    return rotator;
+  }, []);
+
+  /**
+   * Send a note-on through every route that covers `note` and remember where
+   * it went, so the note-off reaches the same ports and channels even if the
+   * routing changes (or MIDI is muted) while the note is held. With a tuning
+   * and per-note pitch bend, each note takes a channel of its own (instead of
+   * the route's) and is bent from the nearest 12-TET note. A `channel`
+   * (1–16) overrides the routes' channels, and the rotation, once per port.
+   * `harmony` keeps a harmony voice apart from a played note on the same key.
+   */
+  const sendNoteOn = useCallback((note, velocity, time, channel, harmony) => {
+    if (midiMutedRef.current) return;
+    const { output: tuningOutput, bendRange } = tuningRef.current;
+    const { frequencies, equal } = activeTuningRef.current;
+    const tuned = tuningOutput !== 'none' && !equal;
+    const sent = [];
+    routesRef.current.forEach(route => {
+      const routed = routeNote(route, note);
+      const output = routed === null ? null : findOutput(route.output);
+      if (!output) return;
+      if (channel && sent.some(s => s.output === output)) return;
+      if (tuned && !frequencies[routed]) return;   // unmapped key
+      if (tuned && tuningOutput === 'bend') {
+        const { note: nearest, bend } = bendFor(frequencies[routed], bendRange);
+        const bent = channel ? channel - 1 : bendChannels(output).take();
+        safeSend(output, [0xE0 + bent, bend & 0x7F, bend >> 7], time);
+        safeSend(output, [0x90 + bent, nearest, velocity], time);
+        sent.push({ output, channel: bent, note: nearest, rotated: !channel });
+        return;
+      }
+      (channel ? [0x90 + channel - 1] : routeStatuses(route, 0x90)).forEach(status => {
+        safeSend(output, [status, routed, velocity], time);
+        sent.push({ output, channel: status & 0x0f, note: routed });
+      });
+    });
+    if (sent.length) sentNotesRef.current.add(sentKey(note, channel, harmony), sent);
+  }, [findOutput, bendChannels]);
+
+  /** Note-off for the oldest sounding note-on of `note` (sent on `channel`), wherever it went. */
+  const sendNoteOff = useCallback((note, time, channel, harmony) => {
+    const sent = sentNotesRef.current.takeOldest(sentKey(note, channel, harmony));
+    if (!sent) return;
+    sent.forEach(({ output, channel, note: routed, rotated }) => {
+      safeSend(output, [0x80 + channel, routed, 0], time);
+      if (rotated) bendChannels(output).release(channel);
+    });
+  }, [bendChannels]);
+
+  /** Forward a channel-wide message (pitch bend, channel pressure, CC) on every enabled route. */
+  const sendToRoutes = useCallback((command, data1, data2) => {
+    if (midiMutedRef.current) return;
+    const sent = new Set();
+    routesRef.current.forEach(route => {
+      const output = route.enabled ? findOutput(route.output) : null;
+      if (!output) return;
+      routeStatuses(route, command).forEach(status => {
+        const key = `${output.id}:${status}`;
+        if (sent.has(key)) return;
+        sent.add(key);
+        safeSend(output, data2 === undefined ? [status, data1] : [status, data1, data2]);
+      });
+    });
+  }, [findOutput]);
+
+  /** Poly aftertouch for `note` (sent on `channel`), wherever its latest note-on went. */
+  const sendNotePressure = useCallback((note, pressure, channel, harmony) => {
+    if (midiMutedRef.current) return;
+    const sent = sentNotesRef.current.latest(sentKey(note, channel, harmony));
+    if (!sent) return;
+    sent.forEach(({ output, channel, note: routed }) => safeSend(output, [0xA0 + channel, routed, pressure]));
   }, []);
 
-  const noteOn = useCallback((note, keyLabel) => {
+  /** Note-offs for everything still sounding on external MIDI. */
+  const flushSentNotes = useCallback(() => {
+    sentNotesRef.current.takeAll().forEach(sent => (
+      sent.forEach(({ output, channel, note }) => safeSend(output, [0x80 + channel, note, 0]))
+    ));
+    bendRotatorsRef.current.clear();
+  }, []);
+
+  /**
+   * Sound a note on the synth and MIDI output and log it to the recorder
+   * (unless `record` is false). Velocity comes from the key's setting ×
+   * multiplier unless given explicitly. `time` (performance.now() ms) is set
+   * by scheduled playback; live playing sounds immediately. `level` scales
+   * the velocity (percent) and `channel` sends MIDI on that channel instead
+   * of the routes' own. `harmony` marks a harmonizer voice.
+   */
+  const soundOn = useCallback((note, keyLabel, { velocity: explicitVelocity, source = 'key', record = true, time, level = 100, channel, harmony } = {}) => {
     const perKey = keyLabel ? (keyVelocitiesRef.current[keyLabel] || 100) : 100;
-    const velocity = Math.max(1, Math.min(127, Math.round(perKey * velocityMultiplierRef.current / 100)));
+    const base = explicitVelocity !== undefined ? explicitVelocity : perKey * velocityMultiplierRef.current / 100;
+    const velocity = Math.max(1, Math.min(127, Math.round(base * level / 100)));
+    // The arpeggiator takes held notes and plays them back one at a time
+    if (arpRef.current.enabled && LIVE_SOURCES.includes(source) && arpeggiatorRef.current) {
+      arpeggiatorRef.current.noteOn(note, velocity);
+      return;
+    }
     console.log(`[NOTE-ON] note=${note} key=${keyLabel} vel=${velocity}`);
+    // The recorder logs the first route's channel; "ALL" is recorded as channel 1
+    if (record) recorderRef.current.noteOn(note, velocity, channel || primaryChannel(routesRef.current), source, keyLabel, time);
+    if (source !== 'looper' && source !== 'file' && looperRef.current) looperRef.current.captureNoteOn(note, velocity, time);
 
     // Synth sound (polyphonic – no cleanup of previous notes)
     if (!synthMutedRef.current) {
-      playNote(note, velocity);
+      playNote(note, velocity, keyLabel || source, time);
     }
 
     // MIDI output
-    const output = getMidiOutput();
-    if (output && !midiMutedRef.current) {
-      if (midiChannelRef.current === 0) {
-        for (let ch = 0; ch < 16; ch++) {
-          output.send([0x90 + ch, note, velocity]);
-        }
-      } else {
-        const ch = midiChannelRef.current - 1;
-        output.send([0x90 + ch, note, velocity]);
-      }
-    }
-  }, [playNote, getMidiOutput]);
+    sendNoteOn(note, velocity, time, channel, harmony);
+  }, [playNote, sendNoteOn]);
 
-  const noteOff = useCallback((note) => {
+  const soundOff = useCallback((note, { source = 'key', label = null, record = true, time, channel, harmony } = {}) => {
+    if (LIVE_SOURCES.includes(source) && arpeggiatorRef.current && arpeggiatorRef.current.noteOff(note)) return;
     console.log(`[NOTE-OFF] note=${note}`);
+    if (record) recorderRef.current.noteOff(note, channel || primaryChannel(routesRef.current), source, label, time);
+    if (source !== 'looper' && source !== 'file' && looperRef.current) looperRef.current.captureNoteOff(note, time);
 
     if (!synthMutedRef.current) {
-      stopNote(note);
+      stopNote(note, label || source, time);
     }
 
-    const output = getMidiOutput();
-    if (output && !midiMutedRef.current) {
-      if (midiChannelRef.current === 0) {
-        for (let ch = 0; ch < 16; ch++) {
-          output.send([0x80 + ch, note, 0]);
-        }
-      } else {
-        const ch = midiChannelRef.current - 1;
-        output.send([0x80 + ch, note, 0]);
-      }
+    sendNoteOff(note, time, channel, harmony);
+  }, [stopNote, sendNoteOff]);
+
+  // Keyboard display of held chord tones and harmony voices; a timestamped release clears them when it sounds
+  const showChordTones = useCallback((time) => {
+    scheduler.defer(time || 0, () => {
+      const held = [
+        ...Array.from(chordNotesRef.current.values()).flat(2),
+        ...Array.from(harmonyNotesRef.current.values()).flat().flatMap(h => h.voices),
+      ];
+      setChordTones(Array.from(new Set(held)));
+    });
+  }, [scheduler]);
+
+  /**
+   * Play `note` — or, in chord mode, the chord built on it from the current
+   * scale — plus the harmonizer's voices above or below it. Every tone goes
+   * through soundOn, so the recorder and looper capture them note by note.
+   */
+  const noteOn = useCallback((note, keyLabel, options = {}) => {
+    const { source = 'key' } = options;
+    const live = LIVE_SOURCES.includes(source);
+    const chordMode = live && chordRef.current.enabled;
+    const harmonize = live && harmonyRef.current.enabled && harmonyRef.current.voices.length > 0;
+    if (!chordMode && !harmonize) {
+      soundOn(note, keyLabel, options);
+      return;
+    }
+    const { rootKey, scale } = currentScale();
+    const step = (from, steps) => scaleStepNote(from, rootKey, scale, steps);
+    let tones = [note];
+    if (chordMode) {
+      tones = buildChord(note, chordRef.current, step, scale[scale.length - 1], lastChordRef.current);
+      lastChordRef.current = tones;
+      chordNotesRef.current.set(note, [...(chordNotesRef.current.get(note) || []), tones]);
+    }
+    tones.forEach(tone => soundOn(tone, keyLabel, options));
+
+    let voices = [];
+    if (harmonize) {
+      const { level, channel } = harmonyRef.current;
+      voices = harmonyNotes(note, harmonyRef.current.voices, step, scale.length - 1);
+      // Remembered with the channel they went out on, so a settings change can't strand them
+      harmonyNotesRef.current.set(note, [...(harmonyNotesRef.current.get(note) || []), { voices, channel }]);
+      voices.forEach(voice => soundOn(voice, keyLabel, { ...options, level, channel, harmony: true }));
+    }
+    showChordTones();
+    // The caller has just logged the played note; the staff draws every tone
+    const drawn = Array.from(new Set([...tones, ...voices])).sort((a, b) => a - b);
+    if (drawn.length < 2) return;
+    setNoteHistory(prev => {
+      const last = prev[prev.length - 1];
+      if (!last || last.note !== note) return prev;
+      return [...prev.slice(0, -1), { ...last, chord: drawn }];
+    });
+  }, [soundOn, showChordTones, currentScale]);
+
+  /** Release `note`, or every tone of the oldest chord, and the harmony voices, still sounding on it. */
+  const noteOff = useCallback((note, options = {}) => {
+    const { source = 'key' } = options;
+    const chords = chordNotesRef.current.get(note);
+    const harmonies = harmonyNotesRef.current.get(note);
+    if ((!chords && !harmonies) || !LIVE_SOURCES.includes(source)) {
+      soundOff(note, options);
+      return;
     }
-  }, [stopNote, getMidiOutput]);
+    if (chords) {
+      const [tones, ...rest] = chords;
+      if (rest.length) chordNotesRef.current.set(note, rest);
+      else chordNotesRef.current.delete(note);
+      tones.forEach(tone => soundOff(tone, options));
+    } else {
+      soundOff(note, options);
+    }
+    if (harmonies) {
+      const [{ voices, channel }, ...rest] = harmonies;
+      if (rest.length) harmonyNotesRef.current.set(note, rest);
+      else harmonyNotesRef.current.delete(note);
+      voices.forEach(voice => soundOff(voice, { ...options, channel, harmony: true }));
+    }
+    showChordTones(options.time);
+  }, [soundOff, showChordTones]);
+
+  /**
+   * Update the pad or CC map (`key`) of `device`, or the new-device defaults
+   * when `device` is null. `update` is a value or an updater, as with setState.
+   */
+  const updateDeviceMap = useCallback((device, key, update) => {
+    const apply = (prev) => (typeof update === 'function' ? update(prev) : update);
+    if (!device) {
+      (key === 'padMap' ? setPadMap : setCcMap)(update);
+      return;
+    }
+    setDevices(prev => (prev[device]
+      ? { ...prev, [device]: { ...prev[device], [key]: apply(prev[device][key]) } }
+      : prev));
+  }, []);
+
+  // The maps shown in the MIDI Setup panel belong to the device being edited
+  const editedPadMap = (devices[mappingDevice] || { padMap }).padMap;
+  const editedCcMap = (devices[mappingDevice] || { ccMap }).ccMap;
+  const setEditedPadMap = useCallback((update) => updateDeviceMap(mappingDeviceRef.current, 'padMap', update), [updateDeviceMap]);
+  const setEditedCcMap = useCallback((update) => updateDeviceMap(mappingDeviceRef.current, 'ccMap', update), [updateDeviceMap]);
+
+  // Learn only listens to the device being edited (any device while editing the defaults)
+  const learnsFrom = useCallback((device) => !mappingDeviceRef.current || mappingDeviceRef.current === device, []);
 
-  // MIDI Input listener — handles pad presses through the mapping system
-  const handleMidiInput = useCallback((note, velocity, isNoteOn) => {
-    const mapping = padMapRef.current[note];
+  // MIDI Input listener — handles pad presses through the device's mapping
+  const handleMidiInput = useCallback((device, note, velocity, isNoteOn) => {
+    const mapping = ((devicesRef.current[device] || {}).padMap || {})[note];
 
     // Show activity regardless of mapping
     if (isNoteOn) {
-      setLastMidiIn({ note, vel: velocity, name: getNoteName(note) });
+      setLastMidiIn({ device, note, vel: velocity, name: getNoteName(note) });
+      if (detectListeningRef.current) setHeardNotes(prev => [...prev.slice(-(DETECT_WINDOW - 1)), note]);
     }
 
     // MIDI Learn mode — assign this note to the target interval
-    if (isNoteOn && midiLearnTargetRef.current !== null) {
+    if (isNoteOn && midiLearnTargetRef.current !== null && learnsFrom(device)) {
       const targetInterval = midiLearnTargetRef.current;
-      setPadMap(prev => {
+      setEditedPadMap(prev => {
         // Remove any existing mapping for this note
         const next = { ...prev };
         // Also remove any other pad mapped to this same interval (one-to-one)
@@ -386,13 +761,13 @@ function MidiController() {
 
     if (!mapping) return;
 
-    const padLabel = `__pad_${note}__`;
+    const padLabel = `__pad_${device}_${note}__`;
 
     if (isNoteOn) {
       // Release any previous note this pad is holding
       const prevNote = heldNotesRef.current.get(padLabel);
       if (prevNote !== undefined) {
-        noteOff(prevNote);
+        noteOff(prevNote, { source: 'pad', label: padLabel });
         heldNotesRef.current.delete(padLabel);
       }
 
@@ -406,56 +781,182 @@ function MidiController() {
       setNoteHistory(prev => [...prev.slice(-999), { note: newNote, time: Date.now() }]);
 
       // Use pad velocity if enabled, otherwise use multiplier
-      if (usePadVelocityRef.current) {
-        const vel = Math.max(1, Math.min(127, Math.round(velocity * velocityMultiplierRef.current / 100)));
-        if (!synthMutedRef.current) playNote(newNote, vel);
-        const output = getMidiOutput();
-        if (output && !midiMutedRef.current) {
-          if (midiChannelRef.current === 0) {
-            for (let ch = 0; ch < 16; ch++) output.send([0x90 + ch, newNote, vel]);
-          } else {
-            output.send([0x90 + (midiChannelRef.current - 1), newNote, vel]);
-          }
-        }
-      } else {
-        noteOn(newNote, null);
-      }
+      const vel = usePadVelocityRef.current
+        ? Math.max(1, Math.min(127, Math.round(velocity * velocityMultiplierRef.current / 100)))
+        : undefined;
+      noteOn(newNote, padLabel, { velocity: vel, source: 'pad' });
     } else {
       // Note off
       const heldNote = heldNotesRef.current.get(padLabel);
       if (heldNote !== undefined) {
-        noteOff(heldNote);
+        noteOff(heldNote, { source: 'pad', label: padLabel });
         heldNotesRef.current.delete(padLabel);
       }
       setActiveNotes(Array.from(new Set(heldNotesRef.current.values())));
     }
-  }, [noteOn, noteOff, playNote, getMidiOutput]);
+  }, [noteOn, noteOff, setEditedPadMap, learnsFrom]);
 
   /** Change key without playing a note; snap currentNote to nearest in-scale note. */
   const changeScaleKey = useCallback((newKey) => {
-    const snapped = snapToScale(currentNoteRef.current, newKey, flatScales[scaleIndexRef.current].value);
     scaleKeyRef.current = newKey;
     setScaleKey(newKey);
+    const { rootKey, scale } = currentScale();
+    const snapped = snapToScale(currentNoteRef.current, rootKey, scale);
     currentNoteRef.current = snapped;
     setCurrentNote(snapped);
-  }, []);
+  }, [currentScale]);
 
   /** Change scale without playing a note; snap currentNote into new scale. */
   const changeScaleIndex = useCallback((newIdx) => {
-    const clamped = Math.max(0, Math.min(flatScales.length - 1, newIdx));
-    const snapped = snapToScale(currentNoteRef.current, scaleKeyRef.current, flatScales[clamped].value);
+    const clamped = clampScaleIndex(newIdx, scalesRef.current.length);
     scaleIndexRef.current = clamped;
     setScaleIndex(clamped);
+    const { rootKey, scale } = currentScale();
+    const snapped = snapToScale(currentNoteRef.current, rootKey, scale);
     currentNoteRef.current = snapped;
     setCurrentNote(snapped);
+  }, [currentScale]);
+
+  /** Step `dir` through the favourite scales, or through every scale when none are marked. */
+  const cycleScale = useCallback((dir) => {
+    const list = scalesRef.current;
+    const favorites = list.map((s, i) => (favoriteScalesRef.current.includes(s.id) ? i : -1)).filter(i => i >= 0);
+    const ring = favorites.length ? favorites : list.map((_, i) => i);
+    const at = ring.indexOf(scaleIndexRef.current);
+    // Off the ring: go to the nearest favourite in that direction
+    const next = at >= 0
+      ? ring[(at + dir + ring.length) % ring.length]
+      : (dir > 0 ? ring.find(i => i > scaleIndexRef.current) : [...ring].reverse().find(i => i < scaleIndexRef.current));
+    changeScaleIndex(next !== undefined ? next : ring[dir > 0 ? 0 : ring.length - 1]);
+  }, [changeScaleIndex]);
+
+  /** Save a scale from the editor: `scale.id` replaces that scale, otherwise it is added and selected. */
+  const saveCustomScale = useCallback((scale) => {
+    const list = customScalesRef.current;
+    const exists = list.some(s => s.id === scale.id);
+    const next = exists ? list.map(s => (s.id === scale.id ? scale : s)) : [...list, scale];
+    customScalesRef.current = next;
+    setCustomScales(next);
+    scalesRef.current = buildScaleList(next);
+    // Re-selecting snaps the current note onto an edited scale
+    changeScaleIndex(exists ? scaleIndexRef.current : scalesRef.current.length - 1);
+  }, [changeScaleIndex]);
+
+  /** Delete a custom scale; later scales move down one, so the selection follows them. */
+  const deleteCustomScale = useCallback((id) => {
+    const index = scalesRef.current.findIndex(s => s.id === id);
+    if (index < 0) return;
+    const remaining = customScalesRef.current.filter(s => s.id !== id);
+    customScalesRef.current = remaining;
+    setCustomScales(remaining);
+    setFavoriteScales(prev => prev.filter(f => f !== id));
+    scalesRef.current = buildScaleList(remaining);
+    const current = scaleIndexRef.current;
+    changeScaleIndex(current === index ? DEFAULT_SCALE_INDEX : current > index ? current - 1 : current);
+  }, [changeScaleIndex]);
+
+  const toggleFavoriteScale = useCallback((id) => {
+    setFavoriteScales(prev => (prev.includes(id) ? prev.filter(f => f !== id) : [...prev, id]));
   }, []);
 
+  // Key/scale detection runs only while its panel is open
+  const detectNotes = useMemo(() => (detectSource === 'input'
+    ? heardNotes
+    : noteHistory.filter(e => e.time > playedSince).flatMap(e => e.chord || [e.note]).slice(-DETECT_WINDOW)
+  ), [detectSource, heardNotes, noteHistory, playedSince]);
+  const detectHistogram = useMemo(() => pitchClassHistogram(detectNotes), [detectNotes]);
+  const detectMatches = useMemo(() => (
+    showDetector && detectNotes.length >= MIN_NOTES ? rankScales(detectHistogram, scales) : []
+  ), [showDetector, detectNotes, detectHistogram, scales]);
+
+  const applyDetected = useCallback(({ key, scaleIndex: idx }) => {
+    changeScaleIndex(idx);
+    changeScaleKey(key);
+  }, [changeScaleIndex, changeScaleKey]);
+
+  /** Play `value` up one octave from the key's root on the built-in synth. */
+  const auditionScale = useCallback((value) => {
+    const now = performance.now();
+    value.forEach((interval, i) => {
+      const note = 60 + scaleKeyRef.current + interval;
+      playNote(note, 100, '__scale_audition__', now + i * 250);
+      stopNote(note, '__scale_audition__', now + i * 250 + 220);
+    });
+  }, [playNote, stopNote]);
+
+  /** Apply a loaded preset; scale changes snap currentNote like the scale controls do. */
+  const applySession = useCallback((preset) => {
+    setPadMap(preset.padMap);
+    setCcMap(preset.ccMap);
+    setDevices(preset.devices);
+    setUsePadVelocity(preset.usePadVelocity);
+    setKeyVelocities(preset.keyVelocities);
+    setKeyLayout({ ...DEFAULT_KEY_LAYOUT, ...preset.keyLayout });
+    setVelocityMultiplier(preset.velocityMultiplier);
+    setRoutes(preset.routes);
+    setPanicOnChange(preset.panicOnChange);
+    setBpm(preset.bpm);
+    setClockMode(preset.clockMode);
+    setChord({ ...DEFAULT_CHORD, ...preset.chord });
+    setHarmony({ ...DEFAULT_HARMONY, ...preset.harmony });
+    setArp({ ...DEFAULT_ARP, ...preset.arp });
+    setSequence({ ...DEFAULT_SEQUENCE, ...preset.sequence });
+    setTuning({ ...DEFAULT_TUNING, ...preset.tuning });
+    if (arpeggiatorRef.current) arpeggiatorRef.current.clear();
+    customScalesRef.current = preset.customScales;
+    setCustomScales(preset.customScales);
+    setFavoriteScales(preset.favoriteScales);
+    scalesRef.current = buildScaleList(preset.customScales);
+    const idx = clampScaleIndex(preset.scaleIndex, scalesRef.current.length);
+    scaleIndexRef.current = idx;
+    setScaleIndex(idx);
+    changeScaleKey(Math.max(0, Math.min(11, Number(preset.scaleKey) || 0)));
+    loadSettings(preset.settings);
+  }, [changeScaleKey, loadSettings]);
+
+  /** Apply the validated sections of an imported mapping profile. */
+  const applyProfile = useCallback((profile) => {
+    if (profile.padMap) setEditedPadMap(profile.padMap);
+    if (profile.ccMap) setEditedCcMap(profile.ccMap);
+    if (profile.usePadVelocity !== undefined) setUsePadVelocity(profile.usePadVelocity);
+    if (profile.keyVelocities) setKeyVelocities({ ...DEFAULT_VELOCITIES, ...profile.keyVelocities });
+    if (profile.customScales) {
+      // Same id replaces in place and new ones follow, so scale indices don't move
+      const list = customScalesRef.current;
+      const merged = [
+        ...list.map(s => profile.customScales.find(p => p.id === s.id) || s),
+        ...profile.customScales.filter(p => !list.some(s => s.id === p.id)),
+      ];
+      customScalesRef.current = merged;
+      setCustomScales(merged);
+      scalesRef.current = buildScaleList(merged);
+      changeScaleIndex(scaleIndexRef.current);
+    }
+    if (profile.favoriteScales) setFavoriteScales(profile.favoriteScales);
+    setMidiLearnTarget(null);
+    setRapidLearnActive(false);
+    setCcLearnTarget(null);
+  }, [setEditedPadMap, setEditedCcMap, changeScaleIndex]);
+
+  // Presets are filed under the device being edited, else the first one listening
+  const controllerName = mappingDevice
+    || (midiInputs.find(i => (devices[i.name] || {}).enabled) || {}).name
+    || NO_CONTROLLER;
+
   // MIDI CC handler — maps CC knobs/faders to synth controls
-  const handleCcInput = useCallback((cc, value) => {
+  const handleCcInput = useCallback((device, cc, value, channel) => {
+    // CC 1 is always the mod wheel: vibrato on the synth, passed through to the outputs
+    if (cc === 1) {
+      recorderRef.current.controlChange(cc, value, channel);
+      setModWheel(value / 127);
+      sendToRoutes(0xB0, 1, value);
+      return;
+    }
+
     // CC Learn mode
-    if (ccLearnTargetRef.current !== null) {
+    if (ccLearnTargetRef.current !== null && learnsFrom(device)) {
       const targetControl = ccLearnTargetRef.current;
-      setCcMap(prev => {
+      setEditedCcMap(prev => {
         const next = { ...prev };
         // Remove any existing mapping for this CC or this control
         Object.keys(next).forEach(k => {
@@ -468,96 +969,153 @@ function MidiController() {
       return;
     }
 
+    recorderRef.current.controlChange(cc, value, channel);
+
     // Apply CC value to mapped synth control
-    const controlId = ccMapRef.current[cc];
+    const controlId = ((devicesRef.current[device] || {}).ccMap || {})[cc];
     if (!controlId) return;
     const ctrl = SYNTH_CONTROLS.find(c => c.id === controlId);
     if (!ctrl) return;
-    // Map 0-127 → control's min-max range
-    const scaled = ctrl.min + (value / 127) * (ctrl.max - ctrl.min);
-    // Round to step precision
-    const rounded = Math.round(scaled / ctrl.step) * ctrl.step;
+    const setting = controlValue(ctrl, value);
     // Intercept scale/key controls
     if (controlId === 'scaleKey') {
-      changeScaleKey(Math.max(0, Math.min(11, Math.round(rounded))));
+      changeScaleKey(Math.max(0, Math.min(11, Math.round(setting))));
       return;
     }
     if (controlId === 'scaleIndex') {
-      changeScaleIndex(Math.round(rounded));
+      changeScaleIndex(Math.round(setting));
       return;
     }
-    updateSetting(controlId, Math.max(ctrl.min, Math.min(ctrl.max, rounded)));
-  }, [updateSetting, changeScaleKey, changeScaleIndex]);
+    updateSetting(controlId, setting);
+  }, [updateSetting, changeScaleKey, changeScaleIndex, setEditedCcMap, learnsFrom, setModWheel, sendToRoutes]);
+
+  /**
+   * Pitch bend, channel pressure and poly aftertouch from an input: applied
+   * to the synth and passed through. Poly aftertouch follows the note the
+   * pad is holding, since pads play intervals rather than their own notes.
+   */
+  const handleExpressionInput = useCallback((device, command, data1, data2) => {
+    if (command === 0xE0) {
+      const raw = (data2 << 7) | data1;
+      setPitchBend(raw >= 8192 ? (raw - 8192) / 8191 : (raw - 8192) / 8192);
+      // Per-note pitch bend already carries the tuning; a wheel bend would undo it
+      const bendTuned = tuningRef.current.output === 'bend' && !activeTuningRef.current.equal;
+      if (!bendTuned) sendToRoutes(0xE0, data1, data2);
+    } else if (command === 0xD0) {
+      setPressure(data1 / 127);
+      sendToRoutes(0xD0, data1);
+    } else if (command === 0xA0) {
+      const held = heldNotesRef.current.get(`__pad_${device}_${data1}__`);
+      if (held === undefined) return;
+      setPressure(data2 / 127, held);
+      sendNotePressure(held, data2);
+      // The harmony voices on the note follow it, on the channel they went out on
+      (harmonyNotesRef.current.get(held) || []).forEach(({ voices, channel }) => (
+        voices.forEach(voice => sendNotePressure(voice, data2, channel, true))
+      ));
+    }
+  }, [setPitchBend, setPressure, sendToRoutes, sendNotePressure]);
 
-  // Attach/detach MIDI input listener when input selection changes
+  // Give inputs seen for the first time their own copy of the default maps
   useEffect(() => {
-    if (!midiAccessRef.current || !selectedInput) return;
-
-    const input = midiAccessRef.current.inputs.get(selectedInput);
-    if (!input) return;
-
-    console.log('[MIDI-IN] Listening on:', input.name);
-
-    const onMessage = (e) => {
-      const [status, note, velocity] = e.data;
-      const cmd = status & 0xf0;
-      if (cmd === 0x90 && velocity > 0) {
-        handleMidiInput(note, velocity, true);
-      } else if (cmd === 0x80 || (cmd === 0x90 && velocity === 0)) {
-        handleMidiInput(note, velocity, false);
-      } else if (cmd === 0xB0) {
-        // Control Change: note = CC number, velocity = value
-        handleCcInput(note, velocity);
-      }
-    };
+    if (!midiInputs.some(i => !devices[i.name])) return;
+    setDevices(prev => addNewDevices(prev, midiInputs, { padMap: padMapRef.current, ccMap: ccMapRef.current }));
+  }, [midiInputs, devices]);
 
-    input.onmidimessage = onMessage;
+  const listeningIds = listeningInputIds(midiInputs, devices);
+
+  // Attach/detach MIDI input listeners on every enabled input
+  useEffect(() => {
+    const access = midiAccessRef.current;
+    if (!access || !listeningIds) return;
+
+    const inputs = listeningIds.split('|').map(id => access.inputs.get(id)).filter(Boolean);
+    inputs.forEach(input => {
+      console.log('[MIDI-IN] Listening on:', input.name);
+      const device = input.name;
+      input.onmidimessage = (e) => {
+        const [status, note, velocity] = e.data;
+        // System messages: only clock/transport is used, and only when following
+        if (status >= 0xF0) {
+          if (clockModeRef.current === 'receive') clockFollowerRef.current.handle(e.data, e.timeStamp);
+          return;
+        }
+        const channel = (status & 0x0f) + 1;
+        if (!acceptsChannel(devicesRef.current[device], channel)) return;
+        const cmd = status & 0xf0;
+        if (cmd === 0x90 && velocity > 0) {
+          handleMidiInput(device, note, velocity, true);
+        } else if (cmd === 0x80 || (cmd === 0x90 && velocity === 0)) {
+          handleMidiInput(device, note, velocity, false);
+        } else if (cmd === 0xB0) {
+          // Control Change: note = CC number, velocity = value
+          handleCcInput(device, note, velocity, channel);
+        } else if (cmd === 0xE0 || cmd === 0xD0 || cmd === 0xA0) {
+          handleExpressionInput(device, cmd, note, velocity);
+        }
+      };
+    });
     return () => {
-      input.onmidimessage = null;
+      inputs.forEach(input => { input.onmidimessage = null; });
     };
-  }, [selectedInput, handleMidiInput, handleCcInput]);
+  }, [listeningIds, handleMidiInput, handleCcInput, handleExpressionInput]);
+
+  /** Patch one input's listening options ({ enabled } or { channel }). */
+  const updateDevice = useCallback((name, patch) => {
+    setDevices(prev => (prev[name] ? { ...prev, [name]: { ...prev[name], ...patch } } : prev));
+  }, []);
 
-  // Keyboard handler — polyphonic, all 9 keys can sound simultaneously
+  // Keyboard handler — polyphonic, every bound key can sound simultaneously.
+  // Keys are matched by e.code (the physical key), hotkeys by the character typed.
   useEffect(() => {
+    const bindingFor = (code) => keyLayoutRef.current.bindings.find(b => b.code === code);
+
     const handleKeyDown = (e) => {
       if (e.repeat) return;
       // Scale / key hotkeys: [ ] = key down/up, { } = scale down/up
       if (e.key === ']') { e.preventDefault(); changeScaleKey((scaleKeyRef.current + 1) % 12); return; }
       if (e.key === '[') { e.preventDefault(); changeScaleKey((scaleKeyRef.current + 11) % 12); return; }
-      if (e.key === '}') { e.preventDefault(); changeScaleIndex((scaleIndexRef.current + 1) % flatScales.length); return; }
-      if (e.key === '{') { e.preventDefault(); changeScaleIndex((scaleIndexRef.current - 1 + flatScales.length) % flatScales.length); return; }
-      const interval = KEY_MAP[e.key.toLowerCase()];
-      if (interval !== undefined) {
-        e.preventDefault();
-        const label = e.key === ' ' ? 'SPACE' : e.key.toUpperCase();
-
-        // If this key already holds a note, release it first
-        const prevNote = heldNotesRef.current.get(label);
-        if (prevNote !== undefined) {
-          noteOff(prevNote);
-          heldNotesRef.current.delete(label);
-        }
-
-        setPressedKeys(prev => new Set([...prev, label]));
-        setLastInterval(interval);
+      if (e.key === '}') { e.preventDefault(); cycleScale(1); return; }
+      if (e.key === '{') { e.preventDefault(); cycleScale(-1); return; }
+      const binding = bindingFor(e.code);
+      if (!binding) return;
+      e.preventDefault();
+      const label = e.code;
+      setPressedKeys(prev => new Set([...prev, label]));
+      // Octave modifiers shift the moves of the keys pressed while they are held
+      if (binding.octave !== undefined) {
+        octaveKeysRef.current.set(label, binding.octave);
+        return;
+      }
 
-        const newNote = scaleStepNote(currentNoteRef.current, scaleKeyRef.current, flatScales[scaleIndexRef.current].value, interval);
-        heldNotesRef.current.set(label, newNote);
-        setActiveNotes(Array.from(new Set(heldNotesRef.current.values())));
-        setCurrentNote(newNote);
-        setNoteHistory(prev => [...prev.slice(-999), { note: newNote, time: Date.now() }]);
-        noteOn(newNote, label);
+      // If this key already holds a note, release it first
+      const prevNote = heldNotesRef.current.get(label);
+      if (prevNote !== undefined) {
+        noteOff(prevNote, { label });
+        heldNotesRef.current.delete(label);
       }
+
+      const { rootKey, scale } = currentScale();
+      const octaves = Array.from(octaveKeysRef.current.values()).reduce((sum, o) => sum + o, 0);
+      const interval = binding.interval + octaves * (scale.length - 1);
+      setLastInterval(interval);
+
+      const newNote = scaleStepNote(currentNoteRef.current, rootKey, scale, interval);
+      heldNotesRef.current.set(label, newNote);
+      setActiveNotes(Array.from(new Set(heldNotesRef.current.values())));
+      setCurrentNote(newNote);
+      setNoteHistory(prev => [...prev.slice(-999), { note: newNote, time: Date.now() }]);
+      noteOn(newNote, label);
     };
 
     const handleKeyUp = (e) => {
-      const interval = KEY_MAP[e.key.toLowerCase()];
-      if (interval !== undefined) {
-        const label = e.key === ' ' ? 'SPACE' : e.key.toUpperCase();
+      // A key rebound while held still releases its note
+      const label = e.code;
+      if (octaveKeysRef.current.delete(label) || heldNotesRef.current.has(label) || bindingFor(label)) {
 
         const heldNote = heldNotesRef.current.get(label);
         if (heldNote !== undefined) {
-          noteOff(heldNote);
+          noteOff(heldNote, { label });
           heldNotesRef.current.delete(label);
         }
 
@@ -577,13 +1135,89 @@ function MidiController() {
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
     };
-  }, [noteOn, noteOff, changeScaleKey, changeScaleIndex]);
+  }, [noteOn, noteOff, changeScaleKey, cycleScale, currentScale]);
+
+  /** Release every note held by keys, pads, touch and mouse (file, looper, sequencer and latched arpeggio keep running). */
+  const releaseHeld = useCallback(() => {
+    heldNotesRef.current.forEach((note, label) => {
+      if (label.startsWith('__file_') || label.startsWith('__loop_') || label.startsWith('__arp_') || label.startsWith('__seq_')) return;
+      noteOff(note, { source: heldSource(label), label });
+      heldNotesRef.current.delete(label);
+    });
+    octaveKeysRef.current.clear();
+    setPressedKeys(new Set());
+    setActiveNotes(Array.from(new Set(heldNotesRef.current.values())));
+  }, [noteOff]);
+
+  /** Silence everything: held notes, the looper, the synth and every connected MIDI output. */
+  const panic = useCallback(() => {
+    console.log('[MIDI] Panic');
+    releaseHeld();
+    if (looperRef.current) looperRef.current.stop();
+    if (arpeggiatorRef.current) arpeggiatorRef.current.clear();
+    if (sequencerRef.current) sequencerRef.current.stop();
+    heldNotesRef.current.clear();
+    setActiveNotes([]);
+    chordNotesRef.current.clear();
+    harmonyNotesRef.current.clear();
+    setChordTones([]);
+    stopAll();
+    flushSentNotes();
+    if (midiAccessRef.current) {
+      Array.from(midiAccessRef.current.outputs.values())
+        .filter(o => o.state !== 'disconnected')
+        .forEach(sendAllNotesOff);
+    }
+  }, [releaseHeld, stopAll, flushSentNotes]);
+
+  // Key-up events never arrive once the window loses focus, so let go of held notes
+  useEffect(() => {
+    const onVisibility = () => { if (document.hidden) releaseHeld(); };
+    window.addEventListener('blur', releaseHeld);
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => {
+      window.removeEventListener('blur', releaseHeld);
+      document.removeEventListener('visibilitychange', onVisibility);
+    };
+  }, [releaseHeld]);
+
+  // Closing the page: note-offs for anything sounding, plus CC 123/120 when enabled
+  useEffect(() => {
+    const onPageHide = () => {
+      flushSentNotes();
+      if (panicOnChangeRef.current) getRoutedOutputs().forEach(sendAllNotesOff);
+    };
+    window.addEventListener('pagehide', onPageHide);
+    return () => window.removeEventListener('pagehide', onPageHide);
+  }, [flushSentNotes, getRoutedOutputs]);
+
+  // Output or channel changes (not transpose/range edits) optionally reset the ports sent to before
+  const routedPorts = JSON.stringify(routes.filter(r => r.enabled).map(r => [r.output, r.channel]));
+  useEffect(() => {
+    const previous = prevRoutedPortsRef.current;
+    prevRoutedPortsRef.current = routedPorts;
+    if (previous === null || previous === routedPorts || !panicOnChangeRef.current) return;
+    new Set(JSON.parse(previous).map(([name]) => name)).forEach(name => {
+      const output = findOutput(name);
+      if (output) sendAllNotesOff(output);
+    });
+  }, [routedPorts, findOutput]);
+
+  // MTS mode retunes every routed port when the tuning or routing changes, and
+  // puts them back in 12-TET on leaving it
+  useEffect(() => {
+    const mts = tuning.output === 'mts';
+    if (midiMuted || (!mts && !mtsSentRef.current)) return;
+    const messages = mtsMessages(mts ? activeTuning.frequencies : EQUAL_FREQUENCIES);
+    getRoutedOutputs().forEach(output => messages.forEach(m => safeSend(output, m)));
+    mtsSentRef.current = mts;
+  }, [tuning.output, midiMuted, activeTuning, routedPorts, midiOutputs, getRoutedOutputs]);
 
   const handleVisualKeyClick = (note) => {
     // Release any previous mouse-held note
     const prevMouse = heldNotesRef.current.get('__mouse__');
     if (prevMouse !== undefined) {
-      noteOff(prevMouse);
+      noteOff(prevMouse, { source: 'mouse' });
       heldNotesRef.current.delete('__mouse__');
     }
     const interval = note - currentNote;
@@ -592,7 +1226,7 @@ function MidiController() {
     heldNotesRef.current.set('__mouse__', note);
     setActiveNotes(Array.from(new Set(heldNotesRef.current.values())));
     setNoteHistory(prev => [...prev.slice(-999), { note, time: Date.now() }]);
-    noteOn(note, null);
+    noteOn(note, null, { source: 'mouse' });
   };
 
   const handleVisualKeyRelease = (note) => {
@@ -600,7 +1234,7 @@ function MidiController() {
     if (mouseNote === note) {
       heldNotesRef.current.delete('__mouse__');
     }
-    noteOff(note);
+    noteOff(note, { source: 'mouse' });
     setActiveNotes(Array.from(new Set(heldNotesRef.current.values())));
   };
 
@@ -609,32 +1243,257 @@ function MidiController() {
     setCurrentNote(newNote);
     setLastInterval(direction * 12);
     setNoteHistory(prev => [...prev.slice(-999), { note: newNote, time: Date.now() }]);
-    noteOn(newNote, null);
-    // Auto-release octave jump after a short hold
-    setTimeout(() => noteOff(newNote), 400);
+    noteOn(newNote, null, { source: 'octave' });
+    // Auto-release after a short hold, timestamped rather than left to a timer —
+    // except to the arpeggiator, which takes key-ups as they happen
+    const releaseAt = performance.now() + OCTAVE_HOLD_MS;
+    if (arpRef.current.enabled) scheduler.defer(releaseAt, () => noteOff(newNote, { source: 'octave' }));
+    else noteOff(newNote, { source: 'octave', time: releaseAt });
+  };
+
+  // Scheduled notes are queued ahead; the keyboard display catches up when they sound
+  const showHeld = useCallback((label, note, time) => {
+    scheduler.defer(time, () => {
+      if (note === null) heldNotesRef.current.delete(label);
+      else heldNotesRef.current.set(label, note);
+      setActiveNotes(Array.from(new Set(heldNotesRef.current.values())));
+    });
+  }, [scheduler]);
+
+  // MIDI file playback — sounds like any other source but stays out of the recorder
+  const handleFileNoteOn = useCallback((id, note, velocity, index, time) => {
+    showHeld(`__file_${id}__`, note, time);
+    noteOn(note, null, { velocity, source: 'file', record: false, time });
+  }, [noteOn, showHeld]);
+
+  const handleFileNoteOff = useCallback((id, note, time) => {
+    showHeld(`__file_${id}__`, null, time);
+    noteOff(note, { source: 'file', record: false, time });
+  }, [noteOff, showHeld]);
+
+  // Looper playback — recorded like live playing, but never captured back into the loop
+  // One label per loop note on both sides, so the synth voice and the recorder pair them up
+  loopCallbacksRef.current = {
+    onNoteOn: (id, note, velocity, time) => {
+      showHeld(`__loop_${id}__`, note, time);
+      noteOn(note, `__loop_${id}__`, { velocity, source: 'looper', time });
+    },
+    onNoteOff: (id, note, time) => {
+      showHeld(`__loop_${id}__`, null, time);
+      noteOff(note, { source: 'looper', label: `__loop_${id}__`, time });
+    },
+  };
+
+  useEffect(() => {
+    const engine = createLooper({
+      scheduler,
+      getBpm: () => bpmRef.current,
+      onNoteOn: (...args) => loopCallbacksRef.current.onNoteOn(...args),
+      onNoteOff: (...args) => loopCallbacksRef.current.onNoteOff(...args),
+    });
+    looperRef.current = engine;
+    setLooper(engine);
+    return () => {
+      engine.dispose();
+      looperRef.current = null;
+    };
+  }, [scheduler]);
+
+  // Arpeggiator output — recorded and looped like live playing
+  arpCallbacksRef.current = {
+    onNoteOn: (id, note, velocity, time) => {
+      showHeld(`__arp_${id}__`, note, time);
+      soundOn(note, null, { velocity, source: 'arp', time });
+    },
+    onNoteOff: (id, note, time) => {
+      showHeld(`__arp_${id}__`, null, time);
+      soundOff(note, { source: 'arp', time });
+    },
   };
 
+  useEffect(() => {
+    const engine = createArpeggiator({
+      scheduler,
+      getBpm: () => bpmRef.current,
+      // Clock sync only applies while an external clock is being followed
+      getOptions: () => (clockModeRef.current === 'receive' ? arpRef.current : { ...arpRef.current, sync: 'tempo' }),
+      getPeriod: () => {
+        const { scale } = currentScale();
+        return scale[scale.length - 1];
+      },
+      onNoteOn: (...args) => arpCallbacksRef.current.onNoteOn(...args),
+      onNoteOff: (...args) => arpCallbacksRef.current.onNoteOff(...args),
+    });
+    arpeggiatorRef.current = engine;
+    return () => {
+      engine.dispose();
+      arpeggiatorRef.current = null;
+    };
+  }, [scheduler, currentScale]);
+
+  // Step sequencer output — played, recorded and looped like the keys it stands in for
+  seqCallbacksRef.current = {
+    onNoteOn: (id, note, velocity, time) => {
+      showHeld(`__seq_${id}__`, note, time);
+      soundOn(note, null, { velocity, source: 'sequencer', time });
+    },
+    onNoteOff: (id, note, time) => {
+      showHeld(`__seq_${id}__`, null, time);
+      soundOff(note, { source: 'sequencer', time });
+    },
+  };
+
+  useEffect(() => {
+    const engine = createStepSequencer({
+      scheduler,
+      getBpm: () => bpmRef.current,
+      getPattern: () => sequenceRef.current,
+      getRoot: () => currentNoteRef.current,
+      // Scale steps walk the current scale and key, semitones move like pads
+      resolve: (from, interval, mode) => {
+        if (mode === 'semitone') return Math.max(0, Math.min(127, from + interval));
+        const { rootKey, scale } = currentScale();
+        return scaleStepNote(from, rootKey, scale, interval);
+      },
+      onNoteOn: (...args) => seqCallbacksRef.current.onNoteOn(...args),
+      onNoteOff: (...args) => seqCallbacksRef.current.onNoteOff(...args),
+    });
+    sequencerRef.current = engine;
+    setSequencer(engine);
+    return () => {
+      engine.dispose();
+      sequencerRef.current = null;
+    };
+  }, [scheduler, currentScale]);
+
+  /** Change arpeggiator options; switching it or its latch off lets go of what it holds. */
+  const updateArp = useCallback((patch) => {
+    const engine = arpeggiatorRef.current;
+    if (engine && patch.enabled === false) engine.clear();
+    else if (engine && patch.latch === false) engine.unlatch();
+    setArp(prev => ({ ...prev, ...patch }));
+  }, []);
+
+  // ─── MIDI clock & transport ───────────────────────────────────────────────
+  useEffect(() => {
+    const master = createClockMaster({
+      scheduler,
+      getBpm: () => bpmRef.current,
+      send: (data, timestamp) => {
+        if (midiMutedRef.current) return;
+        getRoutedOutputs().forEach(output => safeSend(output, data, timestamp));
+      },
+    });
+    const follower = createClockFollower({
+      onTempo: (incoming) => {
+        setBpm(incoming);
+        setTransport(prev => ({ ...prev, incomingBpm: incoming }));
+      },
+      onPulse: (timeStamp) => {
+        if (arpeggiatorRef.current) arpeggiatorRef.current.pulse(timeStamp);
+      },
+      onStart: () => {
+        console.log('[CLOCK] Start received');
+        if (arpeggiatorRef.current) arpeggiatorRef.current.restart();
+        if (looperRef.current) { looperRef.current.stop(); looperRef.current.play(); }
+        setTransport(prev => ({ ...prev, running: true }));
+      },
+      onContinue: () => {
+        console.log('[CLOCK] Continue received');
+        if (looperRef.current) looperRef.current.play(follower.getPosition());
+        setTransport(prev => ({ ...prev, running: true }));
+      },
+      onStop: () => {
+        console.log('[CLOCK] Stop received');
+        if (looperRef.current) looperRef.current.stop();
+        setTransport(prev => ({ ...prev, running: false, position: follower.getPosition() }));
+      },
+      // Normally sent while stopped, so Continue picks up there; a running
+      // looper or sequencer jumps straight to it
+      onSongPosition: (beats) => {
+        if (looperRef.current) looperRef.current.locate(beats);
+        if (sequencerRef.current) sequencerRef.current.locate(beats);
+        setTransport(prev => ({ ...prev, position: beats }));
+      },
+    });
+    clockMasterRef.current = master;
+    clockFollowerRef.current = follower;
+    return () => master.dispose();
+  }, [getRoutedOutputs, scheduler]);
+
+  const changeClockMode = useCallback((mode) => {
+    if (clockMasterRef.current.isRunning()) clockMasterRef.current.stop();
+    clockFollowerRef.current.reset();
+    songPositionRef.current = 0;
+    setTransport({ running: false, incomingBpm: null, position: 0 });
+    setClockMode(mode);
+  }, []);
+
+  const transportStart = useCallback(() => {
+    songPositionRef.current = 0;
+    if (clockModeRef.current === 'send') clockMasterRef.current.start();
+    if (looperRef.current) { looperRef.current.stop(); looperRef.current.play(); }
+    setTransport(prev => ({ ...prev, running: true, position: 0 }));
+  }, []);
+
+  /** Move the stopped transport to `beats`; sending clock, the position goes out as a Song Position Pointer. */
+  const transportLocate = useCallback((beats) => {
+    const master = clockMasterRef.current;
+    if (clockModeRef.current === 'send') {
+      master.setSongPosition(beats);
+      songPositionRef.current = master.getPosition();   // rounded to the sixteenth the pointer carries
+    } else {
+      songPositionRef.current = Math.max(0, beats);
+    }
+    setTransport(prev => ({ ...prev, position: songPositionRef.current }));
+  }, []);
+
+  const transportStop = useCallback(() => {
+    const master = clockMasterRef.current;
+    const sending = clockModeRef.current === 'send';
+    // The clock master counts the song position; without it the looper's playhead stands in
+    let beats = songPositionRef.current;
+    if (sending && master.isRunning()) beats = master.getPosition();
+    else if (!sending && transport.running && looperRef.current) beats = looperRef.current.getPosition();
+    if (sending) master.stop();
+    if (looperRef.current) looperRef.current.stop();
+    setTransport(prev => ({ ...prev, running: false }));
+    transportLocate(beats);
+  }, [transport.running, transportLocate]);
+
+  const transportContinue = useCallback(() => {
+    const beats = songPositionRef.current;
+    if (clockModeRef.current === 'send') {
+      // Re-send the pointer so a receiver that was moved meanwhile resumes in step
+      clockMasterRef.current.setSongPosition(beats);
+      clockMasterRef.current.continue();
+    }
+    if (looperRef.current) looperRef.current.play(beats);
+    setTransport(prev => ({ ...prev, running: true }));
+  }, []);
+
   // Touch / on-screen button handlers — mirror the keyboard handler logic
   const handleTouchBtnDown = useCallback((key, interval) => {
     const prevNote = heldNotesRef.current.get(key);
     if (prevNote !== undefined) {
-      noteOff(prevNote);
+      noteOff(prevNote, { source: 'touch', label: key });
       heldNotesRef.current.delete(key);
     }
     setPressedKeys(prev => new Set([...prev, key]));
     setLastInterval(interval);
-    const newNote = scaleStepNote(currentNoteRef.current, scaleKeyRef.current, flatScales[scaleIndexRef.current].value, interval);
+    const { rootKey, scale } = currentScale();
+    const newNote = scaleStepNote(currentNoteRef.current, rootKey, scale, interval);
     heldNotesRef.current.set(key, newNote);
     setActiveNotes(Array.from(new Set(heldNotesRef.current.values())));
     setCurrentNote(newNote);
     setNoteHistory(prev => [...prev.slice(-999), { note: newNote, time: Date.now() }]);
-    noteOn(newNote, key);
-  }, [noteOn, noteOff]);
+    noteOn(newNote, key, { source: 'touch' });
+  }, [noteOn, noteOff, currentScale]);
 
   const handleTouchBtnUp = useCallback((key) => {
     const heldNote = heldNotesRef.current.get(key);
     if (heldNote !== undefined) {
-      noteOff(heldNote);
+      noteOff(heldNote, { source: 'touch', label: key });
       heldNotesRef.current.delete(key);
     }
     setPressedKeys(prev => {
@@ -670,6 +1529,13 @@ function MidiController() {
           >
             {midiMuted ? '🚫' : '🎹'} {midiMuted ? 'Enable' : 'Disable'} External MIDI
           </button>
+          <button
+            className="mute-btn panic-btn"
+            onClick={panic}
+            title="Stop every sounding note: synth, looper and All Notes Off on every MIDI output and channel"
+          >
+            ⚠ Panic
+          </button>
         </div>
       </header>
 
@@ -687,48 +1553,77 @@ function MidiController() {
           {/* I/O Selection */}
           <div className="midi-io-section">
             <div className="midi-io-col">
-              <h4 className="midi-io-heading">MIDI Input</h4>
-              <select
-                className="midi-select midi-io-select"
-                value={selectedInput || ''}
-                onChange={(e) => setSelectedInput(e.target.value || null)}
-              >
-                <option value="">No MIDI In</option>
-                {midiInputs.map(input => (
-                  <option key={input.id} value={input.id}>{input.name}</option>
-                ))}
-              </select>
+              <h4 className="midi-io-heading">MIDI Inputs</h4>
+              {Object.keys(devices).length === 0 && (
+                <div className="midi-activity">No MIDI inputs found</div>
+              )}
+              <div className="midi-input-list">
+                {Object.entries(devices).map(([name, device]) => {
+                  const connected = midiInputs.some(i => i.name === name && i.state !== 'disconnected');
+                  return (
+                    <div key={name} className={`midi-input-row ${connected ? '' : 'offline'}`}>
+                      <label className="midi-option-label" title={connected ? 'Listen to this device' : 'Disconnected — its mapping is kept for when it returns'}>
+                        <input
+                          type="checkbox"
+                          checked={device.enabled}
+                          onChange={(e) => updateDevice(name, { enabled: e.target.checked })}
+                        />
+                        {name}{connected ? '' : ' (offline)'}
+                      </label>
+                      <select
+                        className="midi-select midi-ch-select"
+                        value={device.channel}
+                        onChange={(e) => updateDevice(name, { channel: Number(e.target.value) })}
+                        title="Only accept notes and CCs on this channel"
+                      >
+                        <option value={0}>ALL Ch</option>
+                        {Array.from({ length: 16 }, (_, i) => (
+                          <option key={i + 1} value={i + 1}>Ch {i + 1}</option>
+                        ))}
+                      </select>
+                    </div>
+                  );
+                })}
+              </div>
               {lastMidiIn && (
                 <div className="midi-activity">
-                  Last: Note {lastMidiIn.note} ({lastMidiIn.name}) vel {lastMidiIn.vel}
+                  Last: {lastMidiIn.device} · Note {lastMidiIn.note} ({lastMidiIn.name}) vel {lastMidiIn.vel}
                 </div>
               )}
             </div>
             <div className="midi-io-col">
-              <h4 className="midi-io-heading">MIDI Output</h4>
-              <select
-                className="midi-select midi-io-select"
-                value={selectedOutput || ''}
-                onChange={(e) => setSelectedOutput(e.target.value || null)}
-              >
-                <option value="">No MIDI Out</option>
-                {midiOutputs.map(output => (
-                  <option key={output.id} value={output.id}>{output.name}</option>
-                ))}
-              </select>
-              <select
-                className="midi-select midi-ch-select"
-                value={midiChannel}
-                onChange={(e) => setMidiChannel(Number(e.target.value))}
-              >
-                <option value={0}>ALL Ch</option>
-                {Array.from({ length: 16 }, (_, i) => (
-                  <option key={i + 1} value={i + 1}>Ch {i + 1}</option>
-                ))}
-              </select>
+              <h4 className="midi-io-heading">MIDI Outputs</h4>
+              <OutputRouting
+                routes={routes}
+                outputs={midiOutputs.filter(o => o.state !== 'disconnected')}
+                onChange={setRoutes}
+              />
+              <label className="midi-option-label" title="Sends CC 123 (All Notes Off) and CC 120 (All Sound Off) on all 16 channels">
+                <input
+                  type="checkbox"
+                  checked={panicOnChange}
+                  onChange={(e) => setPanicOnChange(e.target.checked)}
+                />
+                All Notes Off on output change and page close
+              </label>
             </div>
           </div>
 
+          {/* Named presets for the active controller */}
+          <PresetManager
+            controller={controllerName}
+            getSnapshot={getSessionSnapshot}
+            onLoad={applySession}
+            defaults={DEFAULT_SESSION}
+          />
+
+          {/* Mapping profile import/export */}
+          <ProfileTransfer
+            getProfile={() => ({ padMap: editedPadMap, ccMap: editedCcMap, usePadVelocity, keyVelocities, customScales, favoriteScales })}
+            onImport={applyProfile}
+            validation={PROFILE_VALIDATION}
+          />
+
           {/* Pad Velocity Toggle */}
           <div className="midi-option-row">
             <label className="midi-option-label">
@@ -741,6 +1636,28 @@ function MidiController() {
             </label>
           </div>
 
+          {/* Which device the pad and CC maps below belong to */}
+          <div className="midi-option-row">
+            <label className="midi-option-label">
+              Edit maps for
+              <select
+                className="midi-select midi-io-select"
+                value={mappingDevice || ''}
+                onChange={(e) => {
+                  setMappingDevice(e.target.value || null);
+                  setMidiLearnTarget(null);
+                  setRapidLearnActive(false);
+                  setCcLearnTarget(null);
+                }}
+              >
+                <option value="">New devices (defaults)</option>
+                {Object.keys(devices).map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
           {/* Pad Mapping */}
           <div className="pad-map-section">
             <h4 className="midi-io-heading">Pad Mapping</h4>
@@ -750,7 +1667,7 @@ function MidiController() {
             <div className="pad-map-grid">
               {ASSIGNABLE_ACTIONS.map(action => {
                 // Find which MIDI note is mapped to this interval
-                const mappedEntry = Object.entries(padMap).find(([, v]) => v.interval === action.value);
+                const mappedEntry = Object.entries(editedPadMap).find(([, v]) => v.interval === action.value);
                 const mappedNote = mappedEntry ? Number(mappedEntry[0]) : null;
                 const isLearning = midiLearnTarget === action.value;
                 return (
@@ -772,7 +1689,7 @@ function MidiController() {
                     {mappedNote !== null && (
                       <button
                         className="pad-map-clear-btn"
-                        onClick={() => setPadMap(prev => {
+                        onClick={() => setEditedPadMap(prev => {
                           const next = { ...prev };
                           delete next[mappedNote];
                           return next;
@@ -792,7 +1709,7 @@ function MidiController() {
                     setRapidLearnActive(false);
                     setMidiLearnTarget(null);
                   } else {
-                    setPadMap({});
+                    setEditedPadMap({});
                     setRapidLearnActive(true);
                     setMidiLearnTarget(ASSIGNABLE_ACTIONS[0].value);
                   }
@@ -801,12 +1718,12 @@ function MidiController() {
               >{rapidLearnActive ? '⏹ Stop Rapid Learn' : '⚡ Rapid Learn'}</button>
               <button
                 className="pad-map-action-btn"
-                onClick={() => setPadMap(DEFAULT_PAD_MAP)}
+                onClick={() => setEditedPadMap(DEFAULT_PAD_MAP)}
                 title="Reset all pad mappings to MPD218 defaults (Bank A)"
               >Reset to defaults</button>
               <button
                 className="pad-map-action-btn"
-                onClick={() => setPadMap({})}
+                onClick={() => setEditedPadMap({})}
                 title="Clear all pad mappings"
               >Clear all</button>
               <button
@@ -825,7 +1742,7 @@ function MidiController() {
             </p>
             <div className="pad-map-grid">
               {SYNTH_CONTROLS.map(ctrl => {
-                const mappedEntry = Object.entries(ccMap).find(([, v]) => v === ctrl.id);
+                const mappedEntry = Object.entries(editedCcMap).find(([, v]) => v === ctrl.id);
                 const mappedCc = mappedEntry ? Number(mappedEntry[0]) : null;
                 const isLearning = ccLearnTarget === ctrl.id;
                 return (
@@ -843,7 +1760,7 @@ function MidiController() {
                     {mappedCc !== null && (
                       <button
                         className="pad-map-clear-btn"
-                        onClick={() => setCcMap(prev => {
+                        onClick={() => setEditedCcMap(prev => {
                           const next = { ...prev };
                           delete next[mappedCc];
                           return next;
@@ -858,7 +1775,7 @@ function MidiController() {
             <div className="pad-map-actions">
               <button
                 className="pad-map-action-btn"
-                onClick={() => setCcMap({})}
+                onClick={() => setEditedCcMap({})}
                 title="Clear all CC mappings"
               >Clear all</button>
               <button
@@ -919,7 +1836,7 @@ function MidiController() {
       <div className="touch-buttons-section">
         <label className="section-label">Touchscreen Buttons</label>
         <div className="key-hints-bar">
-          {DEFAULT_KEY_LABELS.map(({ key, interval, isSpace }) => {
+          {keys.map(({ code: key, interval, cap }) => {
             const targetNote = Math.max(0, Math.min(127, currentNote + interval));
             const vel = keyVelocities[key] || 100;
             const opacity = 0.25 + (vel / 127) * 0.75;
@@ -931,7 +1848,7 @@ function MidiController() {
                 <div
                   className={[
                     'key-btn',
-                    isSpace ? 'space' : '',
+                    key === 'Space' ? 'space' : '',
                     interval < 0 ? 'neg' : interval > 0 ? 'pos' : 'zero',
                     pressedKeys.has(key) ? 'pressed' : '',
                   ].filter(Boolean).join(' ')}
@@ -944,7 +1861,7 @@ function MidiController() {
                   onPointerUp={() => handleTouchBtnUp(key)}
                   onPointerCancel={() => handleTouchBtnUp(key)}
                 >
-                  <span className="key-cap">{key}</span>
+                  <span className="key-cap">{cap}</span>
                   <span className="key-interval">
                     {interval > 0 ? `+${interval}` : interval === 0 ? 'RPT' : interval}
                   </span>
@@ -971,11 +1888,11 @@ function MidiController() {
                     onKeyDown={(e) => e.stopPropagation()}
                   >
                     <div className="vel-popup-header">
-                      <span className="vel-popup-title">Key {key} Velocity</span>
+                      <span className="vel-popup-title">Key {cap} Velocity</span>
                       <button className="vel-popup-close" onClick={() => setVelocityPopup(null)}>✕</button>
                     </div>
                     <p className="vel-popup-desc">
-                      Controls how hard the <strong>{key}</strong> key strikes.
+                      Controls how hard the <strong>{cap}</strong> key strikes.
                       Only affects this key — other keys keep their own velocity.
                     </p>
                     <div className="vel-popup-slider-row">
@@ -1039,18 +1956,123 @@ function MidiController() {
       </div>
 
       {/* Staff Notation */}
-      <Staff noteHistory={noteHistory} />
+      <Staff noteHistory={fileStaffNotes || noteHistory} getPerformance={() => recorderRef.current.getEvents()} renderAudio={renderAudio} bpm={bpm} />
+
+      {/* Transport & Clock */}
+      <div className="collapsible-section">
+        <button
+          className="collapsible-header"
+          onClick={() => setShowClock(!showClock)}
+        >
+          {showClock ? '▾' : '▸'} Transport &amp; Clock
+        </button>
+        <div className={`collapsible-body ${showClock ? 'open' : ''}`}>
+          <div className="collapsible-inner">
+          <ClockPanel
+            mode={clockMode}
+            onModeChange={changeClockMode}
+            bpm={bpm}
+            onBpmChange={setBpm}
+            transport={transport}
+            onStart={transportStart}
+            onStop={transportStop}
+            onContinue={transportContinue}
+            onLocate={transportLocate}
+          />
+          </div>
+        </div>
+      </div>
+
+      {/* Looper */}
+      <div className="collapsible-section">
+        <button
+          className="collapsible-header"
+          onClick={() => setShowLooper(!showLooper)}
+        >
+          {showLooper ? '▾' : '▸'} Looper
+        </button>
+        <div className={`collapsible-body ${showLooper ? 'open' : ''}`}>
+          <div className="collapsible-inner">
+          <Looper looper={looper} bpm={bpm} onBpmChange={setBpm} bpmLocked={clockMode === 'receive'} />
+          </div>
+        </div>
+      </div>
+
+      {/* Harmonizer */}
+      <div className="collapsible-section">
+        <button
+          className="collapsible-header"
+          onClick={() => setShowHarmonizer(!showHarmonizer)}
+        >
+          {showHarmonizer ? '▾' : '▸'} Harmonizer{harmony.enabled ? ' ●' : ''}
+        </button>
+        <div className={`collapsible-body ${showHarmonizer ? 'open' : ''}`}>
+          <div className="collapsible-inner">
+          <Harmonizer harmony={harmony} onChange={(patch) => setHarmony(prev => ({ ...prev, ...patch }))} />
+          </div>
+        </div>
+      </div>
+
+      {/* Arpeggiator */}
+      <div className="collapsible-section">
+        <button
+          className="collapsible-header"
+          onClick={() => setShowArp(!showArp)}
+        >
+          {showArp ? '▾' : '▸'} Arpeggiator{arp.enabled ? ' ●' : ''}
+        </button>
+        <div className={`collapsible-body ${showArp ? 'open' : ''}`}>
+          <div className="collapsible-inner">
+          <Arpeggiator arp={arp} onChange={updateArp} receiving={clockMode === 'receive'} />
+          </div>
+        </div>
+      </div>
+
+      {/* Step Sequencer */}
+      <div className="collapsible-section">
+        <button
+          className="collapsible-header"
+          onClick={() => setShowSequencer(!showSequencer)}
+        >
+          {showSequencer ? '▾' : '▸'} Step Sequencer
+        </button>
+        <div className={`collapsible-body ${showSequencer ? 'open' : ''}`}>
+          <div className="collapsible-inner">
+          <StepSequencer sequencer={sequencer} pattern={sequence} onChange={setSequence} intervals={ASSIGNABLE_ACTIONS} />
+          </div>
+        </div>
+      </div>
+
+      {/* MIDI File Player */}
+      <div className="collapsible-section">
+        <button
+          className="collapsible-header"
+          onClick={() => setShowFilePlayer(!showFilePlayer)}
+        >
+          {showFilePlayer ? '▾' : '▸'} MIDI File Player
+        </button>
+        <div className={`collapsible-body ${showFilePlayer ? 'open' : ''}`}>
+          <div className="collapsible-inner">
+          <MidiFilePlayer
+            scheduler={scheduler}
+            onNoteOn={handleFileNoteOn}
+            onNoteOff={handleFileNoteOff}
+            onStaffNotes={setFileStaffNotes}
+          />
+          </div>
+        </div>
+      </div>
 
       {/* Piano */}
       {(() => {
-        const scaleVal = flatScales[scaleIndex].value;
-        const overlayNotes = DEFAULT_KEY_LABELS.map(({ key, interval, isSpace }) => ({
-          label: isSpace ? '\u2395' : key,
-          targetNote: interval === 0 ? currentNote : scaleStepNote(currentNote, scaleKey, scaleVal, interval),
+        const { rootKey, scale } = keyScale(activeTuning, scaleKey, scaleValueAt(scales, scaleIndex));
+        const overlayNotes = keys.map(({ code, interval, cap }) => ({
+          label: code === 'Space' ? '\u2395' : cap,
+          targetNote: interval === 0 ? currentNote : scaleStepNote(currentNote, rootKey, scale, interval),
         }));
         return (
           <Keyboard
-            activeNotes={activeNotes}
+            activeNotes={chordTones.length ? Array.from(new Set([...activeNotes, ...chordTones])) : activeNotes}
             onNoteOn={handleVisualKeyClick}
             onNoteOff={handleVisualKeyRelease}
             currentNote={currentNote}
@@ -1077,25 +2099,160 @@ function MidiController() {
         </div>
         <div className="scale-key-row">
           <span className="scale-key-label">Scale</span>
-          <button className="sk-arrow sk-arrow-neg" onClick={() => changeScaleIndex((scaleIndex - 1 + flatScales.length) % flatScales.length)} title="Scale prev  {  hotkey">◂</button>
+          <button className="sk-arrow sk-arrow-neg" onClick={() => cycleScale(-1)} title="Scale prev  {  hotkey">◂</button>
           <select
             className="sk-select sk-select-wide"
             value={scaleIndex}
             onChange={(e) => changeScaleIndex(Number(e.target.value))}
           >
-            {scaleGroups.map(group => (
+            {scaleOptionGroups.map(group => (
               <optgroup key={group.group} label={group.group}>
-                {Object.keys(group.scales).map((name) => {
-                  const label = name.charAt(0).toUpperCase() + name.slice(1);
-                  const idx = flatScales.findIndex(s => s.label === label);
-                  return <option key={name} value={idx}>{label}</option>;
-                })}
+                {group.entries.map(({ scale, index }) => (
+                  <option key={scale.id} value={index}>
+                    {favoriteScales.includes(scale.id) ? '★ ' : ''}{scale.label}
+                  </option>
+                ))}
               </optgroup>
             ))}
           </select>
-          <button className="sk-arrow sk-arrow-pos" onClick={() => changeScaleIndex((scaleIndex + 1) % flatScales.length)} title="Scale next  }  hotkey">▸</button>
+          <button className="sk-arrow sk-arrow-pos" onClick={() => cycleScale(1)} title="Scale next  }  hotkey">▸</button>
+          <button
+            className={`sk-arrow sk-favorite ${favoriteScales.includes(scales[scaleIndex].id) ? 'active' : ''}`}
+            onClick={() => toggleFavoriteScale(scales[scaleIndex].id)}
+            title="Favourite — with any favourites marked, { / } cycle through those only"
+          >★</button>
+        </div>
+        <div className="scale-key-row">
+          <span className="scale-key-label">Chord</span>
+          <label className="chord-toggle" title="Each key plays a chord built on its note from the current scale">
+            <input
+              type="checkbox"
+              checked={chord.enabled}
+              onChange={(e) => setChord(prev => ({ ...prev, enabled: e.target.checked }))}
+            />
+            On
+          </label>
+          <select
+            className="sk-select"
+            value={chord.type}
+            onChange={(e) => setChord(prev => ({ ...prev, type: e.target.value }))}
+          >
+            {CHORD_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+          </select>
+          <select
+            className="sk-select"
+            value={chord.voicing}
+            onChange={(e) => {
+              lastChordRef.current = null;
+              setChord(prev => ({ ...prev, voicing: e.target.value }));
+            }}
+          >
+            {CHORD_VOICINGS.map(v => <option key={v.value} value={v.value}>{v.label}</option>)}
+          </select>
+        </div>
+        {chord.type === 'custom' && (
+          <div className="scale-key-row">
+            <span className="scale-key-label">Steps</span>
+            <input
+              className={`sk-select chord-steps ${customChordText !== null && !parseChordSteps(customChordText) ? 'invalid' : ''}`}
+              value={customChordText !== null ? customChordText : chord.custom.join(' ')}
+              onChange={(e) => {
+                setCustomChordText(e.target.value);
+                const steps = parseChordSteps(e.target.value);
+                if (steps) setChord(prev => ({ ...prev, custom: steps }));
+              }}
+              onBlur={() => setCustomChordText(null)}
+              onKeyDown={(e) => e.stopPropagation()}
+              onKeyUp={(e) => e.stopPropagation()}
+              title="Scale steps above the root, e.g. 0 2 4 6 for a seventh chord"
+            />
+          </div>
+        )}
+        {(chord.enabled || harmony.enabled) && chordTones.length > 0 && (
+          <p className="chord-tones">{[...chordTones].sort((a, b) => a - b).map(getNoteName).join(' · ')}</p>
+        )}
+        <p className="sk-hotkey-hint">
+          {activeTuning.scale[activeTuning.scale.length - 1] === 12
+            ? <>[ / ] cycle key · {'{ / }'} cycle {favoriteScales.length ? 'favourite scales' : 'scale'}</>
+            : `Keys step through the ${activeTuning.scale.length - 1} mapped degrees of ${activeTuning.name}`}
+        </p>
+      </div>
+
+      {/* Scale Detection */}
+      <div className="collapsible-section">
+        <button
+          className="collapsible-header"
+          onClick={() => setShowDetector(!showDetector)}
+        >
+          {showDetector ? '▾' : '▸'} Detect Key & Scale
+        </button>
+        <div className={`collapsible-body ${showDetector ? 'open' : ''}`}>
+          <div className="collapsible-inner">
+          <ScaleDetector
+            source={detectSource}
+            onSourceChange={setDetectSource}
+            noteCount={detectNotes.length}
+            histogram={detectHistogram}
+            matches={detectMatches}
+            scales={scales}
+            current={{ key: scaleKey, scaleIndex }}
+            onApply={applyDetected}
+            onClear={() => (detectSource === 'input' ? setHeardNotes([]) : setPlayedSince(Date.now()))}
+          />
+          </div>
+        </div>
+      </div>
+
+      {/* Scale Editor */}
+      <div className="collapsible-section">
+        <button
+          className="collapsible-header"
+          onClick={() => setShowScaleEditor(!showScaleEditor)}
+        >
+          {showScaleEditor ? '▾' : '▸'} Scale Editor{customScales.length ? ` · ${customScales.length} custom` : ''}
+        </button>
+        <div className={`collapsible-body ${showScaleEditor ? 'open' : ''}`}>
+          <div className="collapsible-inner">
+          <ScaleEditor
+            current={scales[scaleIndex]}
+            customScales={customScales}
+            scaleKey={scaleKey}
+            onSave={saveCustomScale}
+            onDelete={deleteCustomScale}
+            onAudition={auditionScale}
+          />
+          </div>
+        </div>
+      </div>
+
+      {/* Keyboard Layout */}
+      <div className="collapsible-section">
+        <button
+          className="collapsible-header"
+          onClick={() => setShowKeyLayout(!showKeyLayout)}
+        >
+          {showKeyLayout ? '▾' : '▸'} Keyboard Layout · {keys.length} keys
+        </button>
+        <div className={`collapsible-body ${showKeyLayout ? 'open' : ''}`}>
+          <div className="collapsible-inner">
+          <KeyLayoutEditor layout={keyLayout} onChange={setKeyLayout} />
+          </div>
+        </div>
+      </div>
+
+      {/* Tuning */}
+      <div className="collapsible-section">
+        <button
+          className="collapsible-header"
+          onClick={() => setShowTuning(!showTuning)}
+        >
+          {showTuning ? '▾' : '▸'} Tuning{activeTuning.equal ? '' : ` · ${activeTuning.name}`}
+        </button>
+        <div className={`collapsible-body ${showTuning ? 'open' : ''}`}>
+          <div className="collapsible-inner">
+          <TuningPanel tuning={tuning} active={activeTuning} onChange={(patch) => setTuning(prev => ({ ...prev, ...patch }))} />
+          </div>
         </div>
-        <p className="sk-hotkey-hint">[ / ] cycle key · {'{ / }'} cycle scale</p>
       </div>
 
       {/* Collapsible Controls */}
@@ -1112,6 +2269,16 @@ function MidiController() {
             settings={settings}
             updateSetting={updateSetting}
           />
+          {settings.engine === 'sampler' && (
+            <SamplerPanel
+              zones={sampleZones}
+              onAddFiles={addSamples}
+              onUpdate={updateSampleZone}
+              onRemove={removeSampleZone}
+              onAuditionStart={(note) => playNote(note, 100, '__sampler_audition__')}
+              onAuditionStop={(note) => stopNote(note, '__sampler_audition__')}
+            />
+          )}
           </div>
         </div>
       </div>
@@ -1137,10 +2304,11 @@ function MidiController() {
             <div className="modal-section">
               <h3>How to play</h3>
               <ul>
-                <li><strong>Keyboard:</strong> Use A S D F (negative intervals), SPACE (repeat), J K L ; (positive intervals) to move by semitones.</li>
+                <li><strong>Keyboard:</strong> Use A S D F (negative intervals), SPACE (repeat), J K L ; (positive intervals) to move through the scale; Q W E R and U I O P move 5–8 steps, and holding Left/Right Shift adds an octave down/up. Rebind any key under Keyboard Layout.</li>
                 <li><strong>Octave jumps:</strong> Click the OCT buttons or map pads to ±12.</li>
                 <li><strong>MIDI pads:</strong> Connect a pad controller (like an Akai MPD218), open MIDI Setup, and map pads to any interval from −12 to +12.</li>
-                <li><strong>Knob mapping:</strong> Map MIDI CC knobs to synth controls (filter, envelope, volume) for hands-on tweaking.</li>
+                <li><strong>Expression:</strong> Pitch bend, mod wheel (vibrato) and aftertouch from your controller play the synth and pass through to MIDI out.</li>
+                <li><strong>Knob mapping:</strong> Map MIDI CC knobs to synth controls (filter, envelope, effects, volume) for hands-on tweaking.</li>
                 <li><strong>Rapid Learn:</strong> Hit ⚡ Rapid Learn, then press your pads left-to-right to assign all intervals in sequence.</li>
               </ul>
             </div>
@@ -1148,12 +2316,27 @@ function MidiController() {
             <div className="modal-section">
               <h3>Features</h3>
               <ul>
-                <li>Built-in browser synth with oscillator, ADSR envelope, and resonant filter</li>
-                <li>MIDI output to external instruments, DAWs, and hardware</li>
-                <li>MIDI input with pad-to-interval mapping and CC-to-control mapping</li>
+                <li>Built-in browser synth with two oscillators plus noise, amp and filter envelopes, four filter types and two LFOs</li>
+                <li>Sampler engine: load your own audio files into key zones and velocity layers, saved in the browser</li>
+                <li>Effects rack with chorus, tempo-synced delay, reverb and compressor in any order</li>
+                <li>MIDI output to several ports at once with per-destination channel, transpose and key range</li>
+                <li>Panic button, plus automatic note release when the window loses focus</li>
+                <li>Several MIDI inputs at once, each with its own pad map, CC map and channel filter</li>
+                <li>Chord mode: every key plays a triad, seventh, sus, add9 or custom chord from the current scale, with inversions or voice leading</li>
+                <li>Microtonal tunings from Scala .scl/.kbm files, sent out as MTS SysEx or per-note pitch bend</li>
+                <li>Harmonizer adding up to three scale-aware voices to every note, optionally on their own MIDI channel</li>
+                <li>Configurable computer-keyboard layout by key position, with QWERTY, AZERTY and Dvorak labels and octave modifier keys</li>
+                <li>Key and scale detection from incoming MIDI or the notes you play</li>
+                <li>Scale editor for your own scales, filed in groups, with favourites for the {'{ / }'} hotkeys</li>
                 <li>Per-key velocity control with adjustable multiplier</li>
+                <li>Automatic session saving plus named presets per controller</li>
                 <li>Live grand staff notation with note history</li>
-                <li>Export your session as SVG or MIDI file</li>
+                <li>Export your session as SVG, MIDI file or a WAV rendered through the synth</li>
+                <li>Import MIDI files and play them back through the synth and MIDI output</li>
+                <li>Overdub looper with per-layer mute and undo</li>
+                <li>Step sequencer of relative moves with per-step velocity, gate, probability and rests, played from whatever note you are on</li>
+                <li>Arpeggiator with up, down, up-down, random and as-played patterns, latch and MIDI clock sync</li>
+                <li>MIDI clock master or follower with Start/Stop/Continue</li>
               </ul>
             </div>
 
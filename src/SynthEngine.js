@@ -1,40 +1,138 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
+import {
+  createSynthBus, updateSynthBus, createVoice, updateVoice,
+  triggerVoice, glideVoice, releaseVoice, disposeVoice,
+} from './synthVoice';
+import { createEffectsRack, updateEffectsRack } from './synthEffects';
+import { createZone, pickZone } from './sampler';
+import { loadSampleSet, saveSample, saveZone, deleteSample } from './sampleStore';
+import { renderNotes } from './audioRender';
 
-export const useSynth = () => {
+export const DEFAULT_SYNTH_SETTINGS = {
+  engine: 'synth',           // 'synth' (oscillators) | 'sampler' (loaded samples)
+  waveform: 'sawtooth',      // oscillator 1
+  osc2Wave: 'square',
+  osc2Octave: 0,             // −2…+2
+  osc2Detune: 7,             // cents
+  osc2Mix: 0,                // 0 = osc 1 only, 1 = osc 2 only
+  noiseLevel: 0,
+  attack: 0.01,
+  decay: 0.1,
+  sustain: 0.5,
+  release: 0.3,
+  filterType: 'lowpass',     // 'lowpass' | 'highpass' | 'bandpass' | 'notch'
+  cutoff: 2000,
+  resonance: 1,
+  filterEnvAmount: 0,        // octaves the filter envelope sweeps (negative sweeps down)
+  filterAttack: 0.01,
+  filterDecay: 0.3,
+  filterSustain: 0.3,
+  filterRelease: 0.3,
+  lfo1Wave: 'sine',
+  lfo1Target: 'off',         // 'off' | 'pitch' | 'cutoff' | 'amp'
+  lfo1Rate: 5,               // Hz
+  lfo1Depth: 0.3,            // 0–1
+  lfo2Wave: 'triangle',
+  lfo2Target: 'off',
+  lfo2Rate: 0.5,
+  lfo2Depth: 0.3,
+  masterVolume: 0.5,
+  bendRange: 2,              // semitones at full pitch bend
+  vibratoRate: 5,            // Hz
+  vibratoDepth: 50,          // cents at full mod wheel
+  aftertouchTarget: 'cutoff', // 'cutoff' | 'volume' | 'none'
+  aftertouchDepth: 0.5,      // 0–1: up to +3 octaves of cutoff, or up to double volume
+  polyphony: 16,             // voices before stealing
+  stealMode: 'oldest',       // 'oldest' | 'quietest' | 'same-note'
+  voiceMode: 'poly',         // 'poly' | 'mono' (retrigger) | 'legato' (no retrigger)
+  glide: 0,                  // seconds, mono/legato only
+  unison: 1,                 // oscillators per voice
+  unisonDetune: 10,          // cents between the outermost unison oscillators
+  unisonSpread: 0.5,         // stereo width of the unison stack, 0–1
+  effectsOrder: ['chorus', 'delay', 'reverb', 'compressor'],
+  chorusEnabled: false,
+  chorusRate: 0.8,           // Hz
+  chorusDepth: 3,            // ms of delay sweep
+  chorusMix: 0.5,
+  delayEnabled: false,
+  delayDivision: 5,          // index into DELAY_DIVISIONS (1/8 dotted)
+  delayFeedback: 0.35,
+  delayMix: 0.3,
+  reverbEnabled: false,
+  reverbSize: 2,             // seconds of tail
+  reverbDecay: 3,            // higher dies away faster
+  reverbMix: 0.25,
+  compressorEnabled: false,
+  compThreshold: -12,        // dB
+  compRatio: 12,             // high ratio + fast attack = limiter
+  compKnee: 6,               // dB
+  compAttack: 0.003,         // seconds
+  compRelease: 0.25,         // seconds
+  compMakeup: 0,             // dB
+};
+
+const STEAL_RELEASE = 0.015;   // seconds; fast fade for stolen voices
+
+/** The voice to give up when the polyphony cap is reached. */
+export function pickVoiceToSteal(voices, note, policy) {
+  if (policy === 'same-note') {
+    const same = voices.find(v => v.note === note);
+    if (same) return same;
+  }
+  if (policy === 'quietest') {
+    return voices.reduce((quietest, v) => (v.amp.gain.value < quietest.amp.gain.value ? v : quietest));
+  }
+  return voices[0];   // oldest
+}
+
+/**
+ * AudioContext time for a performance.now() timestamp (now when omitted),
+ * so scheduled notes sound when their timestamped MIDI counterparts do.
+ */
+function audioTimeAt(ctx, time) {
+  if (time === undefined) return ctx.currentTime;
+  const stamp = ctx.getOutputTimestamp ? ctx.getOutputTimestamp() : null;
+  const at = stamp && stamp.performanceTime
+    ? stamp.contextTime + (time - stamp.performanceTime) / 1000
+    : ctx.currentTime + (time - performance.now()) / 1000;
+  return Math.max(ctx.currentTime, at);
+}
+
+export const useSynth = (initialSettings) => {
   const audioContext = useRef(null);
   const masterGain = useRef(null);
-  const filterNode = useRef(null);
-  const activeOscillators = useRef({});
-  const stopNoteRef = useRef(null);
-
-  const [settings, setSettings] = useState({
-    waveform: 'sawtooth',
-    attack: 0.01,
-    decay: 0.1,
-    sustain: 0.5,
-    release: 0.3,
-    cutoff: 2000,
-    resonance: 1,
-    masterVolume: 0.5
-  });
+  const bus = useRef(null);              // LFOs, tremolo and expression shared by all voices
+  const effects = useRef(null);          // effects rack between the bus and master gain
+  const voices = useRef([]);             // sounding voices, oldest first
+  const sampleBuffers = useRef(new Map());   // zone id → decoded AudioBuffer
+  const monoStack = useRef([]);          // held notes in mono/legato mode: { note, key, velocity }
+  // Live performance controllers: bend −1…1, mod wheel and pressures 0…1
+  const controllers = useRef({ bend: 0, mod: 0, channelPressure: 0, polyPressure: {} });
+
+  const [settings, setSettings] = useState(() => ({ ...DEFAULT_SYNTH_SETTINGS, ...initialSettings }));
+  const [tempo, setTempo] = useState(120);   // BPM for tempo-synced effects
+  const [tuning, setTuning] = useState(null);   // Hz per MIDI note (null entries are silent); null = 12-TET
+  const [sampleZones, setSampleZones] = useState([]);   // sampler zone settings, no audio
 
   useEffect(() => {
     // Initialize Audio Context
     const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) {
+      console.warn('[SYNTH] Web Audio is not available; the built-in synth stays silent');
+      return undefined;
+    }
     audioContext.current = new AudioContext();
     
     // Master Gain
     masterGain.current = audioContext.current.createGain();
     masterGain.current.gain.value = 0.5;
-    
-    // Filter
-    filterNode.current = audioContext.current.createBiquadFilter();
-    filterNode.current.type = 'lowpass';
-    filterNode.current.frequency.value = 2000;
-    filterNode.current.Q.value = 1;
+
+    bus.current = createSynthBus(audioContext.current);
+    effects.current = createEffectsRack(audioContext.current);
 
     // Connect graph
-    filterNode.current.connect(masterGain.current);
+    bus.current.output.connect(effects.current.input);
+    effects.current.output.connect(masterGain.current);
     masterGain.current.connect(audioContext.current.destination);
 
     return () => {
@@ -44,88 +142,261 @@ export const useSynth = () => {
     };
   }, []);
 
+  // Restore the sample set saved in IndexedDB
+  useEffect(() => {
+    let cancelled = false;
+    loadSampleSet().then(async records => {
+      const zones = [];
+      for (const { data, ...zone } of records) {
+        if (cancelled || !audioContext.current) return;
+        try {
+          sampleBuffers.current.set(zone.id, await audioContext.current.decodeAudioData(data.slice(0)));
+          zones.push(zone);
+        } catch (err) {
+          console.warn(`[SAMPLER] Could not decode ${zone.name}:`, err);
+        }
+      }
+      if (!cancelled) setSampleZones(zones);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
   useEffect(() => {
     if (masterGain.current) {
       masterGain.current.gain.setTargetAtTime(settings.masterVolume, audioContext.current.currentTime, 0.01);
     }
-    if (filterNode.current) {
-      filterNode.current.frequency.setTargetAtTime(settings.cutoff, audioContext.current.currentTime, 0.01);
-      filterNode.current.Q.setTargetAtTime(settings.resonance, audioContext.current.currentTime, 0.01);
+  }, [settings.masterVolume]);
+
+  useEffect(() => {
+    if (effects.current) {
+      updateEffectsRack(effects.current, settings, tempo, audioContext.current.currentTime);
     }
-  }, [settings.masterVolume, settings.cutoff, settings.resonance]);
+  }, [settings, tempo]);
+
+  /** Apply the current settings and controllers to the bus and every sounding voice. */
+  const refresh = useCallback(() => {
+    if (!bus.current) return;
+    const at = audioContext.current.currentTime;
+    updateSynthBus(bus.current, settings, controllers.current, at);
+    voices.current.forEach(voice => updateVoice(voice, bus.current, settings, controllers.current, at));
+  }, [settings]);
+
+  useEffect(() => { refresh(); }, [refresh]);
 
-  const playNote = useCallback((note, velocity = 127) => {
+  /** Pitch bend, −1…1, applied to every sounding voice. */
+  const setPitchBend = useCallback((value) => {
+    controllers.current.bend = value;
+    refresh();
+  }, [refresh]);
+
+  /** Mod wheel, 0…1, scales the vibrato depth. */
+  const setModWheel = useCallback((value) => {
+    controllers.current.mod = value;
+    refresh();
+  }, [refresh]);
+
+  /**
+   * Aftertouch, 0…1: channel pressure, or poly pressure when `note` is given.
+   * Opens the filter or swells volume depending on settings.aftertouchTarget.
+   */
+  const setPressure = useCallback((value, note) => {
+    if (note === undefined) {
+      controllers.current.channelPressure = value;
+    } else if (value > 0) {
+      controllers.current.polyPressure[note] = value;
+    } else {
+      delete controllers.current.polyPressure[note];
+    }
+    refresh();
+  }, [refresh]);
+
+  // Fade a voice out from audio time `at` and free its nodes once it has stopped
+  const release = useCallback((voice, time, at = audioContext.current.currentTime) => {
+    const end = releaseVoice(voice, settings, at, time);
+    setTimeout(() => disposeVoice(voice), (end - audioContext.current.currentTime + 0.1) * 1000);
+  }, [settings]);
+
+  /**
+   * Start a note. `key` identifies who is holding it (a keyboard key, pad,
+   * player…) so two sources on the same note get separate voices and each
+   * stopNote releases its own. `time` is an optional performance.now()
+   * timestamp for notes queued ahead by the scheduler.
+   */
+  const playNote = useCallback((note, velocity = 127, key = null, time) => {
     if (!audioContext.current) return;
+    if (tuning && !tuning[note]) return;   // key left unmapped by the tuning's keyboard mapping
     
     // Resume context if suspended (browser policy)
     if (audioContext.current.state === 'suspended') {
       audioContext.current.resume();
     }
 
-    const freq = 440 * Math.pow(2, (note - 69) / 12);
-    const now = audioContext.current.currentTime;
-    const vel = velocity / 127;
-
-    const osc = audioContext.current.createOscillator();
-    const gain = audioContext.current.createGain();
+    const ctx = audioContext.current;
+    const at = audioTimeAt(ctx, time);
+    const start = () => {
+      // The sampler falls back to the oscillators until samples are loaded
+      const zone = settings.engine === 'sampler' ? pickZone(sampleZones, note, velocity) : null;
+      const buffer = zone && sampleBuffers.current.get(zone.id);
+      const voice = createVoice(ctx, bus.current, settings, { note, velocity, key, at, zone, buffer, frequencies: tuning });
+      updateVoice(voice, bus.current, settings, controllers.current, at);
+      triggerVoice(voice, settings, at);
+      return voice;
+    };
 
-    osc.type = settings.waveform;
-    osc.frequency.setValueAtTime(freq, now);
+    // Mono / legato: one voice that follows the most recent held note
+    if (settings.voiceMode !== 'poly') {
+      monoStack.current = [...monoStack.current.filter(e => e.note !== note || e.key !== key), { note, key, velocity }];
+      const voice = voices.current[0];
+      if (voice) {
+        glideVoice(voice, note, at, settings.glide);
+        voice.key = key;
+        if (settings.voiceMode === 'mono') {
+          voice.peak = (velocity / 127) / Math.sqrt(voice.panners.length);
+          triggerVoice(voice, settings, at);
+        }
+        return;
+      }
+      voices.current = [start()];
+      return;
+    }
 
-    // Envelope
-    gain.gain.setValueAtTime(0, now);
-    gain.gain.linearRampToValueAtTime(vel, now + settings.attack);
-    gain.gain.linearRampToValueAtTime(vel * settings.sustain, now + settings.attack + settings.decay);
+    // Polyphony cap: steal by the chosen policy
+    while (voices.current.length >= Math.max(1, settings.polyphony)) {
+      const victim = pickVoiceToSteal(voices.current, note, settings.stealMode);
+      voices.current = voices.current.filter(v => v !== victim);
+      release(victim, STEAL_RELEASE, at);
+    }
 
-    osc.connect(gain);
-    gain.connect(filterNode.current);
+    voices.current = [...voices.current, start()];
+  }, [settings, sampleZones, tuning, release]);
 
-    osc.start(now);
+  /** Release the voice `key` started on `note` (or the oldest on that note), at `time` if given. */
+  const stopNote = useCallback((note, key = null, time) => {
+    if (!audioContext.current) return;
+    const at = audioTimeAt(audioContext.current, time);
 
-    // Store reference to stop later
-    if (activeOscillators.current[note]) {
-        // If note is already playing, stop it first to avoid stuck notes or layering
-        stopNoteRef.current(note);
+    if (settings.voiceMode !== 'poly') {
+      const stack = monoStack.current;
+      let idx = stack.findIndex(e => e.note === note && e.key === key);
+      if (idx < 0) idx = stack.findIndex(e => e.note === note);
+      if (idx < 0) return;
+      const wasCurrent = idx === stack.length - 1;
+      monoStack.current = stack.filter((_, i) => i !== idx);
+      const voice = voices.current[0];
+      if (!voice) return;
+      if (!monoStack.current.length) {
+        voices.current = [];
+        release(voice, settings.release, at);
+      } else if (wasCurrent) {
+        // Fall back to the previous held note
+        const prev = monoStack.current[monoStack.current.length - 1];
+        glideVoice(voice, prev.note, at, settings.glide);
+        voice.key = prev.key;
+        if (settings.voiceMode === 'mono') triggerVoice(voice, settings, at);
+      }
+    } else {
+      const voice = voices.current.find(v => v.note === note && v.key === key)
+        || voices.current.find(v => v.note === note);
+      if (!voice) return;
+      voices.current = voices.current.filter(v => v !== voice);
+      release(voice, settings.release, at);
     }
-    activeOscillators.current[note] = { osc, gain };
-  }, [settings]);
 
-  const stopNote = useCallback((note) => {
-    if (!audioContext.current || !activeOscillators.current[note]) return;
+    if (!voices.current.some(v => v.note === note)) delete controllers.current.polyPressure[note];
+  }, [settings, release]);
+
+  // Release every sounding voice (panic)
+  const stopAll = useCallback(() => {
+    if (!audioContext.current) return;
+    voices.current.forEach(v => release(v, settings.release));
+    voices.current = [];
+    monoStack.current = [];
+    controllers.current.polyPressure = {};
+  }, [release, settings.release]);
+
+  // Switching between poly and mono/legato starts from silence
+  const lastVoiceMode = useRef(settings.voiceMode);
+  useEffect(() => {
+    if (lastVoiceMode.current === settings.voiceMode) return;
+    lastVoiceMode.current = settings.voiceMode;
+    stopAll();
+  }, [settings.voiceMode, stopAll]);
 
-    const { osc, gain } = activeOscillators.current[note];
-    const now = audioContext.current.currentTime;
+  /**
+   * Decode and store audio files as new sampler zones. Resolves with the
+   * names of files that could not be decoded.
+   */
+  const addSamples = useCallback(async (files) => {
+    const failed = [];
+    for (const file of files) {
+      try {
+        const data = await file.arrayBuffer();
+        // decodeAudioData detaches its input, so decode a copy and store the original
+        const buffer = await audioContext.current.decodeAudioData(data.slice(0));
+        const zone = createZone(file.name, buffer.duration);
+        sampleBuffers.current.set(zone.id, buffer);
+        setSampleZones(prev => [...prev, zone]);
+        saveSample(zone, data);
+        console.log(`[SAMPLER] Loaded ${file.name} (root ${zone.root})`);
+      } catch (err) {
+        console.warn(`[SAMPLER] Could not load ${file.name}:`, err);
+        failed.push(file.name);
+      }
+    }
+    return failed;
+  }, []);
 
-    // Release phase
-    gain.gain.cancelScheduledValues(now);
-    gain.gain.setValueAtTime(gain.gain.value, now);
-    gain.gain.exponentialRampToValueAtTime(0.001, now + settings.release);
+  const updateSampleZone = useCallback((id, patch) => {
+    const zone = sampleZones.find(z => z.id === id);
+    if (!zone) return;
+    const next = { ...zone, ...patch };
+    setSampleZones(prev => prev.map(z => (z.id === id ? next : z)));
+    saveZone(next);
+  }, [sampleZones]);
 
-    osc.stop(now + settings.release + 0.1); // Stop slightly after release to ensure silence
-    
-    // Cleanup
-    setTimeout(() => {
-        // disconnect nodes to free memory
-        osc.disconnect();
-        gain.disconnect();
-    }, (settings.release + 0.2) * 1000);
-
-    delete activeOscillators.current[note];
-  }, [settings]);
+  const removeSampleZone = useCallback((id) => {
+    setSampleZones(prev => prev.filter(zone => zone.id !== id));
+    sampleBuffers.current.delete(id);
+    deleteSample(id);
+  }, []);
 
-  // Keep ref in sync so playNote can call stopNote without a circular dep
-  useEffect(() => {
-    stopNoteRef.current = stopNote;
-  }, [stopNote]);
+  /**
+   * Render recorded notes offline with the current sound, effects and tempo.
+   * Resolves with an AudioBuffer, or null when there are no notes.
+   */
+  const renderAudio = useCallback((notes, options) => (
+    renderNotes(notes, settings, options, {
+      bpm: tempo,
+      samples: { zones: sampleZones, buffers: sampleBuffers.current },
+      frequencies: tuning,
+    })
+  ), [settings, tempo, sampleZones, tuning]);
 
   const updateSetting = (key, value) => {
     setSettings(prev => ({ ...prev, [key]: value }));
   };
 
+  // Replace every setting at once (preset load); missing keys fall back to defaults
+  const loadSettings = useCallback((next) => {
+    setSettings({ ...DEFAULT_SYNTH_SETTINGS, ...next });
+  }, []);
+
   return {
     playNote,
     stopNote,
+    stopAll,
+    setPitchBend,
+    setModWheel,
+    setPressure,
+    setTempo,
+    setTuning,
+    sampleZones,
+    addSamples,
+    updateSampleZone,
+    removeSampleZone,
+    renderAudio,
     settings,
-    updateSetting
+    updateSetting,
+    loadSettings
   };
 };
@@ -0,0 +1,18 @@
+import { pickVoiceToSteal } from './SynthEngine';
+
+// Voices oldest first, as the engine keeps them
+const voice = (note, level) => ({ note, amp: { gain: { value: level } } });
+const voices = [voice(60, 0.5), voice(64, 0.1), voice(67, 0.8), voice(64, 0.3)];
+
+test('oldest steals the first voice started', () => {
+  expect(pickVoiceToSteal(voices, 72, 'oldest')).toBe(voices[0]);
+});
+
+test('quietest steals the voice with the lowest level', () => {
+  expect(pickVoiceToSteal(voices, 72, 'quietest')).toBe(voices[1]);
+});
+
+test('same-note steals the oldest voice on the note, else the oldest', () => {
+  expect(pickVoiceToSteal(voices, 64, 'same-note')).toBe(voices[1]);
+  expect(pickVoiceToSteal(voices, 72, 'same-note')).toBe(voices[0]);
+});
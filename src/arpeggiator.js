@@ -0,0 +1,174 @@
+// Arpeggiator — plays the held notes one at a time in a pattern instead of
+// all at once. Steps run on the look-ahead scheduler at the shared tempo, or
+// on incoming MIDI clock pulses when synced to an external clock.
+
+import { PPQ } from './midiClock';
+
+export const ARP_PATTERNS = [
+  { value: 'up',     label: 'Up' },
+  { value: 'down',   label: 'Down' },
+  { value: 'updown', label: 'Up-Down' },
+  { value: 'random', label: 'Random' },
+  { value: 'played', label: 'As played' },
+];
+
+export const ARP_RATES = [
+  { label: '1/4',   beats: 1 },
+  { label: '1/8.',  beats: 0.75 },
+  { label: '1/8',   beats: 0.5 },
+  { label: '1/8T',  beats: 1 / 3 },
+  { label: '1/16',  beats: 0.25 },
+  { label: '1/16T', beats: 1 / 6 },
+  { label: '1/32',  beats: 0.125 },
+];
+
+export const DEFAULT_ARP = {
+  enabled: false,
+  pattern: 'up',
+  rate: 4,          // index into ARP_RATES
+  gate: 0.5,        // fraction of a step each note sounds
+  octaves: 1,       // 1–4
+  latch: false,     // keep playing after the keys are released
+  sync: 'tempo',    // 'tempo' (scheduler at the current BPM) | 'clock' (incoming pulses)
+};
+
+/**
+ * The notes one pass of the pattern walks through, `held` in press order.
+ * Octaves are `period` keys apart — the tuning's repeat in non-12 tunings.
+ */
+export function arpSequence(held, pattern, octaves, period = 12) {
+  const base = pattern === 'played' ? held : [...held].sort((a, b) => a.note - b.note);
+  const spread = [];
+  for (let o = 0; o < octaves; o++) {
+    base.forEach(h => {
+      const note = h.note + o * period;
+      if (note <= 127) spread.push({ ...h, note });
+    });
+  }
+  if (pattern === 'down') return spread.reverse();
+  if (pattern === 'updown') return [...spread, ...spread.slice(1, -1).reverse()];
+  return spread;
+}
+
+/**
+ * `getOptions()`, `getBpm()` and `getPeriod()` (keys per octave of the current
+ * tuning) are read at every step, so changes apply on the next note.
+ * `onNoteOn(id, note, velocity, time)` and
+ * `onNoteOff(id, note, time)` sound the arpeggio at performance.now() `time`.
+ */
+export function createArpeggiator({ scheduler, getOptions, getBpm, getPeriod = () => 12, onNoteOn, onNoteOff }) {
+  let pressed = [];          // keys physically down: { note, velocity }, oldest first
+  let playing = [];          // what the pattern walks — `pressed`, or the latched chord
+  let stepIndex = 0;
+  let nextStepAt = 0;        // performance.now() of the next tempo-synced step
+  let pulses = 0;            // clock pulses since the arpeggio started
+  let nextId = 1;
+  let stopScheduling = null;
+  const sounding = new Map(); // id → { note, onAt, offAt }
+
+  const stepMs = () => ARP_RATES[getOptions().rate].beats * 60000 / Math.max(1, getBpm());
+
+  // Sound the next note of the pattern at `time`
+  const step = (time) => {
+    const { pattern, octaves, gate } = getOptions();
+    const sequence = arpSequence(playing, pattern, octaves, getPeriod());
+    if (!sequence.length) return;
+    const index = pattern === 'random'
+      ? Math.floor(Math.random() * sequence.length)
+      : stepIndex % sequence.length;
+    stepIndex++;
+    const { note, velocity } = sequence[index];
+    const id = `arp-${nextId++}`;
+    sounding.set(id, { note, onAt: time, offAt: time + Math.max(5, stepMs() * gate) });
+    onNoteOn(id, note, velocity, time);
+  };
+
+  // Queue note-offs due before `horizon`
+  const releaseDue = (horizon) => {
+    sounding.forEach((v, id) => {
+      if (v.offAt >= horizon) return;
+      sounding.delete(id);
+      onNoteOff(id, v.note, v.offAt);
+    });
+  };
+
+  const fillWindow = (horizon) => {
+    releaseDue(horizon);
+    if (getOptions().sync === 'clock' || !playing.length) return;
+    // Back from clock sync: carry on from now rather than catching up
+    nextStepAt = Math.max(nextStepAt, performance.now());
+    while (nextStepAt < horizon) {
+      step(nextStepAt);
+      releaseDue(horizon);
+      nextStepAt += stepMs();
+    }
+  };
+
+  const run = () => {
+    if (stopScheduling) return;
+    stepIndex = 0;
+    pulses = 0;
+    nextStepAt = performance.now();
+    stopScheduling = scheduler.add(fillWindow);
+  };
+
+  // Release now — but never before a note-on that is still queued
+  const releaseAll = () => {
+    const now = performance.now();
+    sounding.forEach((v, id) => onNoteOff(id, v.note, Math.max(now, v.onAt)));
+    sounding.clear();
+  };
+
+  const halt = () => {
+    releaseAll();
+    if (stopScheduling) stopScheduling();
+    stopScheduling = null;
+  };
+
+  const setPlaying = (notes) => {
+    playing = notes;
+    if (playing.length) run();
+    else halt();
+  };
+
+  return {
+    /** A key went down: add it, or start a new latched chord if every key was up. */
+    noteOn(note, velocity) {
+      const fresh = !pressed.length;
+      pressed = [...pressed.filter(p => p.note !== note), { note, velocity }];
+      if (getOptions().latch && !fresh) setPlaying([...playing.filter(p => p.note !== note), { note, velocity }]);
+      else setPlaying(getOptions().latch ? [{ note, velocity }] : pressed);
+    },
+    /** A key went up. Returns false when the arpeggiator wasn't holding `note`. */
+    noteOff(note) {
+      if (!pressed.some(p => p.note === note)) return false;
+      pressed = pressed.filter(p => p.note !== note);
+      if (!getOptions().latch) setPlaying(pressed);
+      return true;
+    },
+    /** Latch switched off: drop the notes no key is holding any more. */
+    unlatch() {
+      setPlaying(pressed);
+    },
+    /** One incoming MIDI clock pulse, at its performance.now() timestamp. */
+    pulse(time) {
+      if (getOptions().sync !== 'clock' || !playing.length) return;
+      const pulsesPerStep = Math.max(1, Math.round(ARP_RATES[getOptions().rate].beats * PPQ));
+      if (pulses % pulsesPerStep === 0) step(time);
+      pulses++;
+    },
+    /** Incoming Start: the next pulse is the first step of the pattern. */
+    restart() {
+      stepIndex = 0;
+      pulses = 0;
+    },
+    /** Stop and forget every note, latched or held. */
+    clear() {
+      pressed = [];
+      setPlaying([]);
+    },
+    dispose() {
+      halt();
+    },
+  };
+}
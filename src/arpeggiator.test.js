@@ -0,0 +1,125 @@
+import { DEFAULT_ARP, arpSequence, createArpeggiator } from './arpeggiator';
+
+const held = (...notes) => notes.map(note => ({ note, velocity: 100 }));
+const notesOf = (sequence) => sequence.map(h => h.note);
+
+describe('arpSequence', () => {
+  test('up, down and up-down walk the held notes by pitch', () => {
+    const keys = held(64, 60, 67);
+    expect(notesOf(arpSequence(keys, 'up', 1))).toEqual([60, 64, 67]);
+    expect(notesOf(arpSequence(keys, 'down', 1))).toEqual([67, 64, 60]);
+    expect(notesOf(arpSequence(keys, 'updown', 1))).toEqual([60, 64, 67, 64]);
+    expect(notesOf(arpSequence(keys, 'played', 1))).toEqual([64, 60, 67]);
+  });
+
+  test('octaves repeat the notes a period apart, up to the top of the MIDI range', () => {
+    expect(notesOf(arpSequence(held(60, 64), 'up', 2))).toEqual([60, 64, 72, 76]);
+    expect(notesOf(arpSequence(held(60, 64), 'down', 2))).toEqual([76, 72, 64, 60]);
+    expect(notesOf(arpSequence(held(64, 60), 'played', 2))).toEqual([64, 60, 76, 72]);
+    // A 19-key tuning repeats every 19 keys
+    expect(notesOf(arpSequence(held(60, 66), 'up', 3, 19))).toEqual([60, 66, 79, 85, 98, 104]);
+    expect(notesOf(arpSequence(held(110, 118), 'up', 2))).toEqual([110, 118, 122]);
+  });
+});
+
+describe('createArpeggiator', () => {
+  // 120 BPM at 1/16: a step every 125 ms
+  let now;
+  let fills;
+  let played;
+  let options;
+  let arp;
+
+  const advance = (to) => {
+    while (now < to) {
+      now = Math.min(to, now + 25);
+      const horizon = now + 100;
+      fills.forEach(fill => fill(horizon));
+    }
+  };
+  const ons = () => played.filter(p => p[0] === 'on').map(p => p[1]);
+
+  beforeEach(() => {
+    now = 0;
+    fills = new Set();
+    played = [];
+    options = { ...DEFAULT_ARP, enabled: true };
+    jest.spyOn(performance, 'now').mockImplementation(() => now);
+    arp = createArpeggiator({
+      scheduler: { add: (fill) => { fills.add(fill); fill(now + 100); return () => fills.delete(fill); } },
+      getOptions: () => options,
+      getBpm: () => 120,
+      onNoteOn: (id, note, velocity, time) => played.push(['on', note, time]),
+      onNoteOff: (id, note, time) => played.push(['off', note, time]),
+    });
+  });
+
+  afterEach(() => {
+    arp.dispose();
+    jest.restoreAllMocks();
+  });
+
+  test('steps through the held notes in time, each released after the gate', () => {
+    arp.noteOn(60, 90);
+    arp.noteOn(67, 100);
+    advance(400);
+    expect(played.slice(0, 4)).toEqual([['on', 60, 0], ['off', 60, 62.5], ['on', 67, 125], ['off', 67, 187.5]]);
+    expect(ons()).toEqual([60, 67, 60, 67]);
+  });
+
+  test('the pattern changes on the next step', () => {
+    arp.noteOn(60, 100);
+    arp.noteOn(64, 100);
+    arp.noteOn(67, 100);
+    advance(200);
+    options = { ...options, pattern: 'down' };
+    advance(450);
+    // Steps 0–2 went up; steps 3 and 4 walk 67 64 60 from where the count is
+    expect(ons()).toEqual([60, 64, 67, 67, 64]);
+  });
+
+  test('random picks any note of the sequence', () => {
+    options = { ...options, pattern: 'random' };
+    jest.spyOn(Math, 'random').mockReturnValueOnce(0.5).mockReturnValueOnce(0.9).mockReturnValueOnce(0.1);
+    arp.noteOn(60, 100);
+    arp.noteOn(64, 100);
+    arp.noteOn(67, 100);
+    advance(200);
+    expect(ons()).toEqual([60, 67, 60]);
+  });
+
+  test('stops when the keys are released, and releases what is sounding', () => {
+    arp.noteOn(60, 100);
+    advance(30);
+    expect(arp.noteOff(60)).toBe(true);
+    // The step at 125 was already queued: its note-off can't come before it
+    expect(played).toEqual([['on', 60, 0], ['off', 60, 62.5], ['on', 60, 125], ['off', 60, 125]]);
+    advance(500);
+    expect(played).toHaveLength(4);
+    expect(arp.noteOff(62)).toBe(false);
+  });
+
+  test('latch holds the chord after release until a new one is played', () => {
+    options = { ...options, latch: true };
+    arp.noteOn(60, 100);
+    arp.noteOn(64, 100);
+    arp.noteOff(60);
+    arp.noteOff(64);
+    advance(400);
+    expect(ons()).toEqual([60, 64, 60, 64]);
+    // Every key was up: the next press starts a new chord
+    played = [];
+    arp.noteOn(67, 100);
+    advance(700);
+    expect(new Set(ons())).toEqual(new Set([67]));
+    arp.unlatch();
+    played = [];
+    advance(1000);
+    expect(new Set(ons())).toEqual(new Set([67]));   // still held
+    arp.noteOff(67);
+    arp.unlatch();
+    played = [];
+    advance(1500);
+    expect(ons()).toEqual([]);
+  });
+});
@@ -0,0 +1,125 @@
+// Offline audio rendering — plays recorded notes through the same voice,
+// bus and effects code as the live synth, on an OfflineAudioContext, and
+// encodes the result as a PCM WAV file.
+
+import {
+  createSynthBus, updateSynthBus, createVoice, updateVoice, triggerVoice, releaseVoice,
+} from './synthVoice';
+import { createEffectsRack, updateEffectsRack } from './synthEffects';
+import { pickZone } from './sampler';
+
+export const DEFAULT_RENDER_OPTIONS = {
+  sampleRate: 44100,
+  bitDepth: 16,       // 16 or 24
+  tail: 2,            // seconds rendered after the last release, for reverb and delay
+  normalize: true,    // scale so the loudest sample peaks at NORMALIZE_PEAK
+};
+
+export const SAMPLE_RATES = [22050, 44100, 48000, 96000];
+
+const NORMALIZE_PEAK = 0.989;   // −0.1 dBFS
+
+// Controllers at rest: bend, mod and aftertouch aren't part of the recording
+const RESTING_CONTROLLERS = { bend: 0, mod: 0, channelPressure: 0, polyPressure: {} };
+
+/**
+ * Render `notes` ({ note, velocity, start, end } in milliseconds, as from
+ * pairNotes) with synth `settings`. Every note gets its own voice — the
+ * polyphony cap and mono modes only apply live. `samples` is
+ * { zones, buffers } for the sampler engine and `frequencies` the tuning
+ * table. Resolves with an AudioBuffer, or null when there is nothing to
+ * render.
+ */
+export async function renderNotes(notes, settings, { sampleRate, tail, normalize }, { bpm = 120, samples = null, frequencies = null } = {}) {
+  if (!notes.length) return null;
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const origin = notes[0].start;
+  const last = notes.reduce((max, n) => Math.max(max, n.end), origin);
+  const duration = (last - origin) / 1000 + settings.release + tail + 0.1;
+  const ctx = new OfflineContext(2, Math.ceil(duration * sampleRate), sampleRate);
+
+  const bus = createSynthBus(ctx);
+  const rack = createEffectsRack(ctx);
+  const master = ctx.createGain();
+  master.gain.value = settings.masterVolume;
+  bus.output.connect(rack.input);
+  rack.output.connect(master);
+  master.connect(ctx.destination);
+  updateSynthBus(bus, settings, RESTING_CONTROLLERS, 0);
+  updateEffectsRack(rack, settings, bpm, 0);
+
+  notes.forEach((n, i) => {
+    if (frequencies && !frequencies[n.note]) return;
+    const start = (n.start - origin) / 1000;
+    const end = Math.max(start, (n.end - origin) / 1000);
+    const zone = settings.engine === 'sampler' && samples ? pickZone(samples.zones, n.note, n.velocity) : null;
+    const buffer = zone && samples.buffers.get(zone.id);
+    const voice = createVoice(ctx, bus, settings, { note: n.note, velocity: n.velocity, key: i, at: start, zone, buffer, frequencies });
+    updateVoice(voice, bus, settings, RESTING_CONTROLLERS, start);
+    triggerVoice(voice, settings, start);
+    releaseVoice(voice, settings, end, settings.release);
+  });
+
+  const rendered = await ctx.startRendering();
+  if (normalize) normalizeBuffer(rendered);
+  return rendered;
+}
+
+// Scale every channel so the loudest sample reaches NORMALIZE_PEAK
+function normalizeBuffer(buffer) {
+  let peak = 0;
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]));
+  }
+  if (peak === 0) return;
+  const gain = NORMALIZE_PEAK / peak;
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let i = 0; i < data.length; i++) data[i] *= gain;
+  }
+}
+
+/** Encode an AudioBuffer as an interleaved PCM WAV file (16- or 24-bit). */
+export function encodeWav(buffer, bitDepth = 16) {
+  const channels = buffer.numberOfChannels;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channels * bytesPerSample;
+  const dataSize = buffer.length * blockAlign;
+  const out = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeString = (offset, s) => {
+    for (let i = 0; i < s.length; i++) out.setUint8(offset + i, s.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  out.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  out.setUint32(16, 16, true);                      // fmt chunk size
+  out.setUint16(20, 1, true);                       // PCM
+  out.setUint16(22, channels, true);
+  out.setUint32(24, buffer.sampleRate, true);
+  out.setUint32(28, buffer.sampleRate * blockAlign, true);
+  out.setUint16(32, blockAlign, true);
+  out.setUint16(34, bitDepth, true);
+  writeString(36, 'data');
+  out.setUint32(40, dataSize, true);
+
+  const data = Array.from({ length: channels }, (_, ch) => buffer.getChannelData(ch));
+  const max = Math.pow(2, bitDepth - 1) - 1;
+  let offset = 44;
+  for (let i = 0; i < buffer.length; i++) {
+    for (let ch = 0; ch < channels; ch++) {
+      const value = Math.round(Math.max(-1, Math.min(1, data[ch][i])) * max);
+      if (bitDepth === 24) {
+        out.setUint8(offset, value & 0xff);
+        out.setUint8(offset + 1, (value >> 8) & 0xff);
+        out.setUint8(offset + 2, (value >> 16) & 0xff);
+      } else {
+        out.setInt16(offset, value, true);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return out.buffer;
+}
@@ -0,0 +1,96 @@
+import { DEFAULT_RENDER_OPTIONS, renderNotes, encodeWav } from './audioRender';
+import { DEFAULT_SYNTH_SETTINGS } from './SynthEngine';
+
+// A stand-in AudioBuffer holding `channels` (arrays of samples)
+const audioBuffer = (channels, sampleRate = 8000) => {
+  const data = channels.map(c => Float32Array.from(c));
+  return { numberOfChannels: data.length, length: data[0].length, sampleRate, getChannelData: ch => data[ch] };
+};
+
+describe('encodeWav', () => {
+  test('writes a PCM header for the buffer', () => {
+    const view = new DataView(encodeWav(audioBuffer([[0, 0, 0], [0, 0, 0]], 48000), 24));
+    const text = (offset) => String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+    expect([text(0), text(8), text(12), text(36)]).toEqual(['RIFF', 'WAVE', 'fmt ', 'data']);
+    expect(view.byteLength).toBe(44 + 3 * 2 * 3);
+    expect(view.getUint32(4, true)).toBe(36 + 18);
+    expect(view.getUint16(20, true)).toBe(1);         // PCM
+    expect(view.getUint16(22, true)).toBe(2);         // channels
+    expect(view.getUint32(24, true)).toBe(48000);
+    expect(view.getUint32(28, true)).toBe(48000 * 6); // bytes per second
+    expect(view.getUint16(32, true)).toBe(6);         // block align
+    expect(view.getUint16(34, true)).toBe(24);
+    expect(view.getUint32(40, true)).toBe(18);
+  });
+
+  test('interleaves 16-bit samples, clipping at full scale', () => {
+    const view = new DataView(encodeWav(audioBuffer([[0.5, 2], [-1, -0.25]])));
+    expect([44, 46, 48, 50].map(o => view.getInt16(o, true))).toEqual([16384, -32767, 32767, -8192]);
+  });
+
+  test('writes 24-bit samples little-endian', () => {
+    const view = new DataView(encodeWav(audioBuffer([[1, -1, 0.5]]), 24));
+    const sample = (o) => {
+      const value = view.getUint8(o) | (view.getUint8(o + 1) << 8) | (view.getUint8(o + 2) << 16);
+      return value & 0x800000 ? value - 0x1000000 : value;
+    };
+    expect([44, 47, 50].map(sample)).toEqual([8388607, -8388607, 4194304]);
+  });
+});
+
+describe('renderNotes', () => {
+  // Any node the synth and effects ask for, with params that take any automation
+  const param = () => ({
+    value: 0, setValueAtTime() {}, setTargetAtTime() {}, linearRampToValueAtTime() {},
+    exponentialRampToValueAtTime() {}, cancelScheduledValues() {}, cancelAndHoldAtTime() {},
+  });
+  const node = () => new Proxy({ connect() {}, disconnect() {}, start() {}, stop() {} }, {
+    get: (target, key) => {
+      if (!(key in target)) target[key] = param();
+      return target[key];
+    },
+  });
+  let contexts;
+  let rendered;
+
+  beforeEach(() => {
+    contexts = [];
+    rendered = audioBuffer([[0.1, -0.5], [0.25, 0]]);
+    window.OfflineAudioContext = function OfflineAudioContext(channels, length, sampleRate) {
+      const ctx = new Proxy({ sampleRate, destination: {}, startRendering: () => Promise.resolve(rendered) }, {
+        get: (target, key) => {
+          if (key in target) return target[key];
+          if (key === 'createBuffer') return (ch, n) => audioBuffer(Array.from({ length: ch }, () => new Array(n).fill(0)));
+          return node;
+        },
+      });
+      contexts.push({ channels, length, sampleRate });
+      return ctx;
+    };
+  });
+
+  afterEach(() => {
+    delete window.OfflineAudioContext;
+  });
+
+  const notes = [{ note: 60, velocity: 100, start: 1000, end: 1500 }, { note: 64, velocity: 90, start: 1250, end: 2000 }];
+  const settings = { ...DEFAULT_SYNTH_SETTINGS, release: 0.3 };
+
+  test('renders from the first note through the release and tail', async () => {
+    await renderNotes(notes, settings, { ...DEFAULT_RENDER_OPTIONS, sampleRate: 8000, tail: 2, normalize: false });
+    // One second of notes, 0.3 s of release, the 2 s tail and a little slack
+    expect(contexts).toEqual([{ channels: 2, length: Math.ceil(3.4 * 8000), sampleRate: 8000 }]);
+  });
+
+  test('normalizes the loudest sample to just under full scale', async () => {
+    const { getChannelData } = await renderNotes(notes, settings, { ...DEFAULT_RENDER_OPTIONS, normalize: true });
+    expect(getChannelData(0)[1]).toBeCloseTo(-0.989, 6);
+    expect(getChannelData(1)[0]).toBeCloseTo(0.4945, 6);
+  });
+
+  test('leaves the levels alone without normalizing, and renders nothing for no notes', async () => {
+    const { getChannelData } = await renderNotes(notes, settings, { ...DEFAULT_RENDER_OPTIONS, normalize: false });
+    expect(getChannelData(0)[1]).toBeCloseTo(-0.5, 6);
+    expect(await renderNotes([], settings, DEFAULT_RENDER_OPTIONS)).toBeNull();
+  });
+});
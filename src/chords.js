@@ -0,0 +1,87 @@
+// Chord mode — the note a key would play becomes the root of a chord built
+// from the current scale. Chord shapes are listed in scale steps above the
+// root, so the same shape is major on one degree and minor on another.
+
+export const CHORD_TYPES = [
+  { value: 'triad',   label: 'Triad',   steps: [0, 2, 4] },
+  { value: 'seventh', label: '7th',     steps: [0, 2, 4, 6] },
+  { value: 'sus2',    label: 'sus2',    steps: [0, 1, 4] },
+  { value: 'sus4',    label: 'sus4',    steps: [0, 3, 4] },
+  { value: 'add9',    label: 'add9',    steps: [0, 2, 4, 8] },
+  { value: 'ninth',   label: '9th',     steps: [0, 2, 4, 6, 8] },
+  { value: 'power',   label: 'Power',   steps: [0, 4, 7] },
+  { value: 'custom',  label: 'Custom',  steps: null },
+];
+
+export const CHORD_VOICINGS = [
+  { value: 'root',   label: 'Root position' },
+  { value: 'first',  label: '1st inversion' },
+  { value: 'second', label: '2nd inversion' },
+  { value: 'third',  label: '3rd inversion' },
+  { value: 'lead',   label: 'Voice leading' },   // closest to the previous chord
+];
+
+export const DEFAULT_CHORD = {
+  enabled: false,
+  type: 'triad',
+  voicing: 'root',
+  custom: [0, 2, 4, 6],   // scale steps above the root for the 'custom' type
+};
+
+/** Parse "0 2 4 6" (spaces or commas) into custom chord steps; null if invalid. */
+export function parseChordSteps(text) {
+  const steps = String(text).split(/[\s,]+/).filter(Boolean).map(Number);
+  if (!steps.length || steps.some(s => !Number.isInteger(s) || s < 0 || s > 21)) return null;
+  return Array.from(new Set([0, ...steps])).sort((a, b) => a - b);
+}
+
+// Move the lowest `count` tones up a period (the octave, in 12-note tunings)
+const invert = (tones, count, period) => {
+  const sorted = [...tones].sort((a, b) => a - b);
+  const n = Math.min(count, sorted.length - 1);
+  return [...sorted.slice(n), ...sorted.slice(0, n).map(t => t + period)].sort((a, b) => a - b);
+};
+
+// Total distance between two voicings: voice by voice when the sizes match,
+// otherwise between their centres
+const movement = (a, b) => {
+  if (a.length === b.length) return a.reduce((sum, t, i) => sum + Math.abs(t - b[i]), 0);
+  const centre = (v) => v.reduce((s, t) => s + t, 0) / v.length;
+  return Math.abs(centre(a) - centre(b)) * a.length;
+};
+
+// Every inversion, shifted a period either way, nearest `previous` wins
+const leadFrom = (tones, previous, period) => {
+  let best = tones;
+  let bestDistance = Infinity;
+  for (let inv = 0; inv < tones.length; inv++) {
+    for (let shift = -period; shift <= period; shift += period) {
+      const candidate = invert(tones, inv, period).map(t => t + shift);
+      if (candidate[0] < 0 || candidate[candidate.length - 1] > 127) continue;
+      const d = movement(candidate, previous);
+      if (d < bestDistance) { bestDistance = d; best = candidate; }
+    }
+  }
+  return best;
+};
+
+/**
+ * The notes of the chord on `root`. `step(note, steps)` walks the current
+ * scale (scaleStepNote) and `period` is that scale's repeat in keys — its
+ * last interval — which inversions move tones by; `previous` is the last
+ * chord played, used by the voice-leading voicing. Notes outside 0–127 are
+ * dropped.
+ */
+export function buildChord(root, chord, step, period = 12, previous = null) {
+  const type = CHORD_TYPES.find(t => t.value === chord.type) || CHORD_TYPES[0];
+  const steps = type.steps || chord.custom || DEFAULT_CHORD.custom;
+  const tones = Array.from(new Set(steps.map(s => (s === 0 ? root : step(root, s))))).sort((a, b) => a - b);
+
+  let voiced = tones;
+  if (chord.voicing === 'first') voiced = invert(tones, 1, period);
+  else if (chord.voicing === 'second') voiced = invert(tones, 2, period);
+  else if (chord.voicing === 'third') voiced = invert(tones, 3, period);
+  else if (chord.voicing === 'lead' && previous && previous.length) voiced = leadFrom(tones, previous, period);
+
+  return voiced.filter(t => t >= 0 && t <= 127);
+}
@@ -0,0 +1,58 @@
+import { buildChord, parseChordSteps } from './chords';
+
+// Steps through `scale` from a note on it, rooted on key 0
+const stepper = (scale) => {
+  const period = scale[scale.length - 1];
+  const degrees = scale.length - 1;
+  return (note, steps) => {
+    const octave = Math.floor(note / period);
+    const index = octave * degrees + scale.indexOf(note - octave * period) + steps;
+    return Math.floor(index / degrees) * period + scale[((index % degrees) + degrees) % degrees];
+  };
+};
+
+const MAJOR = [0, 2, 4, 5, 7, 9, 11, 12];
+const major = stepper(MAJOR);
+const chord = (patch) => ({ type: 'triad', voicing: 'root', custom: [0, 2, 4, 6], ...patch });
+
+test('chord shapes follow the scale degree', () => {
+  expect(buildChord(60, chord(), major)).toEqual([60, 64, 67]);     // C major
+  expect(buildChord(62, chord(), major)).toEqual([62, 65, 69]);     // D minor
+  expect(buildChord(71, chord(), major)).toEqual([71, 74, 77]);     // B diminished
+  expect(buildChord(67, chord({ type: 'seventh' }), major)).toEqual([67, 71, 74, 77]);
+  expect(buildChord(60, chord({ type: 'sus4' }), major)).toEqual([60, 65, 67]);
+  expect(buildChord(60, chord({ type: 'power' }), major)).toEqual([60, 67, 72]);
+  expect(buildChord(60, chord({ type: 'custom', custom: [0, 4, 9] }), major)).toEqual([60, 67, 76]);
+});
+
+test('inversions move the lowest tones up an octave', () => {
+  expect(buildChord(60, chord({ voicing: 'first' }), major)).toEqual([64, 67, 72]);
+  expect(buildChord(60, chord({ voicing: 'second' }), major)).toEqual([67, 72, 76]);
+  // A triad has no third inversion; it stops at the second
+  expect(buildChord(60, chord({ voicing: 'third' }), major)).toEqual([67, 72, 76]);
+  expect(buildChord(60, chord({ type: 'seventh', voicing: 'third' }), major)).toEqual([71, 72, 76, 79]);
+});
+
+test('inversions and voice leading use the period of the scale', () => {
+  // Five-note scale repeating every 19 keys, as in 19-EDO
+  const edo19 = stepper([0, 3, 6, 11, 14, 19]);
+  expect(buildChord(57, chord({ voicing: 'first' }), edo19, 19)).toEqual([63, 71, 76]);
+  expect(buildChord(57, chord({ voicing: 'lead' }), edo19, 19, [76, 81, 89])).toEqual([76, 82, 90]);
+});
+
+test('voice leading picks the nearest inversion of the next chord', () => {
+  const c = buildChord(60, chord(), major);
+  expect(buildChord(65, chord({ voicing: 'lead' }), major, 12, c)).toEqual([60, 65, 69]);   // F over C
+  expect(buildChord(67, chord({ voicing: 'lead' }), major, 12, c)).toEqual([59, 62, 67]);   // G over C
+});
+
+test('tones outside the MIDI range are dropped', () => {
+  expect(buildChord(124, chord(), major)).toEqual([124, 127]);
+});
+
+test('custom chord steps parse to unique sorted steps with the root', () => {
+  expect(parseChordSteps('4, 2 9')).toEqual([0, 2, 4, 9]);
+  expect(parseChordSteps('2 x')).toBeNull();
+  expect(parseChordSteps('')).toBeNull();
+  expect(parseChordSteps('22')).toBeNull();
+});
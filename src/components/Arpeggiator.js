@@ -0,0 +1,70 @@
+import React from 'react';
+import { ARP_PATTERNS, ARP_RATES } from '../arpeggiator';
+
+const OCTAVE_OPTIONS = [1, 2, 3, 4];
+
+/**
+ * Arpeggiator settings. `arp` is the options object from the session and
+ * `onChange(patch)` updates it; clock sync is offered only while the clock
+ * mode follows an external clock (`receiving`).
+ */
+const Arpeggiator = ({ arp, onChange, receiving }) => (
+  <div className="looper-panel">
+    <div className="clock-modes">
+      <button
+        className={`pad-map-learn-btn ${arp.enabled ? 'active' : ''}`}
+        onClick={() => onChange({ enabled: !arp.enabled })}
+        title="Held keys, pads and chords play one note at a time"
+      >{arp.enabled ? '● On' : '○ Off'}</button>
+      <button
+        className={`pad-map-learn-btn ${arp.latch ? 'active' : ''}`}
+        onClick={() => onChange({ latch: !arp.latch })}
+        title="Keep arpeggiating after the keys are released; the next press starts a new chord"
+      >Latch</button>
+    </div>
+
+    <div className="looper-settings">
+      <label className="export-field">
+        <span>Pattern</span>
+        <select value={arp.pattern} onChange={(e) => onChange({ pattern: e.target.value })}>
+          {ARP_PATTERNS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+        </select>
+      </label>
+      <label className="export-field">
+        <span>Rate</span>
+        <select value={arp.rate} onChange={(e) => onChange({ rate: Number(e.target.value) })}>
+          {ARP_RATES.map((r, i) => <option key={r.label} value={i}>{r.label}</option>)}
+        </select>
+      </label>
+      <label className="export-field">
+        <span>Octaves</span>
+        <select value={arp.octaves} onChange={(e) => onChange({ octaves: Number(e.target.value) })}>
+          {OCTAVE_OPTIONS.map(o => <option key={o} value={o}>{o}</option>)}
+        </select>
+      </label>
+      <label className="export-field">
+        <span>Sync</span>
+        <select value={receiving ? arp.sync : 'tempo'} disabled={!receiving} onChange={(e) => onChange({ sync: e.target.value })}>
+          <option value="tempo">Tempo</option>
+          <option value="clock">MIDI clock</option>
+        </select>
+      </label>
+    </div>
+
+    <label className="export-field export-field-wide">
+      <span>Gate {Math.round(arp.gate * 100)}%</span>
+      <input
+        type="range" min="0.05" max="1" step="0.05"
+        value={arp.gate}
+        onChange={(e) => onChange({ gate: Number(e.target.value) })}
+      />
+    </label>
+    <p className="pad-map-hint">
+      {receiving
+        ? 'Tempo sync follows the incoming BPM; MIDI clock sync steps on the clock pulses themselves.'
+        : 'Steps follow the tempo set under Transport & Clock. Choose Receive clock there to sync to an external clock.'}
+    </p>
+  </div>
+);
+
+export default Arpeggiator;
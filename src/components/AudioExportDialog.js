@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { DEFAULT_RENDER_OPTIONS, SAMPLE_RATES } from '../audioRender';
+
+/**
+ * Modal for WAV export settings: sample rate, bit depth, tail and
+ * normalization. `onExport(options)` resolves with an error message, or
+ * null when the file was saved.
+ */
+const AudioExportDialog = ({ initialOptions, onExport, onClose }) => {
+  const [opts, setOpts] = useState({ ...DEFAULT_RENDER_OPTIONS, ...initialOptions });
+  const [error, setError] = useState(null);
+  const [rendering, setRendering] = useState(false);
+  const set = (key, value) => setOpts(prev => ({ ...prev, [key]: value }));
+
+  const handleExport = async () => {
+    setRendering(true);
+    const err = await onExport(opts);
+    setRendering(false);
+    if (err) setError(err);
+    else onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-content export-dialog"
+        onClick={e => e.stopPropagation()}
+        onKeyDown={e => e.stopPropagation()}
+        onKeyUp={e => e.stopPropagation()}
+      >
+        <button className="modal-close" onClick={onClose}>✕</button>
+        <h2>Export Audio</h2>
+        <p className="modal-tagline">Render your playing through the synth to WAV</p>
+
+        <div className="export-grid">
+          <label className="export-field">
+            <span>Sample rate</span>
+            <select value={opts.sampleRate} onChange={e => set('sampleRate', Number(e.target.value))}>
+              {SAMPLE_RATES.map(r => <option key={r} value={r}>{(r / 1000).toFixed(r % 1000 ? 2 : 0)} kHz</option>)}
+            </select>
+          </label>
+          <label className="export-field">
+            <span>Bit depth</span>
+            <select value={opts.bitDepth} onChange={e => set('bitDepth', Number(e.target.value))}>
+              <option value={16}>16-bit</option>
+              <option value={24}>24-bit</option>
+            </select>
+          </label>
+          <label className="export-field export-field-wide">
+            <span>Tail {opts.tail.toFixed(1)}s — room for reverb and delay to ring out</span>
+            <input
+              type="range" min="0" max="10" step="0.5"
+              value={opts.tail}
+              onChange={e => set('tail', Number(e.target.value))}
+            />
+          </label>
+        </div>
+
+        <label className="midi-option-label export-option">
+          <input
+            type="checkbox"
+            checked={opts.normalize}
+            onChange={e => set('normalize', e.target.checked)}
+          />
+          Normalize to −0.1 dBFS
+        </label>
+
+        {error && <div className="profile-report error">{error}</div>}
+
+        <div className="pad-map-actions export-actions">
+          <button className="pad-map-action-btn" onClick={onClose}>Cancel</button>
+          <button className="pad-map-action-btn rapid-learn-btn" onClick={handleExport} disabled={rendering}>
+            {rendering ? '⏳ Rendering…' : '🔊 Export .wav'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AudioExportDialog;
@@ -0,0 +1,71 @@
+import React from 'react';
+
+const MODES = [
+  { value: 'internal', label: 'Internal', hint: 'Tempo set here; no clock sent or received' },
+  { value: 'send',     label: 'Send clock', hint: 'Act as clock master on the MIDI output' },
+  { value: 'receive',  label: 'Receive clock', hint: 'Follow clock and transport from the MIDI input' },
+];
+
+// Song position as a 1-based beat, to the sixteenth the pointer carries
+const beatLabel = (beats) => `beat ${Math.round((beats + 1) * 4) / 4}`;
+
+/**
+ * Clock mode, tempo and transport. `transport` is { running, incomingBpm,
+ * position } with the stopped song position in beats, and the on* callbacks
+ * drive the clock master / looper; `onLocate(beats)` moves the song position.
+ */
+const ClockPanel = ({ mode, onModeChange, bpm, onBpmChange, transport, onStart, onStop, onContinue, onLocate }) => {
+  const receiving = mode === 'receive';
+  return (
+    <div className="looper-panel">
+      <div className="clock-modes">
+        {MODES.map(m => (
+          <button
+            key={m.value}
+            className={`pad-map-learn-btn ${mode === m.value ? 'active' : ''}`}
+            onClick={() => onModeChange(m.value)}
+            title={m.hint}
+          >{m.label}</button>
+        ))}
+      </div>
+
+      <div className="looper-settings">
+        <label className="export-field">
+          <span>Tempo (BPM)</span>
+          <input
+            type="number" min="20" max="300" step="1"
+            value={bpm}
+            disabled={receiving}
+            onChange={(e) => onBpmChange(Math.max(20, Math.min(300, Number(e.target.value) || 120)))}
+            onKeyDown={(e) => e.stopPropagation()}
+            onKeyUp={(e) => e.stopPropagation()}
+          />
+        </label>
+        <span className={`looper-state ${transport.running ? 'playing' : ''}`}>
+          {receiving
+            ? (transport.incomingBpm ? `⇠ ${transport.incomingBpm} BPM` : '⇠ Waiting for clock…')
+            : mode === 'send' ? '⇢ Sending clock' : 'Internal tempo'}
+          {transport.running ? ' · ▶ Running' : ` · ■ Stopped at ${beatLabel(transport.position)}`}
+        </span>
+      </div>
+
+      <div className="pad-map-actions">
+        <button className="pad-map-action-btn" onClick={onStart} disabled={receiving}
+          title="Start from the top (sends MIDI Start when sending clock) and play the looper">▶ Start</button>
+        <button className="pad-map-action-btn" onClick={onStop} disabled={receiving}
+          title="Stop (sends MIDI Stop when sending clock)">■ Stop</button>
+        <button className="pad-map-action-btn" onClick={onContinue} disabled={receiving || transport.running}
+          title="Continue from the current position (sends Song Position and MIDI Continue)">⏯ Continue</button>
+        <button className="pad-map-action-btn" onClick={() => onLocate(0)} disabled={receiving || transport.running}
+          title="Return to the top (sends Song Position when sending clock)">⏮ Top</button>
+      </div>
+      <p className="pad-map-hint">
+        {receiving
+          ? 'Tempo, Start, Stop, Continue and Song Position follow the incoming clock; the looper starts and stops with it.'
+          : 'The looper, exports and clock output all use this tempo.'}
+      </p>
+    </div>
+  );
+};
+
+export default ClockPanel;
@@ -1,25 +1,162 @@
 import React from 'react';
+import { DELAY_DIVISIONS, effectsOrder } from '../synthEffects';
+import { WAVEFORMS, FILTER_TYPES, LFO_TARGETS } from '../synthVoice';
 
 const Controls = ({ settings, updateSetting }) => {
 
-    const waveforms = ['sine', 'square', 'sawtooth', 'triangle'];
+    const engines = [
+        { value: 'synth', label: 'Oscillators' },
+        { value: 'sampler', label: 'Sampler' },
+    ];
+    const voiceModes = [
+        { value: 'poly', label: 'Poly' },
+        { value: 'mono', label: 'Mono' },
+        { value: 'legato', label: 'Legato' },
+    ];
+    const stealModes = [
+        { value: 'oldest', label: 'Oldest' },
+        { value: 'quietest', label: 'Quietest' },
+        { value: 'same-note', label: 'Same note' },
+    ];
+    const aftertouchTargets = [
+        { value: 'cutoff', label: 'Filter cutoff' },
+        { value: 'volume', label: 'Volume' },
+        { value: 'none', label: 'Off' },
+    ];
+    const effectNames = {
+        chorus: 'Chorus',
+        delay: 'Delay',
+        reverb: 'Reverb',
+        compressor: 'Compressor',
+    };
+
+    const order = effectsOrder(settings.effectsOrder);
+    const moveEffect = (id, offset) => {
+        const next = [...order];
+        const from = next.indexOf(id);
+        const to = from + offset;
+        if (to < 0 || to >= next.length) return;
+        [next[from], next[to]] = [next[to], next[from]];
+        updateSetting('effectsOrder', next);
+    };
+
+    // Effect parameters stay editable while bypassed
+    const slider = (key, label, min, max, step, format) => (
+        <div className="control-item" key={key}>
+            <label>{label}</label>
+            <input
+                type="range" min={min} max={max} step={step}
+                value={settings[key]}
+                onChange={(e) => updateSetting(key, Number(e.target.value))}
+            />
+            <span className="control-item-value">{format(settings[key])}</span>
+        </div>
+    );
+
+    const effectControls = {
+        chorus: [
+            slider('chorusRate', 'Rate', 0.05, 5, 0.05, v => `${v.toFixed(2)} Hz`),
+            slider('chorusDepth', 'Depth', 0, 10, 0.1, v => `${v.toFixed(1)} ms`),
+            slider('chorusMix', 'Mix', 0, 1, 0.01, v => v.toFixed(2)),
+        ],
+        delay: [
+            slider('delayDivision', 'Time', 0, DELAY_DIVISIONS.length - 1, 1, v => DELAY_DIVISIONS[v].label),
+            slider('delayFeedback', 'Feedback', 0, 0.95, 0.01, v => v.toFixed(2)),
+            slider('delayMix', 'Mix', 0, 1, 0.01, v => v.toFixed(2)),
+        ],
+        reverb: [
+            slider('reverbSize', 'Size', 0.1, 6, 0.1, v => `${v.toFixed(1)}s`),
+            slider('reverbDecay', 'Decay', 0.5, 8, 0.1, v => v.toFixed(1)),
+            slider('reverbMix', 'Mix', 0, 1, 0.01, v => v.toFixed(2)),
+        ],
+        compressor: [
+            slider('compThreshold', 'Threshold', -60, 0, 1, v => `${v} dB`),
+            slider('compRatio', 'Ratio', 1, 20, 0.5, v => `${v}:1`),
+            slider('compKnee', 'Knee', 0, 40, 1, v => `${v} dB`),
+            slider('compAttack', 'Attack', 0, 0.2, 0.001, v => `${Math.round(v * 1000)} ms`),
+            slider('compRelease', 'Release', 0.01, 1, 0.01, v => `${Math.round(v * 1000)} ms`),
+            slider('compMakeup', 'Makeup', 0, 24, 0.5, v => `+${v} dB`),
+        ],
+    };
 
     return (
         <div className="controls-panel">
             <div className="control-group">
-                <h3>Oscillator</h3>
+                <h3>Engine</h3>
                 <div className="control-item">
-                    <label>Waveform</label>
+                    <label>Sound</label>
                     <select
-                        value={settings.waveform}
-                        onChange={(e) => updateSetting('waveform', e.target.value)}
+                        value={settings.engine}
+                        onChange={(e) => updateSetting('engine', e.target.value)}
                         className="synth-select"
                     >
-                        {waveforms.map(w => <option key={w} value={w}>{w}</option>)}
+                        {engines.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
                     </select>
                 </div>
             </div>
 
+            <div className="control-group">
+                <h3>Oscillators</h3>
+                <div className="sliders-grid">
+                    <div className="control-item">
+                        <label>Osc 1</label>
+                        <select
+                            value={settings.waveform}
+                            onChange={(e) => updateSetting('waveform', e.target.value)}
+                            className="synth-select"
+                        >
+                            {WAVEFORMS.map(w => <option key={w} value={w}>{w}</option>)}
+                        </select>
+                    </div>
+                    <div className="control-item">
+                        <label>Osc 2</label>
+                        <select
+                            value={settings.osc2Wave}
+                            onChange={(e) => updateSetting('osc2Wave', e.target.value)}
+                            className="synth-select"
+                        >
+                            {WAVEFORMS.map(w => <option key={w} value={w}>{w}</option>)}
+                        </select>
+                    </div>
+                    <div className="control-item">
+                        <label>Osc 2 Octave</label>
+                        <input
+                            type="range" min="-2" max="2" step="1"
+                            value={settings.osc2Octave}
+                            onChange={(e) => updateSetting('osc2Octave', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.osc2Octave > 0 ? '+' : ''}{settings.osc2Octave}</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Osc 2 Detune</label>
+                        <input
+                            type="range" min="-100" max="100" step="1"
+                            value={settings.osc2Detune}
+                            onChange={(e) => updateSetting('osc2Detune', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.osc2Detune}¢</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Osc Mix</label>
+                        <input
+                            type="range" min="0" max="1" step="0.01"
+                            value={settings.osc2Mix}
+                            onChange={(e) => updateSetting('osc2Mix', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.osc2Mix.toFixed(2)}</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Noise</label>
+                        <input
+                            type="range" min="0" max="1" step="0.01"
+                            value={settings.noiseLevel}
+                            onChange={(e) => updateSetting('noiseLevel', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.noiseLevel.toFixed(2)}</span>
+                    </div>
+                </div>
+            </div>
+
             <div className="control-group">
                 <h3>Envelope</h3>
                 <div className="sliders-grid">
@@ -64,26 +201,332 @@ const Controls = ({ settings, updateSetting }) => {
 
             <div className="control-group">
                 <h3>Filter</h3>
-                <div className="control-item">
-                    <label>Cutoff</label>
-                    <input
-                        type="range" min="20" max="20000" step="10"
-                        value={settings.cutoff}
-                        onChange={(e) => updateSetting('cutoff', Number(e.target.value))}
-                    />
-                    <span className="control-item-value">{settings.cutoff}</span>
+                <div className="sliders-grid">
+                    <div className="control-item">
+                        <label>Type</label>
+                        <select
+                            value={settings.filterType}
+                            onChange={(e) => updateSetting('filterType', e.target.value)}
+                            className="synth-select"
+                        >
+                            {FILTER_TYPES.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="control-item">
+                        <label>Cutoff</label>
+                        <input
+                            type="range" min="20" max="20000" step="10"
+                            value={settings.cutoff}
+                            onChange={(e) => updateSetting('cutoff', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.cutoff}</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Resonance</label>
+                        <input
+                            type="range" min="0" max="20" step="0.1"
+                            value={settings.resonance}
+                            onChange={(e) => updateSetting('resonance', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.resonance.toFixed(1)}</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Env Amount</label>
+                        <input
+                            type="range" min="-4" max="4" step="0.1"
+                            value={settings.filterEnvAmount}
+                            onChange={(e) => updateSetting('filterEnvAmount', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.filterEnvAmount > 0 ? '+' : ''}{settings.filterEnvAmount.toFixed(1)} oct</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Env Attack</label>
+                        <input
+                            type="range" min="0" max="2" step="0.01"
+                            value={settings.filterAttack}
+                            onChange={(e) => updateSetting('filterAttack', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.filterAttack.toFixed(2)}</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Env Decay</label>
+                        <input
+                            type="range" min="0" max="2" step="0.01"
+                            value={settings.filterDecay}
+                            onChange={(e) => updateSetting('filterDecay', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.filterDecay.toFixed(2)}</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Env Sustain</label>
+                        <input
+                            type="range" min="0" max="1" step="0.01"
+                            value={settings.filterSustain}
+                            onChange={(e) => updateSetting('filterSustain', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.filterSustain.toFixed(2)}</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Env Release</label>
+                        <input
+                            type="range" min="0" max="5" step="0.01"
+                            value={settings.filterRelease}
+                            onChange={(e) => updateSetting('filterRelease', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.filterRelease.toFixed(2)}</span>
+                    </div>
                 </div>
-                <div className="control-item">
-                    <label>Resonance</label>
-                    <input
-                        type="range" min="0" max="20" step="0.1"
-                        value={settings.resonance}
-                        onChange={(e) => updateSetting('resonance', Number(e.target.value))}
-                    />
-                    <span className="control-item-value">{settings.resonance.toFixed(1)}</span>
+            </div>
+
+            <div className="control-group">
+                <h3>LFO 1</h3>
+                <div className="sliders-grid">
+                    <div className="control-item">
+                        <label>Target</label>
+                        <select
+                            value={settings.lfo1Target}
+                            onChange={(e) => updateSetting('lfo1Target', e.target.value)}
+                            className="synth-select"
+                        >
+                            {LFO_TARGETS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="control-item">
+                        <label>Shape</label>
+                        <select
+                            value={settings.lfo1Wave}
+                            onChange={(e) => updateSetting('lfo1Wave', e.target.value)}
+                            className="synth-select"
+                        >
+                            {WAVEFORMS.map(w => <option key={w} value={w}>{w}</option>)}
+                        </select>
+                    </div>
+                    <div className="control-item">
+                        <label>Rate</label>
+                        <input
+                            type="range" min="0.05" max="20" step="0.05"
+                            value={settings.lfo1Rate}
+                            onChange={(e) => updateSetting('lfo1Rate', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.lfo1Rate.toFixed(2)} Hz</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Depth</label>
+                        <input
+                            type="range" min="0" max="1" step="0.01"
+                            value={settings.lfo1Depth}
+                            onChange={(e) => updateSetting('lfo1Depth', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.lfo1Depth.toFixed(2)}</span>
+                    </div>
+                </div>
+            </div>
+
+            <div className="control-group">
+                <h3>LFO 2</h3>
+                <div className="sliders-grid">
+                    <div className="control-item">
+                        <label>Target</label>
+                        <select
+                            value={settings.lfo2Target}
+                            onChange={(e) => updateSetting('lfo2Target', e.target.value)}
+                            className="synth-select"
+                        >
+                            {LFO_TARGETS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="control-item">
+                        <label>Shape</label>
+                        <select
+                            value={settings.lfo2Wave}
+                            onChange={(e) => updateSetting('lfo2Wave', e.target.value)}
+                            className="synth-select"
+                        >
+                            {WAVEFORMS.map(w => <option key={w} value={w}>{w}</option>)}
+                        </select>
+                    </div>
+                    <div className="control-item">
+                        <label>Rate</label>
+                        <input
+                            type="range" min="0.05" max="20" step="0.05"
+                            value={settings.lfo2Rate}
+                            onChange={(e) => updateSetting('lfo2Rate', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.lfo2Rate.toFixed(2)} Hz</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Depth</label>
+                        <input
+                            type="range" min="0" max="1" step="0.01"
+                            value={settings.lfo2Depth}
+                            onChange={(e) => updateSetting('lfo2Depth', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.lfo2Depth.toFixed(2)}</span>
+                    </div>
                 </div>
             </div>
 
+            <div className="control-group">
+                <h3>Voices</h3>
+                <div className="sliders-grid">
+                    <div className="control-item">
+                        <label>Mode</label>
+                        <select
+                            value={settings.voiceMode}
+                            onChange={(e) => updateSetting('voiceMode', e.target.value)}
+                            className="synth-select"
+                        >
+                            {voiceModes.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="control-item">
+                        <label>Polyphony</label>
+                        <input
+                            type="range" min="1" max="32" step="1"
+                            value={settings.polyphony}
+                            disabled={settings.voiceMode !== 'poly'}
+                            onChange={(e) => updateSetting('polyphony', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.polyphony}</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Steal</label>
+                        <select
+                            value={settings.stealMode}
+                            disabled={settings.voiceMode !== 'poly'}
+                            onChange={(e) => updateSetting('stealMode', e.target.value)}
+                            className="synth-select"
+                        >
+                            {stealModes.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="control-item">
+                        <label>Glide</label>
+                        <input
+                            type="range" min="0" max="2" step="0.01"
+                            value={settings.glide}
+                            disabled={settings.voiceMode === 'poly'}
+                            onChange={(e) => updateSetting('glide', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.glide.toFixed(2)}s</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Unison</label>
+                        <input
+                            type="range" min="1" max="8" step="1"
+                            value={settings.unison}
+                            onChange={(e) => updateSetting('unison', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.unison}</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Detune</label>
+                        <input
+                            type="range" min="0" max="100" step="1"
+                            value={settings.unisonDetune}
+                            disabled={settings.unison < 2}
+                            onChange={(e) => updateSetting('unisonDetune', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.unisonDetune}¢</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Spread</label>
+                        <input
+                            type="range" min="0" max="1" step="0.01"
+                            value={settings.unisonSpread}
+                            disabled={settings.unison < 2}
+                            onChange={(e) => updateSetting('unisonSpread', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.unisonSpread.toFixed(2)}</span>
+                    </div>
+                </div>
+            </div>
+
+            <div className="control-group">
+                <h3>Expression</h3>
+                <div className="sliders-grid">
+                    <div className="control-item">
+                        <label>Bend Range</label>
+                        <input
+                            type="range" min="0" max="24" step="1"
+                            value={settings.bendRange}
+                            onChange={(e) => updateSetting('bendRange', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">±{settings.bendRange} st</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Vibrato Rate</label>
+                        <input
+                            type="range" min="0.5" max="12" step="0.1"
+                            value={settings.vibratoRate}
+                            onChange={(e) => updateSetting('vibratoRate', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.vibratoRate.toFixed(1)} Hz</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Vibrato Depth</label>
+                        <input
+                            type="range" min="0" max="200" step="1"
+                            value={settings.vibratoDepth}
+                            onChange={(e) => updateSetting('vibratoDepth', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.vibratoDepth}¢</span>
+                    </div>
+                    <div className="control-item">
+                        <label>Aftertouch</label>
+                        <select
+                            value={settings.aftertouchTarget}
+                            onChange={(e) => updateSetting('aftertouchTarget', e.target.value)}
+                            className="synth-select"
+                        >
+                            {aftertouchTargets.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="control-item">
+                        <label>AT Amount</label>
+                        <input
+                            type="range" min="0" max="1" step="0.01"
+                            value={settings.aftertouchDepth}
+                            onChange={(e) => updateSetting('aftertouchDepth', Number(e.target.value))}
+                        />
+                        <span className="control-item-value">{settings.aftertouchDepth.toFixed(2)}</span>
+                    </div>
+                </div>
+            </div>
+
+            <div className="control-group">
+                <h3>Effects</h3>
+                {order.map((id, i) => (
+                    <div key={id} className={`effect-unit ${settings[`${id}Enabled`] ? '' : 'bypassed'}`}>
+                        <div className="effect-unit-header">
+                            <label>
+                                <input
+                                    type="checkbox"
+                                    checked={settings[`${id}Enabled`]}
+                                    onChange={(e) => updateSetting(`${id}Enabled`, e.target.checked)}
+                                />
+                                {effectNames[id]}
+                            </label>
+                            <button
+                                className="effect-move-btn"
+                                onClick={() => moveEffect(id, -1)}
+                                disabled={i === 0}
+                                title="Process earlier in the chain"
+                            >▲</button>
+                            <button
+                                className="effect-move-btn"
+                                onClick={() => moveEffect(id, 1)}
+                                disabled={i === order.length - 1}
+                                title="Process later in the chain"
+                            >▼</button>
+                        </div>
+                        <div className="sliders-grid">
+                            {effectControls[id]}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
             <div className="control-group">
                 <h3>Master</h3>
                 <div className="control-item">
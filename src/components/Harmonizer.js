@@ -0,0 +1,82 @@
+import React from 'react';
+import { HARMONY_INTERVALS, MAX_HARMONY_VOICES } from '../harmonizer';
+
+const CHANNELS = Array.from({ length: 16 }, (_, i) => i + 1);
+
+/**
+ * Harmonizer settings. `harmony` is the options object from the session and
+ * `onChange(patch)` updates it.
+ */
+const Harmonizer = ({ harmony, onChange }) => {
+  const setVoice = (i, patch) => onChange({ voices: harmony.voices.map((v, k) => (k === i ? { ...v, ...patch } : v)) });
+  const stopKeys = { onKeyDown: (e) => e.stopPropagation(), onKeyUp: (e) => e.stopPropagation() };
+
+  return (
+    <div className="looper-panel">
+      <div className="clock-modes">
+        <button
+          className={`pad-map-learn-btn ${harmony.enabled ? 'active' : ''}`}
+          onClick={() => onChange({ enabled: !harmony.enabled })}
+          title="Every key, pad and touch note also plays the voices below"
+        >{harmony.enabled ? '● On' : '○ Off'}</button>
+      </div>
+
+      {harmony.voices.map((voice, i) => (
+        <div key={i} className="looper-settings">
+          <label className="export-field">
+            <span>Voice {i + 1}</span>
+            <select value={voice.interval} onChange={(e) => setVoice(i, { interval: e.target.value })}>
+              {HARMONY_INTERVALS.map(h => <option key={h.value} value={h.value}>{h.label}</option>)}
+            </select>
+          </label>
+          {voice.interval === 'custom' && (
+            <label className="export-field">
+              <span>Scale steps</span>
+              <input
+                type="number" min="-14" max="14" step="1"
+                value={voice.steps}
+                onChange={(e) => setVoice(i, { steps: Math.max(-14, Math.min(14, Math.round(Number(e.target.value)) || 0)) })}
+                {...stopKeys}
+              />
+            </label>
+          )}
+          <button
+            className="pad-map-action-btn"
+            onClick={() => onChange({ voices: harmony.voices.filter((_, k) => k !== i) })}
+            disabled={harmony.voices.length === 1}
+          >Remove</button>
+        </div>
+      ))}
+
+      <div className="looper-settings">
+        <button
+          className="pad-map-action-btn"
+          onClick={() => onChange({ voices: [...harmony.voices, { interval: '6', steps: 5 }] })}
+          disabled={harmony.voices.length >= MAX_HARMONY_VOICES}
+        >+ Voice</button>
+        <label className="export-field">
+          <span>MIDI channel</span>
+          <select value={harmony.channel} onChange={(e) => onChange({ channel: Number(e.target.value) })}>
+            <option value={0}>Same as routes</option>
+            {CHANNELS.map(ch => <option key={ch} value={ch}>{ch}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <label className="export-field export-field-wide">
+        <span>Voice level {harmony.level}%</span>
+        <input
+          type="range" min="10" max="100" step="5"
+          value={harmony.level}
+          onChange={(e) => onChange({ level: Number(e.target.value) })}
+        />
+      </label>
+      <p className="pad-map-hint">
+        Voices move in steps of the current scale, so a third is major or minor as the key calls for.
+        Custom steps count scale degrees: 2 is a third, −2 a third below.
+      </p>
+    </div>
+  );
+};
+
+export default Harmonizer;
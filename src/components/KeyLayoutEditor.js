@@ -0,0 +1,106 @@
+import React, { useEffect, useState } from 'react';
+import { DEFAULT_KEY_LAYOUT, KEY_LAYOUT_PRESETS, RESERVED_CODES, keyCap } from '../keyLayouts';
+
+const MOVES = Array.from({ length: 29 }, (_, i) => i - 14);
+const signed = (n) => (n > 0 ? `+${n}` : n === 0 ? 'RPT' : `−${-n}`);
+
+// Select value for a binding: a move in scale steps, or an octave modifier
+const actionValue = (b) => (b.octave !== undefined ? `o${b.octave}` : `m${b.interval}`);
+const parseAction = (value) => (value[0] === 'o'
+  ? { octave: Number(value.slice(1)) }
+  : { interval: Number(value.slice(1)) });
+
+/**
+ * Computer-keyboard layout editor. `layout` is { preset, bindings } as in
+ * DEFAULT_KEY_LAYOUT and `onChange(layout)` replaces it. Keys are assigned by
+ * pressing them, so any physical key on any layout can be bound.
+ */
+const KeyLayoutEditor = ({ layout, onChange }) => {
+  const [learning, setLearning] = useState(null);   // index of the binding waiting for a key, or 'new'
+  const [notice, setNotice] = useState(null);
+
+  // While learning, the next key press is captured before the playing keys see it
+  useEffect(() => {
+    if (learning === null) return undefined;
+    const capture = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.code === 'Escape') { setLearning(null); return; }
+      if (RESERVED_CODES.includes(e.code)) {
+        setNotice(`${keyCap(e.code, layout.preset)} is kept for the key and scale hotkeys`);
+        return;
+      }
+      const others = layout.bindings.filter((b, i) => b.code !== e.code || i === learning);
+      const moved = others.length < layout.bindings.length;
+      const bindings = learning === 'new'
+        ? [...others, { code: e.code, interval: 1 }]
+        : others.map(b => (b === layout.bindings[learning] ? { ...b, code: e.code } : b));
+      onChange({ ...layout, bindings });
+      setNotice(moved ? `${keyCap(e.code, layout.preset)} was moved from its previous binding` : null);
+      setLearning(null);
+    };
+    window.addEventListener('keydown', capture, true);
+    window.addEventListener('keyup', capture, true);
+    return () => {
+      window.removeEventListener('keydown', capture, true);
+      window.removeEventListener('keyup', capture, true);
+    };
+  }, [learning, layout, onChange]);
+
+  const setBinding = (i, patch) => {
+    const { code } = layout.bindings[i];
+    onChange({ ...layout, bindings: layout.bindings.map((b, k) => (k === i ? { code, ...patch } : b)) });
+  };
+
+  return (
+    <div className="looper-panel">
+      <div className="clock-modes">
+        {KEY_LAYOUT_PRESETS.map(p => (
+          <button
+            key={p.value}
+            className={`pad-map-learn-btn ${layout.preset === p.value ? 'active' : ''}`}
+            onClick={() => onChange({ ...layout, preset: p.value })}
+            title={`Label the keys as on a ${p.label} keyboard`}
+          >{p.label}</button>
+        ))}
+      </div>
+
+      <div className="key-layout-list">
+        {layout.bindings.map((b, i) => (
+          <div key={`${b.code}-${i}`} className="key-layout-row">
+            <button
+              className={`pad-map-learn-btn key-layout-cap ${learning === i ? 'active' : ''}`}
+              onClick={() => setLearning(learning === i ? null : i)}
+              title="Click, then press the key to use"
+            >{learning === i ? 'Press a key…' : keyCap(b.code, layout.preset)}</button>
+            <select value={actionValue(b)} onChange={(e) => setBinding(i, parseAction(e.target.value))}>
+              {MOVES.map(m => <option key={m} value={`m${m}`}>{signed(m)} {Math.abs(m) === 1 ? 'step' : 'steps'}</option>)}
+              <option value="o-1">Octave down (hold)</option>
+              <option value="o1">Octave up (hold)</option>
+            </select>
+            <button
+              className="pad-map-action-btn"
+              onClick={() => onChange({ ...layout, bindings: layout.bindings.filter((_, k) => k !== i) })}
+            >✕</button>
+          </div>
+        ))}
+      </div>
+
+      <div className="pad-map-actions">
+        <button
+          className={`pad-map-action-btn ${learning === 'new' ? 'active' : ''}`}
+          onClick={() => setLearning(learning === 'new' ? null : 'new')}
+        >{learning === 'new' ? 'Press a key…' : '+ Key'}</button>
+        <button className="pad-map-action-btn" onClick={() => onChange({ ...layout, bindings: DEFAULT_KEY_LAYOUT.bindings })}
+          title="Home row ±4, Q row ±5 to ±8, Shift for octaves">Reset keys</button>
+      </div>
+      {notice && <div className="profile-report">{notice}</div>}
+      <p className="pad-map-hint">
+        Keys are bound by position, so the layout plays the same on any system keyboard; the preset only changes
+        the labels. Hold an octave key to move the other keys an octave further. Esc cancels.
+      </p>
+    </div>
+  );
+};
+
+export default KeyLayoutEditor;
@@ -1,4 +1,5 @@
 import React, { useEffect, useRef } from 'react';
+import { DEFAULT_KEY_LAYOUT, moveKeys } from '../keyLayouts';
 
 const isBlackKey = (note) => {
     const n = note % 12;
@@ -8,17 +9,11 @@ const isBlackKey = (note) => {
 const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
 const getNoteName = (midi) => `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
 
-const OVERLAY_KEYS = [
-    { label: 'A', interval: -4 },
-    { label: 'S', interval: -3 },
-    { label: 'D', interval: -2 },
-    { label: 'F', interval: -1 },
-    { label: '⎵', interval: 0 },
-    { label: 'J', interval: 1 },
-    { label: 'K', interval: 2 },
-    { label: 'L', interval: 3 },
-    { label: ';', interval: 4 },
-];
+// Badges for the default key layout, when the caller passes no overlayNotes
+const OVERLAY_KEYS = moveKeys(DEFAULT_KEY_LAYOUT).map(({ code, cap, interval }) => ({
+    label: code === 'Space' ? '⎵' : cap,
+    interval,
+}));
 
 const WHITE_WIDTH = 36;
 const KEYBOARD_PADDING = 20;
@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from 'react';
+
+const BAR_OPTIONS = [1, 2, 4, 8];
+const BEAT_OPTIONS = [2, 3, 4, 5, 6, 7];
+
+const STATE_LABELS = {
+  empty: 'Empty',
+  stopped: 'Stopped',
+  recording: '● Recording',
+  playing: '▶ Playing',
+  overdubbing: '⊕ Overdubbing',
+};
+
+/**
+ * Transport and layer list for the overdub looper. `looper` is the engine
+ * from createLooper; `bpm`/`onBpmChange` control the shared tempo, which is
+ * read-only (`bpmLocked`) while following an external clock.
+ */
+const Looper = ({ looper, bpm, onBpmChange, bpmLocked }) => {
+  const [status, setStatus] = useState({ state: 'empty', layers: [], position: 0, lengthBeats: 0 });
+  const [bars, setBars] = useState(1);
+  const [beatsPerBar, setBeatsPerBar] = useState(4);
+
+  useEffect(() => (looper ? looper.subscribe(setStatus) : undefined), [looper]);
+
+  if (!looper) return null;
+
+  const { state, layers, position, lengthBeats } = status;
+  const running = state === 'recording' || state === 'playing' || state === 'overdubbing';
+  const progress = lengthBeats ? (position / lengthBeats) * 100 : 0;
+
+  return (
+    <div className="looper-panel">
+      <div className="looper-settings">
+        <label className="export-field">
+          <span>Tempo (BPM)</span>
+          <input
+            type="number" min="20" max="300" step="1"
+            value={bpm}
+            disabled={bpmLocked}
+            onChange={(e) => onBpmChange(Math.max(20, Math.min(300, Number(e.target.value) || 120)))}
+            onKeyDown={(e) => e.stopPropagation()}
+            onKeyUp={(e) => e.stopPropagation()}
+          />
+        </label>
+        <label className="export-field">
+          <span>Bars</span>
+          <select value={bars} onChange={(e) => setBars(Number(e.target.value))} disabled={running}>
+            {BAR_OPTIONS.map(b => <option key={b} value={b}>{b}</option>)}
+          </select>
+        </label>
+        <label className="export-field">
+          <span>Beats / bar</span>
+          <select value={beatsPerBar} onChange={(e) => setBeatsPerBar(Number(e.target.value))} disabled={running}>
+            {BEAT_OPTIONS.map(b => <option key={b} value={b}>{b}</option>)}
+          </select>
+        </label>
+        <span className={`looper-state ${state}`}>{STATE_LABELS[state]}</span>
+      </div>
+
+      <div className="looper-progress">
+        <div className="looper-progress-fill" style={{ width: `${progress}%` }} />
+        {lengthBeats > 0 && Array.from({ length: Math.round(lengthBeats) }, (_, i) => (
+          <div
+            key={i}
+            className={`looper-beat ${i % beatsPerBar === 0 ? 'bar' : ''}`}
+            style={{ left: `${(i / lengthBeats) * 100}%` }}
+          />
+        ))}
+      </div>
+
+      <div className="pad-map-actions">
+        <button
+          className={`pad-map-action-btn looper-rec-btn ${state === 'recording' ? 'active' : ''}`}
+          onClick={() => looper.record(bars * beatsPerBar)}
+          title="Start a new loop — the first pass is recorded, then it plays back"
+        >● Rec</button>
+        <button className="pad-map-action-btn" onClick={() => looper.play()} disabled={!layers.length || running}>▶ Play</button>
+        <button className="pad-map-action-btn" onClick={() => looper.stop()} disabled={!running}>■ Stop</button>
+        <button
+          className={`pad-map-action-btn ${state === 'overdubbing' ? 'active' : ''}`}
+          onClick={() => looper.toggleOverdub()}
+          disabled={state !== 'playing' && state !== 'overdubbing'}
+          title="Record a new layer on top of the loop; press again to keep it"
+        >⊕ Overdub</button>
+        <button className="pad-map-action-btn" onClick={() => looper.undo()}
+          disabled={!layers.length && state !== 'overdubbing'}
+          title="Remove the last layer (or discard the overdub in progress)">↶ Undo</button>
+        <button className="pad-map-action-btn" onClick={() => looper.clear()} disabled={state === 'empty'}>Clear</button>
+      </div>
+
+      {layers.length > 0 && (
+        <div className="looper-layers">
+          {layers.map((layer, i) => (
+            <div key={layer.id} className={`pad-map-row ${layer.muted ? 'muted' : ''}`}>
+              <span className="pad-map-interval zero">L{i + 1}</span>
+              <span className="pad-map-assignment">{layer.noteCount} notes</span>
+              <button
+                className={`pad-map-learn-btn ${layer.muted ? '' : 'active'}`}
+                onClick={() => looper.toggleMute(layer.id)}
+              >{layer.muted ? 'Muted' : 'On'}</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Looper;
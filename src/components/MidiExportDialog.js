@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { QUANTIZE_GRIDS, DEFAULT_EXPORT_OPTIONS } from '../midiFile';
+
+const DENOMINATORS = [2, 4, 8, 16];
+
+// Typing a number must not play the keys bound to digits
+const stopKeys = {
+  onKeyDown: (e) => e.stopPropagation(),
+  onKeyUp: (e) => e.stopPropagation(),
+};
+
+/**
+ * Modal for MIDI export settings: tempo, meter and optional quantization.
+ * `onExport(options)` returns an error message, or null when the file was saved.
+ */
+const MidiExportDialog = ({ initialOptions, onExport, onClose }) => {
+  const [opts, setOpts] = useState({ ...DEFAULT_EXPORT_OPTIONS, ...initialOptions });
+  const [error, setError] = useState(null);
+  const set = (key, value) => setOpts(prev => ({ ...prev, [key]: value }));
+
+  const handleExport = () => {
+    const err = onExport(opts);
+    if (err) setError(err);
+    else onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-content export-dialog"
+        onClick={e => e.stopPropagation()}
+        onKeyDown={e => e.stopPropagation()}
+        onKeyUp={e => e.stopPropagation()}
+      >
+        <button className="modal-close" onClick={onClose}>✕</button>
+        <h2>Export MIDI</h2>
+        <p className="modal-tagline">Tempo, meter &amp; quantization</p>
+
+        <div className="export-grid">
+          <label className="export-field">
+            <span>Tempo (BPM)</span>
+            <input
+              type="number" min="20" max="300" step="1"
+              value={opts.bpm}
+              onChange={e => set('bpm', Number(e.target.value))}
+              {...stopKeys}
+            />
+          </label>
+          <label className="export-field">
+            <span>Meter</span>
+            <span className="export-meter">
+              <input
+                type="number" min="1" max="32" step="1"
+                value={opts.numerator}
+                onChange={e => set('numerator', Number(e.target.value))}
+                {...stopKeys}
+              />
+              /
+              <select value={opts.denominator} onChange={e => set('denominator', Number(e.target.value))}>
+                {DENOMINATORS.map(d => <option key={d} value={d}>{d}</option>)}
+              </select>
+            </span>
+          </label>
+        </div>
+
+        <label className="midi-option-label export-option">
+          <input
+            type="checkbox"
+            checked={!opts.quantize}
+            onChange={e => set('quantize', !e.target.checked)}
+          />
+          Keep raw timing (no quantization)
+        </label>
+
+        <div className={`export-grid ${opts.quantize ? '' : 'disabled'}`}>
+          <label className="export-field">
+            <span>Grid</span>
+            <select value={opts.grid} disabled={!opts.quantize} onChange={e => set('grid', e.target.value)}>
+              {QUANTIZE_GRIDS.map(g => <option key={g.value} value={g.value}>{g.label}</option>)}
+            </select>
+          </label>
+          <label className="midi-option-label export-option">
+            <input
+              type="checkbox"
+              checked={opts.triplet}
+              disabled={!opts.quantize}
+              onChange={e => set('triplet', e.target.checked)}
+            />
+            Triplets
+          </label>
+          <label className="export-field export-field-wide">
+            <span>Swing {opts.triplet ? '(n/a with triplets)' : `${opts.swing}%`}</span>
+            <input
+              type="range" min="0" max="100" step="1"
+              value={opts.swing}
+              disabled={!opts.quantize || opts.triplet}
+              onChange={e => set('swing', Number(e.target.value))}
+            />
+          </label>
+        </div>
+
+        {error && <div className="profile-report error">{error}</div>}
+
+        <div className="pad-map-actions export-actions">
+          <button className="pad-map-action-btn" onClick={onClose}>Cancel</button>
+          <button className="pad-map-action-btn rapid-learn-btn" onClick={handleExport}>🎵 Export .mid</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MidiExportDialog;
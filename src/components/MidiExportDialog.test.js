@@ -0,0 +1,23 @@
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import MidiExportDialog from './MidiExportDialog';
+
+test('typing in the number fields does not reach the playing keys', () => {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  const root = createRoot(container);
+  const played = jest.fn();
+  window.addEventListener('keydown', played);
+
+  const show = () => root.render(<MidiExportDialog initialOptions={{}} onExport={() => null} onClose={() => {}} />);
+  act(show);
+  container.querySelectorAll('input[type="number"]').forEach(input => {
+    input.dispatchEvent(new KeyboardEvent('keydown', { code: 'Digit1', key: '1', bubbles: true }));
+  });
+  expect(container.querySelectorAll('input[type="number"]')).toHaveLength(2);
+  expect(played).not.toHaveBeenCalled();
+
+  window.removeEventListener('keydown', played);
+  act(() => root.unmount());
+  container.remove();
+});
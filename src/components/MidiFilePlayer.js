@@ -0,0 +1,160 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { parseMidiFile } from '../midiFile';
+import { createMidiPlayer } from '../midiPlayer';
+
+const formatTime = (ms) => {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Load a .mid file, pick a track and play it back on `scheduler` through
+ * timestamped `onNoteOn` / `onNoteOff`. `onStaffNotes` receives the notes to show on the staff
+ * (the whole track when stopped, the notes reached so far while playing),
+ * or null when no file is loaded.
+ */
+const MidiFilePlayer = ({ scheduler, onNoteOn, onNoteOff, onStaffNotes }) => {
+  const fileRef = useRef(null);
+  const playerRef = useRef(null);
+  const callbacksRef = useRef({});
+  const [song, setSong] = useState(null);          // parsed file + name
+  const [trackIndex, setTrackIndex] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [loop, setLoop] = useState(false);
+  const [tempoScale, setTempoScale] = useState(1);
+  const [position, setPosition] = useState(0);
+  const [error, setError] = useState(null);
+
+  const track = song && trackIndex !== null ? song.tracks[trackIndex] : null;
+  const trackDuration = track ? track.notes.reduce((max, n) => Math.max(max, n.end), 0) : 0;
+  callbacksRef.current = { onNoteOn, onNoteOff, onStaffNotes, track };
+
+  useEffect(() => {
+    const player = createMidiPlayer({
+      scheduler,
+      onNoteOn: (id, note, velocity, index, time) => callbacksRef.current.onNoteOn(id, note, velocity, index, time),
+      onNoteOff: (id, note, time) => callbacksRef.current.onNoteOff(id, note, time),
+      onNoteShown: (index) => {
+        const t = callbacksRef.current.track;
+        if (t) callbacksRef.current.onStaffNotes(t.notes.slice(0, index + 1).map(n => ({ note: n.note, time: n.start })));
+      },
+      onProgress: setPosition,
+      onEnd: () => setPlaying(false),
+    });
+    playerRef.current = player;
+    return () => player.dispose();
+  }, [scheduler]);
+
+  // Load the chosen track into the player and show it on the staff
+  useEffect(() => {
+    const player = playerRef.current;
+    if (!player) return;
+    player.load(track ? track.notes : []);
+    setPlaying(false);
+    setPosition(0);
+    callbacksRef.current.onStaffNotes(track ? track.notes.map(n => ({ note: n.note, time: n.start })) : null);
+  }, [track]);
+
+  useEffect(() => { if (playerRef.current) playerRef.current.setLoop(loop); }, [loop]);
+  useEffect(() => { if (playerRef.current) playerRef.current.setTempoScale(tempoScale); }, [tempoScale]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const parsed = parseMidiFile(await file.arrayBuffer());
+      const firstWithNotes = parsed.tracks.findIndex(t => t.notes.length > 0);
+      if (firstWithNotes < 0) throw new Error('The file contains no notes');
+      console.log(`[MIDI-FILE] Loaded ${file.name}: format ${parsed.format}, ${parsed.tracks.length} track(s)`);
+      setError(null);
+      setSong({ ...parsed, fileName: file.name });
+      setTrackIndex(firstWithNotes);
+    } catch (err) {
+      console.warn('[MIDI-FILE] Could not load', file.name, err);
+      setError(`Could not load ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handlePlay = () => {
+    if (!playerRef.current || !track) return;
+    playerRef.current.play();
+    setPlaying(playerRef.current.isPlaying());
+  };
+
+  const handleStop = () => {
+    if (!playerRef.current) return;
+    playerRef.current.stop();
+    setPlaying(false);
+    if (track) onStaffNotes(track.notes.map(n => ({ note: n.note, time: n.start })));
+  };
+
+  const handleEject = () => {
+    setSong(null);
+    setTrackIndex(null);
+  };
+
+  return (
+    <div className="file-player">
+      <div className="pad-map-actions">
+        <button className="pad-map-action-btn" onClick={() => fileRef.current && fileRef.current.click()}
+          title="Open a Standard MIDI File (.mid)">📂 Load .mid</button>
+        {song && (
+          <button className="pad-map-action-btn" onClick={handleEject}
+            title="Close the file and show your own playing on the staff again">⏏ Close</button>
+        )}
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".mid,.midi,audio/midi,audio/x-midi"
+          style={{ display: 'none' }}
+          onChange={handleFile}
+        />
+      </div>
+
+      {error && <div className="profile-report error">{error}</div>}
+
+      {song && (
+        <>
+          <div className="file-player-info">
+            <strong>{song.fileName}</strong> · format {song.format} · {song.tracks.length} track{song.tracks.length === 1 ? '' : 's'}
+          </div>
+          <div className="preset-row">
+            <select
+              className="midi-select preset-select"
+              value={trackIndex === null ? '' : trackIndex}
+              onChange={(e) => setTrackIndex(Number(e.target.value))}
+            >
+              {song.tracks.map(t => (
+                <option key={t.index} value={t.index} disabled={!t.notes.length}>
+                  {t.name} — {t.notes.length} notes{t.channels.length ? ` · ch ${t.channels.join(', ')}` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="file-player-transport">
+            <button className={`pad-map-action-btn ${playing ? 'active' : ''}`} onClick={handlePlay} disabled={playing || !track}>▶ Play</button>
+            <button className="pad-map-action-btn" onClick={handleStop}>■ Stop</button>
+            <label className="midi-option-label">
+              <input type="checkbox" checked={loop} onChange={(e) => setLoop(e.target.checked)} />
+              Loop
+            </label>
+            <span className="file-player-time">
+              {formatTime(position)} / {formatTime(trackDuration)}
+            </span>
+          </div>
+          <div className="control-item">
+            <label>Tempo {Math.round(tempoScale * 100)}%</label>
+            <input
+              type="range" min="0.25" max="2" step="0.05"
+              value={tempoScale}
+              onChange={(e) => setTempoScale(Number(e.target.value))}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MidiFilePlayer;
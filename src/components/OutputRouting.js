@@ -0,0 +1,102 @@
+import React from 'react';
+import { createRoute } from '../midiRouting';
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+const getNoteName = (midi) => `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+
+const clampNote = (v) => Math.max(0, Math.min(127, Math.round(Number(v) || 0)));
+
+const stopKeys = {
+  onKeyDown: (e) => e.stopPropagation(),
+  onKeyUp: (e) => e.stopPropagation(),
+};
+
+/**
+ * Output routing table: one row per destination with port, channel,
+ * transpose and key range. `outputs` are the connected MIDI output ports;
+ * `onChange(routes)` receives the whole updated table.
+ */
+const OutputRouting = ({ routes, outputs, onChange }) => {
+  const update = (id, patch) => onChange(routes.map(r => (r.id === id ? { ...r, ...patch } : r)));
+  const remove = (id) => onChange(routes.filter(r => r.id !== id));
+  const add = () => onChange([...routes, createRoute({ output: outputs.length ? outputs[0].name : null })]);
+
+  return (
+    <div className="output-routing">
+      {routes.length === 0 && <div className="midi-activity">No MIDI Out</div>}
+      {routes.map(route => {
+        const connected = outputs.some(o => o.name === route.output);
+        return (
+          <div key={route.id} className={`output-route ${route.enabled ? '' : 'muted'}`}>
+            <div className="midi-input-row">
+              <input
+                type="checkbox"
+                checked={route.enabled}
+                onChange={(e) => update(route.id, { enabled: e.target.checked })}
+                title="Send to this destination"
+              />
+              <select
+                className="midi-select midi-io-select"
+                value={route.output || ''}
+                onChange={(e) => update(route.id, { output: e.target.value || null })}
+              >
+                {!connected && <option value={route.output || ''}>{route.output ? `${route.output} (offline)` : 'Preferred output'}</option>}
+                {outputs.map(output => (
+                  <option key={output.id} value={output.name}>{output.name}</option>
+                ))}
+              </select>
+              <select
+                className="midi-select midi-ch-select"
+                value={route.channel}
+                onChange={(e) => update(route.id, { channel: Number(e.target.value) })}
+              >
+                <option value={0}>ALL Ch</option>
+                {Array.from({ length: 16 }, (_, i) => (
+                  <option key={i + 1} value={i + 1}>Ch {i + 1}</option>
+                ))}
+              </select>
+              <button className="pad-map-clear-btn" onClick={() => remove(route.id)} title="Remove this destination">✕</button>
+            </div>
+            <div className="output-route-options">
+              <label title="Shift every note sent here by this many semitones">
+                Transpose
+                <input
+                  type="number" min="-48" max="48" step="1"
+                  value={route.transpose}
+                  onChange={(e) => update(route.id, { transpose: Math.max(-48, Math.min(48, Math.round(Number(e.target.value) || 0))) })}
+                  {...stopKeys}
+                />
+              </label>
+              <label title="Lowest note sent to this destination">
+                From
+                <input
+                  type="number" min="0" max="127" step="1"
+                  value={route.low}
+                  onChange={(e) => update(route.id, { low: Math.min(clampNote(e.target.value), route.high) })}
+                  {...stopKeys}
+                />
+                <span className="output-route-note">{getNoteName(route.low)}</span>
+              </label>
+              <label title="Highest note sent to this destination">
+                To
+                <input
+                  type="number" min="0" max="127" step="1"
+                  value={route.high}
+                  onChange={(e) => update(route.id, { high: Math.max(clampNote(e.target.value), route.low) })}
+                  {...stopKeys}
+                />
+                <span className="output-route-note">{getNoteName(route.high)}</span>
+              </label>
+            </div>
+          </div>
+        );
+      })}
+      <button className="pad-map-action-btn" onClick={add}>+ Add destination</button>
+      <p className="pad-map-hint">
+        Overlapping ranges layer; for a split, end one range just below the key where the next begins.
+      </p>
+    </div>
+  );
+};
+
+export default OutputRouting;
@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { listPresets, savePreset, loadPreset, deletePreset } from '../presetStore';
+
+/**
+ * Named presets for the active controller. `getSnapshot` returns the state to
+ * save; `onLoad` receives a migrated preset. `defaults` fills fields missing
+ * from older presets.
+ */
+const PresetManager = ({ controller, getSnapshot, onLoad, defaults }) => {
+  const [names, setNames] = useState(() => listPresets(controller));
+  const [selected, setSelected] = useState('');
+  const [draftName, setDraftName] = useState('');
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    setNames(listPresets(controller));
+    setSelected('');
+    setStatus(null);
+  }, [controller]);
+
+  const handleSave = () => {
+    const name = draftName.trim() || selected;
+    if (!name) return;
+    if (savePreset(controller, name, getSnapshot())) {
+      setNames(listPresets(controller));
+      setSelected(name);
+      setDraftName('');
+      setStatus(`Saved "${name}"`);
+    } else {
+      setStatus('Could not save — browser storage is unavailable or full');
+    }
+  };
+
+  const handleLoad = () => {
+    if (!selected) return;
+    const preset = loadPreset(controller, selected, defaults);
+    if (!preset) {
+      const stillThere = listPresets(controller);
+      setStatus(stillThere.includes(selected)
+        ? `"${selected}" was saved by a newer version and can't be loaded`
+        : `"${selected}" no longer exists`);
+      setNames(stillThere);
+      return;
+    }
+    onLoad(preset);
+    setStatus(`Loaded "${selected}"`);
+  };
+
+  const handleDelete = () => {
+    if (!selected) return;
+    deletePreset(controller, selected);
+    setNames(listPresets(controller));
+    setStatus(`Deleted "${selected}"`);
+    setSelected('');
+  };
+
+  return (
+    <div className="pad-map-section">
+      <h4 className="midi-io-heading">Presets</h4>
+      <p className="pad-map-hint">
+        Your mappings, velocities, scale and synth settings are saved automatically.
+        Save named presets for <strong>{controller}</strong> to switch between setups.
+      </p>
+      <div className="preset-row">
+        <select
+          className="midi-select preset-select"
+          value={selected}
+          onChange={(e) => setSelected(e.target.value)}
+        >
+          <option value="">{names.length ? 'Choose preset…' : 'No saved presets'}</option>
+          {names.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <button className="pad-map-action-btn" onClick={handleLoad} disabled={!selected}>Load</button>
+        <button className="pad-map-action-btn" onClick={handleDelete} disabled={!selected}>Delete</button>
+      </div>
+      <div className="preset-row">
+        <input
+          type="text"
+          className="preset-name-input"
+          placeholder={selected ? `Overwrite "${selected}" or enter new name` : 'Preset name'}
+          value={draftName}
+          onChange={(e) => setDraftName(e.target.value)}
+          onKeyDown={(e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') handleSave();
+          }}
+          onKeyUp={(e) => e.stopPropagation()}
+        />
+        <button
+          className="pad-map-action-btn"
+          onClick={handleSave}
+          disabled={!draftName.trim() && !selected}
+        >Save</button>
+      </div>
+      {status && <div className="midi-activity">{status}</div>}
+    </div>
+  );
+};
+
+export default PresetManager;
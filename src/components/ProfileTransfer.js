@@ -0,0 +1,80 @@
+import React, { useRef, useState } from 'react';
+import download from '../download';
+import { serializeProfile, parseProfile } from '../profiles';
+
+/**
+ * Export/Import buttons for controller mapping profiles.
+ * `getProfile` returns the mapping state to export; `onImport` receives the
+ * validated subset of an imported profile. `validation` is passed to parseProfile.
+ */
+const ProfileTransfer = ({ getProfile, onImport, validation }) => {
+  const fileRef = useRef(null);
+  const [report, setReport] = useState(null); // { message, rejected[], isError }
+
+  const handleExport = () => {
+    download(
+      new Blob([serializeProfile(getProfile())], { type: 'application/json' }),
+      `rel-midi-profile-${Date.now()}.json`
+    );
+    setReport({ message: 'Profile exported', rejected: [] });
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let text;
+    try {
+      text = await file.text();
+    } catch (err) {
+      setReport({ message: `Could not read ${file.name}: ${err.message}`, rejected: [], isError: true });
+      return;
+    }
+    const { profile, rejected, error } = parseProfile(text, validation);
+    if (error) {
+      setReport({ message: `Import failed — ${error}`, rejected: [], isError: true });
+      return;
+    }
+    onImport(profile);
+    setReport({
+      message: rejected.length
+        ? `Imported ${file.name} with ${rejected.length} rejected ${rejected.length === 1 ? 'entry' : 'entries'}:`
+        : `Imported ${file.name}`,
+      rejected,
+    });
+  };
+
+  return (
+    <div className="pad-map-section">
+      <h4 className="midi-io-heading">Mapping Profile</h4>
+      <p className="pad-map-hint">
+        Share pad and knob mappings, pad velocity, key velocities and your custom and favourite scales between machines as a JSON file.
+      </p>
+      <div className="pad-map-actions">
+        <button className="pad-map-action-btn" onClick={handleExport}
+          title="Download the current mappings as a JSON profile">Export</button>
+        <button className="pad-map-action-btn" onClick={() => fileRef.current && fileRef.current.click()}
+          title="Load mappings from a JSON profile">Import</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          style={{ display: 'none' }}
+          onChange={handleFile}
+        />
+      </div>
+      {report && (
+        <div className={`profile-report ${report.isError ? 'error' : ''}`}>
+          <div>{report.message}</div>
+          {report.rejected.length > 0 && (
+            <ul>
+              {report.rejected.map((r, i) => <li key={i}>{r}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProfileTransfer;
@@ -0,0 +1,172 @@
+import React, { useRef, useState } from 'react';
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+const getNoteName = (midi) => `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+
+const clampTo = (v, min, max) => Math.max(min, Math.min(max, Math.round(Number(v) || 0)));
+
+const stopKeys = {
+  onKeyDown: (e) => e.stopPropagation(),
+  onKeyUp: (e) => e.stopPropagation(),
+};
+
+/**
+ * Sample set for the sampler engine: load audio files by drag-and-drop or
+ * the file picker, then give each a root note, key range, velocity layer
+ * and loop points. Hold ▶ to audition a zone at its root note.
+ */
+const SamplerPanel = ({ zones, onAddFiles, onUpdate, onRemove, onAuditionStart, onAuditionStop }) => {
+  const fileRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const addFiles = async (fileList) => {
+    const files = Array.from(fileList || []).filter(f => !f.type || f.type.startsWith('audio/'));
+    if (!files.length) return;
+    setLoading(true);
+    const failed = await onAddFiles(files);
+    setLoading(false);
+    setError(failed.length ? `Could not load ${failed.join(', ')} — is it an audio file this browser can decode?` : null);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  const sorted = [...zones].sort((a, b) => a.low - b.low || a.velLow - b.velLow);
+
+  return (
+    <div className="sampler-panel">
+      <div
+        className={`sampler-drop ${dragging ? 'dragging' : ''}`}
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+      >
+        {loading ? 'Loading…' : 'Drop audio files here'}
+        <button className="pad-map-action-btn" onClick={() => fileRef.current && fileRef.current.click()}>
+          📂 Choose files
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="audio/*"
+          multiple
+          style={{ display: 'none' }}
+          onChange={(e) => { addFiles(e.target.files); e.target.value = ''; }}
+        />
+      </div>
+
+      {error && <div className="profile-report error">{error}</div>}
+
+      {sorted.map(zone => (
+        <div key={zone.id} className="output-route">
+          <div className="midi-input-row">
+            <button
+              className="pad-map-learn-btn"
+              onMouseDown={() => onAuditionStart(zone.root)}
+              onMouseUp={() => onAuditionStop(zone.root)}
+              onMouseLeave={() => onAuditionStop(zone.root)}
+              title="Hold to play this sample at its root note"
+            >▶</button>
+            <span className="sampler-zone-name" title={zone.name}>{zone.name}</span>
+            <span className="output-route-note">{zone.duration.toFixed(2)}s</span>
+            <button className="pad-map-clear-btn" onClick={() => onRemove(zone.id)} title="Remove this sample">✕</button>
+          </div>
+          <div className="output-route-options">
+            <label title="The note this sample was recorded at">
+              Root
+              <input
+                type="number" min="0" max="127" step="1"
+                value={zone.root}
+                onChange={(e) => onUpdate(zone.id, { root: clampTo(e.target.value, 0, 127) })}
+                {...stopKeys}
+              />
+              <span className="output-route-note">{getNoteName(zone.root)}</span>
+            </label>
+            <label title="Lowest key this sample plays">
+              Keys
+              <input
+                type="number" min="0" max="127" step="1"
+                value={zone.low}
+                onChange={(e) => onUpdate(zone.id, { low: Math.min(clampTo(e.target.value, 0, 127), zone.high) })}
+                {...stopKeys}
+              />
+            </label>
+            <label title="Highest key this sample plays">
+              –
+              <input
+                type="number" min="0" max="127" step="1"
+                value={zone.high}
+                onChange={(e) => onUpdate(zone.id, { high: Math.max(clampTo(e.target.value, 0, 127), zone.low) })}
+                {...stopKeys}
+              />
+              <span className="output-route-note">{getNoteName(zone.low)}–{getNoteName(zone.high)}</span>
+            </label>
+          </div>
+          <div className="output-route-options">
+            <label title="Softest velocity that plays this sample">
+              Velocity
+              <input
+                type="number" min="1" max="127" step="1"
+                value={zone.velLow}
+                onChange={(e) => onUpdate(zone.id, { velLow: Math.min(clampTo(e.target.value, 1, 127), zone.velHigh) })}
+                {...stopKeys}
+              />
+            </label>
+            <label title="Hardest velocity that plays this sample">
+              –
+              <input
+                type="number" min="1" max="127" step="1"
+                value={zone.velHigh}
+                onChange={(e) => onUpdate(zone.id, { velHigh: Math.max(clampTo(e.target.value, 1, 127), zone.velLow) })}
+                {...stopKeys}
+              />
+            </label>
+          </div>
+          <div className="output-route-options">
+            <label title="Loop between the loop points while the note is held">
+              <input
+                type="checkbox"
+                checked={zone.loop}
+                onChange={(e) => onUpdate(zone.id, { loop: e.target.checked })}
+              />
+              Loop
+            </label>
+            <label title="Loop start, in seconds">
+              From
+              <input
+                type="number" min="0" max={zone.duration} step="0.01"
+                value={zone.loopStart}
+                disabled={!zone.loop}
+                onChange={(e) => onUpdate(zone.id, { loopStart: Math.max(0, Math.min(Number(e.target.value) || 0, zone.loopEnd)) })}
+                {...stopKeys}
+              />
+            </label>
+            <label title="Loop end, in seconds">
+              To
+              <input
+                type="number" min="0" max={zone.duration} step="0.01"
+                value={zone.loopEnd}
+                disabled={!zone.loop}
+                onChange={(e) => onUpdate(zone.id, { loopEnd: Math.min(zone.duration, Math.max(Number(e.target.value) || 0, zone.loopStart)) })}
+                {...stopKeys}
+              />
+            </label>
+          </div>
+        </div>
+      ))}
+
+      <p className="pad-map-hint">
+        {zones.length
+          ? 'Keys outside every range play the nearest sample, pitch-shifted. The amp and filter envelopes shape every note.'
+          : 'Until samples are loaded the sampler plays the oscillators. Root notes are read from names like "Piano C4.wav".'}
+      </p>
+    </div>
+  );
+};
+
+export default SamplerPanel;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { MIN_NOTES } from '../scaleDetection';
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+
+const SOURCES = [
+  { value: 'input',  label: 'MIDI input', hint: 'Notes arriving on the enabled MIDI inputs, e.g. a backing track' },
+  { value: 'played', label: 'Played notes', hint: 'The notes you have played here' },
+];
+
+/**
+ * Key/scale detection results. `matches` come from rankScales over
+ * `noteCount` notes of `source`; `onApply(match)` selects a match's key and
+ * scale, `onClear()` forgets the notes heard so far.
+ */
+const ScaleDetector = ({ source, onSourceChange, noteCount, histogram, matches, scales, current, onApply, onClear }) => {
+  const loudest = Math.max(1, ...histogram);
+
+  return (
+    <div className="looper-panel">
+      <div className="clock-modes">
+        {SOURCES.map(s => (
+          <button
+            key={s.value}
+            className={`pad-map-learn-btn ${source === s.value ? 'active' : ''}`}
+            onClick={() => onSourceChange(s.value)}
+            title={s.hint}
+          >{s.label}</button>
+        ))}
+        <span className={`looper-state ${noteCount ? 'playing' : ''}`}>{noteCount} notes</span>
+        <button className="pad-map-action-btn" onClick={onClear} disabled={!noteCount}>Clear</button>
+      </div>
+
+      <div className="detect-histogram">
+        {histogram.map((n, pc) => (
+          <div key={pc} className="detect-bar" title={`${NOTE_NAMES[pc]}: ${n}`}>
+            <div className="detect-bar-fill" style={{ height: `${(n / loudest) * 100}%` }} />
+            <span>{NOTE_NAMES[pc]}</span>
+          </div>
+        ))}
+      </div>
+
+      {noteCount < MIN_NOTES ? (
+        <p className="pad-map-hint">
+          {source === 'input'
+            ? `Listening — play or send at least ${MIN_NOTES} notes into an enabled MIDI input.`
+            : `Play at least ${MIN_NOTES} notes to detect a key.`}
+        </p>
+      ) : (
+        <div className="detect-matches">
+          {matches.map(m => {
+            const applied = current.key === m.key && current.scaleIndex === m.scaleIndex;
+            return (
+              <button
+                key={`${m.key}-${m.scaleIndex}`}
+                className={`detect-match ${applied ? 'active' : ''}`}
+                onClick={() => onApply(m)}
+                title="Use this key and scale"
+              >
+                <span>{NOTE_NAMES[m.key]} {scales[m.scaleIndex].label}</span>
+                <span className="detect-confidence">{Math.round(m.score * 100)}%</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScaleDetector;
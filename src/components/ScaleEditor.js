@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { CUSTOM_GROUP, pitchClassesToScale } from '../scales';
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+const DEGREE_NAMES = ['1', '♭2', '2', '♭3', '3', '4', '♯4', '5', '♭6', '6', '♭7', '7'];
+
+// A draft to edit: custom scales keep their id so saving updates them
+const draftFrom = (scale) => ({
+  id: scale.custom ? scale.id : null,
+  name: scale.custom ? scale.label : `${scale.label} (custom)`,
+  group: scale.custom ? scale.group : CUSTOM_GROUP,
+  pitchClasses: scale.value.slice(0, -1),
+});
+
+/**
+ * Build scales from the 12 pitch classes above the current key. `current` is
+ * the selected scale (as buildScaleList lists it); `onSave(scale)` stores a
+ * { id, name, group, value } custom scale, `onDelete(id)` removes one and
+ * `onAudition(value)` plays a scale.
+ */
+const ScaleEditor = ({ current, customScales, scaleKey, onSave, onDelete, onAudition }) => {
+  const [draft, setDraft] = useState(() => draftFrom(current));
+  const stopKeys = { onKeyDown: (e) => e.stopPropagation(), onKeyUp: (e) => e.stopPropagation() };
+
+  const value = pitchClassesToScale(draft.pitchClasses);
+  const name = draft.name.trim();
+  const editing = draft.id && customScales.some(s => s.id === draft.id);
+  const groups = Array.from(new Set([CUSTOM_GROUP, ...customScales.map(s => s.group).filter(Boolean)]));
+
+  const toggle = (pc) => setDraft(prev => ({
+    ...prev,
+    pitchClasses: prev.pitchClasses.includes(pc) ? prev.pitchClasses.filter(p => p !== pc) : [...prev.pitchClasses, pc],
+  }));
+  const save = (id) => {
+    const scale = { id, name, group: draft.group.trim() || CUSTOM_GROUP, value };
+    onSave(scale);
+    setDraft(prev => ({ ...prev, id }));
+  };
+
+  return (
+    <div className="looper-panel">
+      <div className="scale-pc-grid">
+        {NOTE_NAMES.map((_, pc) => (
+          <button
+            key={pc}
+            className={`pad-map-learn-btn ${value.includes(pc) ? 'active' : ''}`}
+            onClick={() => toggle(pc)}
+            disabled={pc === 0}
+            title={pc === 0 ? 'The root is always in the scale' : undefined}
+          >
+            {NOTE_NAMES[(scaleKey + pc) % 12]}
+            <span className="scale-pc-degree">{DEGREE_NAMES[pc]}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="looper-settings">
+        <label className="export-field">
+          <span>Name</span>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+            {...stopKeys}
+          />
+        </label>
+        <label className="export-field">
+          <span>Group</span>
+          <input
+            type="text"
+            list="scale-editor-groups"
+            value={draft.group}
+            onChange={(e) => setDraft(prev => ({ ...prev, group: e.target.value }))}
+            {...stopKeys}
+          />
+          <datalist id="scale-editor-groups">
+            {groups.map(g => <option key={g} value={g} />)}
+          </datalist>
+        </label>
+        <span className="looper-state">{value.length - 1} notes</span>
+      </div>
+
+      <div className="pad-map-actions">
+        <button className="pad-map-action-btn" onClick={() => onAudition(value)} title="Play the scale up from the key's root">▶ Audition</button>
+        <button className="pad-map-action-btn" onClick={() => save(`custom-${Date.now()}`)} disabled={!name}>Save as new</button>
+        <button className="pad-map-action-btn" onClick={() => save(draft.id)} disabled={!name || !editing}>Update</button>
+        <button
+          className="pad-map-action-btn"
+          onClick={() => { onDelete(draft.id); setDraft(prev => ({ ...prev, id: null })); }}
+          disabled={!editing}
+        >Delete</button>
+        <button className="pad-map-action-btn" onClick={() => setDraft(draftFrom(current))}
+          title="Start from the scale selected above">Load selected</button>
+      </div>
+      <p className="pad-map-hint">
+        {editing
+          ? `Editing “${customScales.find(s => s.id === draft.id).name}”. Saved scales appear in the scale list under their group.`
+          : 'Saved scales appear in the scale list under their group. Select a custom scale and load it here to edit it.'}
+      </p>
+    </div>
+  );
+};
+
+export default ScaleEditor;
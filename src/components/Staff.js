@@ -1,4 +1,10 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
+import download from '../download';
+import MidiExportDialog from './MidiExportDialog';
+import AudioExportDialog from './AudioExportDialog';
+import { buildMidiFile } from '../midiFile';
+import { encodeWav } from '../audioRender';
+import { pairNotes } from '../performanceRecorder';
 
 const MIDI_TO_DIATONIC = [0, 0, 1, 1, 2, 3, 3, 4, 4, 5, 5, 6];
 const IS_SHARP = [false, true, false, true, false, false, true, false, true, false, true, false];
@@ -46,52 +52,16 @@ const getLedgerLines = (staffPos) => {
   return lines;
 };
 
-/* ─────────── MIDI file generation ─────────── */
-const varLen = (v) => {
-  const b = [v & 0x7F]; v >>= 7;
-  while (v) { b.unshift((v & 0x7F) | 0x80); v >>= 7; }
-  return b;
-};
-const u32 = (v) => [(v>>24)&0xFF,(v>>16)&0xFF,(v>>8)&0xFF,v&0xFF];
-const u16 = (v) => [(v>>8)&0xFF,v&0xFF];
-
-const buildMidiFile = (history) => {
-  const TPQ = 480, TEMPO = 500000; // 120 BPM
-  const msToTicks = (ms) => Math.round(ms * TPQ / (TEMPO / 1000));
-  const trk = [];
-  trk.push(...varLen(0), 0xFF, 0x51, 0x03,
-    (TEMPO>>16)&0xFF, (TEMPO>>8)&0xFF, TEMPO&0xFF);
-  for (let i = 0; i < history.length; i++) {
-    const n = Math.max(0, Math.min(127, history[i].note));
-    const dur = i < history.length - 1
-      ? Math.max(80, Math.min(4000, history[i+1].time - history[i].time))
-      : 500;
-    trk.push(...varLen(0), 0x90, n, 80);
-    trk.push(...varLen(msToTicks(dur)), 0x80, n, 0);
-  }
-  trk.push(...varLen(0), 0xFF, 0x2F, 0x00);
-  const f = [];
-  f.push(0x4D,0x54,0x68,0x64,...u32(6),...u16(0),...u16(1),...u16(TPQ));
-  f.push(0x4D,0x54,0x72,0x6B,...u32(trk.length),...trk);
-  return new Uint8Array(f);
-};
-
-const download = (blob, name) => {
-  const a = Object.assign(document.createElement('a'), {
-    href: URL.createObjectURL(blob), download: name,
-  });
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(a.href);
-};
-
 /* ═══════════════ Component ═══════════════ */
-const Staff = ({ noteHistory }) => {
+const Staff = ({ noteHistory, getPerformance, renderAudio, bpm }) => {
   const outerRef = useRef(null);
   const svgRef   = useRef(null);
   const [w, setW]             = useState(600);
   const [expanded, setExpanded] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [exportOptions, setExportOptions] = useState(null);
+  const [showAudioExport, setShowAudioExport] = useState(false);
+  const [audioOptions, setAudioOptions] = useState(null);
 
   useEffect(() => {
     const measure = () => outerRef.current && setW(outerRef.current.clientWidth);
@@ -162,18 +132,32 @@ const Staff = ({ noteHistory }) => {
         {/* Notes */}
         {notes.map((entry, i) => {
           const x  = noteX(i, notes.length);
-          const sp = getStaffPosition(entry.note);
-          const y  = yOff + getY(sp);
-          const sharp = IS_SHARP[entry.note % 12];
           const isCurrent = li === lines.length - 1 && i === notes.length - 1;
-          const ledgers   = getLedgerLines(sp).map(ly => ly + yOff);
           const globalI   = expanded ? li * perLine + i : i;
           const total     = expanded ? noteHistory.length : visible.length;
           const opacity   = 0.2 + (globalI / Math.max(1, total)) * 0.8;
           const color     = isCurrent ? '#00e88f' : 'rgba(255,255,255,0.7)';
-          const stemUp    = onTreble(sp) ? sp < 4 : sp < -8;
-          const stemX     = stemUp ? x + NRX - 0.5 : x - NRX + 0.5;
-          const stemY2    = stemUp ? y - STEM_LEN : y + STEM_LEN;
+          const rootSp    = getStaffPosition(entry.note);
+          const stemUp    = onTreble(rootSp) ? rootSp < 4 : rootSp < -8;
+
+          // A chord stacks its tones on one stem; of two heads a second
+          // apart, the upper one moves to the other side of the stem
+          const heads = (entry.chord || [entry.note])
+            .map(note => ({ note, sp: getStaffPosition(note) }))
+            .sort((a, b) => a.sp - b.sp);
+          heads.forEach((h, k) => {
+            const prev = heads[k - 1];
+            h.y = yOff + getY(h.sp);
+            h.shift = prev && h.sp - prev.sp === 1 && !prev.shift;
+          });
+          const headX = (h) => (h.shift ? x + (stemUp ? 1 : -1) * (2 * NRX - 1) : x);
+          const stemX  = stemUp ? x + NRX - 0.5 : x - NRX + 0.5;
+          const topY   = Math.min(...heads.map(h => h.y));
+          const lowY   = Math.max(...heads.map(h => h.y));
+          const stemY1 = stemUp ? lowY : topY;
+          const stemY2 = stemUp ? topY - STEM_LEN : lowY + STEM_LEN;
+          const ledgers = Array.from(new Set(heads.flatMap(h => getLedgerLines(h.sp)))).map(ly => ly + yOff);
+          let sharpCount = 0;
 
           return (
             <g key={`${entry.time}-${i}`} opacity={opacity}>
@@ -181,18 +165,26 @@ const Staff = ({ noteHistory }) => {
                 <line key={k} x1={x - 9} y1={ly} x2={x + 9} y2={ly}
                   stroke="rgba(255,255,255,0.4)" strokeWidth={1} />
               ))}
-              {sharp && (
-                <text x={x - 13} y={y + 4} fill={color} fontSize="10" fontWeight="bold">♯</text>
-              )}
-              <ellipse cx={x} cy={y} rx={NRX} ry={NRY}
-                fill={color} transform={`rotate(-12, ${x}, ${y})`} />
-              <line x1={stemX} y1={y} x2={stemX} y2={stemY2}
+              {heads.map(h => {
+                const hx = headX(h);
+                const sharpX = x - 13 - (IS_SHARP[h.note % 12] ? (sharpCount++ % 2) * 7 : 0);
+                return (
+                  <g key={h.note}>
+                    {IS_SHARP[h.note % 12] && (
+                      <text x={sharpX} y={h.y + 4} fill={color} fontSize="10" fontWeight="bold">♯</text>
+                    )}
+                    <ellipse cx={hx} cy={h.y} rx={NRX} ry={NRY}
+                      fill={color} transform={`rotate(-12, ${hx}, ${h.y})`} />
+                  </g>
+                );
+              })}
+              <line x1={stemX} y1={stemY1} x2={stemX} y2={stemY2}
                 stroke={color} strokeWidth={1.2} />
               {isCurrent && (
                 <text x={x} y={yOff + SYS_H - 4} textAnchor="middle"
                   fill="#00e88f" fontSize="8" fontWeight="700"
                   style={{ userSelect: 'none' }}>
-                  {getNoteName(entry.note)}
+                  {getNoteName(entry.note)}{entry.chord && entry.chord.length > 1 ? ' chord' : ''}
                 </text>
               )}
             </g>
@@ -215,13 +207,32 @@ const Staff = ({ noteHistory }) => {
     download(new Blob([svg], { type: 'image/svg+xml' }), `rel-midi-notation-${Date.now()}.svg`);
   }, []);
 
-  const exportMIDI = useCallback(() => {
-    if (!noteHistory.length) return;
+  const exportMIDI = useCallback((options) => {
+    setExportOptions(options);
+    const file = buildMidiFile(getPerformance(), options);
+    if (!file) return 'Nothing has been played yet.';
     download(
-      new Blob([buildMidiFile(noteHistory)], { type: 'audio/midi' }),
+      new Blob([file], { type: 'audio/midi' }),
       `rel-midi-export-${Date.now()}.mid`
     );
-  }, [noteHistory]);
+    return null;
+  }, [getPerformance]);
+
+  const exportAudio = useCallback(async (options) => {
+    setAudioOptions(options);
+    try {
+      const buffer = await renderAudio(pairNotes(getPerformance()), options);
+      if (!buffer) return 'Nothing has been played yet.';
+      download(
+        new Blob([encodeWav(buffer, options.bitDepth)], { type: 'audio/wav' }),
+        `rel-midi-render-${Date.now()}.wav`
+      );
+      return null;
+    } catch (err) {
+      console.warn('[RENDER] Could not render audio:', err);
+      return `Rendering failed: ${err.message}`;
+    }
+  }, [getPerformance, renderAudio]);
 
   return (
     <div className="staff-outer" ref={outerRef}>
@@ -244,11 +255,31 @@ const Staff = ({ noteHistory }) => {
           title="Download the staff notation as an SVG image file">
           📄 Export Notation
         </button>
-        <button className="staff-btn" onClick={exportMIDI}
+        <button className="staff-btn" onClick={() => setShowExport(true)}
           title="Download all played notes as a standard MIDI file (.mid) for use in DAWs and music software">
           🎵 Export MIDI
         </button>
+        {renderAudio && (
+          <button className="staff-btn" onClick={() => setShowAudioExport(true)}
+            title="Render all played notes through the browser synth and download a WAV file">
+            🔊 Export Audio
+          </button>
+        )}
       </div>
+      {showExport && (
+        <MidiExportDialog
+          initialOptions={exportOptions || { bpm }}
+          onExport={exportMIDI}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+      {showAudioExport && (
+        <AudioExportDialog
+          initialOptions={audioOptions}
+          onExport={exportAudio}
+          onClose={() => setShowAudioExport(false)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,112 @@
+import React, { useEffect, useState } from 'react';
+import { ARP_RATES } from '../arpeggiator';
+import { DEFAULT_STEP, MAX_STEPS } from '../stepSequencer';
+
+const signed = (n) => (n > 0 ? `+${n}` : n === 0 ? 'RPT' : `−${-n}`);
+
+/**
+ * Step grid for the relative step sequencer. `sequencer` is the engine from
+ * createStepSequencer, `pattern`/`onChange` the stored pattern; `intervals`
+ * are the moves a step can hold (labelled as for pads in semitone mode).
+ */
+const StepSequencer = ({ sequencer, pattern, onChange, intervals }) => {
+  const [status, setStatus] = useState({ running: false, step: -1 });
+
+  useEffect(() => (sequencer ? sequencer.subscribe(setStatus) : undefined), [sequencer]);
+
+  if (!sequencer) return null;
+
+  const set = (patch) => onChange({ ...pattern, ...patch });
+  const setStep = (i, patch) => set({ steps: pattern.steps.map((s, k) => (k === i ? { ...s, ...patch } : s)) });
+  const setLength = (length) => set({
+    steps: Array.from({ length }, (_, i) => pattern.steps[i] || { ...DEFAULT_STEP }),
+  });
+  const stopKeys = { onKeyDown: (e) => e.stopPropagation(), onKeyUp: (e) => e.stopPropagation() };
+
+  return (
+    <div className="looper-panel">
+      <div className="looper-settings">
+        <label className="export-field">
+          <span>Moves</span>
+          <select value={pattern.mode} onChange={(e) => set({ mode: e.target.value })}>
+            <option value="scale">Scale steps</option>
+            <option value="semitone">Semitones</option>
+          </select>
+        </label>
+        <label className="export-field">
+          <span>Relative to</span>
+          <select value={pattern.relativeTo} onChange={(e) => set({ relativeTo: e.target.value })}>
+            <option value="start">Start note</option>
+            <option value="previous">Previous step</option>
+          </select>
+        </label>
+        <label className="export-field">
+          <span>Rate</span>
+          <select value={pattern.rate} onChange={(e) => set({ rate: Number(e.target.value) })}>
+            {ARP_RATES.map((r, i) => <option key={r.label} value={i}>{r.label}</option>)}
+          </select>
+        </label>
+        <label className="export-field">
+          <span>Steps</span>
+          <input
+            type="number" min="1" max={MAX_STEPS} step="1"
+            value={pattern.steps.length}
+            onChange={(e) => setLength(Math.max(1, Math.min(MAX_STEPS, Number(e.target.value) || 1)))}
+            {...stopKeys}
+          />
+        </label>
+        <span className={`looper-state ${status.running ? 'playing' : ''}`}>
+          {status.running ? `▶ Step ${status.step + 1}` : 'Stopped'}
+        </span>
+      </div>
+
+      <div className="seq-grid">
+        {pattern.steps.map((step, i) => (
+          <div key={i} className={`seq-step ${step.rest ? 'rest' : ''} ${status.step === i ? 'current' : ''}`}>
+            <span className="seq-step-num">{i + 1}</span>
+            <select
+              className="seq-interval"
+              value={step.interval}
+              disabled={step.rest}
+              onChange={(e) => setStep(i, { interval: Number(e.target.value) })}
+            >
+              {intervals.map(a => (
+                <option key={a.value} value={a.value}>{pattern.mode === 'semitone' ? a.label : signed(a.value)}</option>
+              ))}
+            </select>
+            <label title="Velocity">
+              <span>Vel {step.velocity}</span>
+              <input type="range" min="1" max="127" value={step.velocity}
+                onChange={(e) => setStep(i, { velocity: Number(e.target.value) })} />
+            </label>
+            <label title="Gate — how much of the step the note sounds">
+              <span>Gate {Math.round(step.gate * 100)}%</span>
+              <input type="range" min="0.05" max="1" step="0.05" value={step.gate}
+                onChange={(e) => setStep(i, { gate: Number(e.target.value) })} />
+            </label>
+            <label title="Chance the step plays">
+              <span>Prob {step.probability}%</span>
+              <input type="range" min="0" max="100" step="5" value={step.probability}
+                onChange={(e) => setStep(i, { probability: Number(e.target.value) })} />
+            </label>
+            <button
+              className={`pad-map-learn-btn ${step.rest ? 'active' : ''}`}
+              onClick={() => setStep(i, { rest: !step.rest })}
+            >Rest</button>
+          </div>
+        ))}
+      </div>
+
+      <div className="pad-map-actions">
+        <button className="pad-map-action-btn" onClick={() => sequencer.start()} disabled={status.running}
+          title="Play the pattern from the current note">▶ Play</button>
+        <button className="pad-map-action-btn" onClick={() => sequencer.stop()} disabled={!status.running}>■ Stop</button>
+      </div>
+      <p className="pad-map-hint">
+        Each pass starts from the note you are on — play a key while it runs to move the next pass there.
+      </p>
+    </div>
+  );
+};
+
+export default StepSequencer;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { DEFAULT_TUNING, parseKbm } from '../tuning';
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+const getNoteName = (midi) => `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+
+const OUTPUT_MODES = [
+  { value: 'none', label: '12-TET', hint: 'Notes go out untuned; only the built-in synth plays the tuning' },
+  { value: 'mts',  label: 'MTS SysEx', hint: 'Retune the receiving synth with MIDI Tuning Standard messages' },
+  { value: 'bend', label: 'Pitch bend', hint: 'Bend each note into tune on a channel of its own (MPE-style synths)' },
+];
+
+/**
+ * Scala tuning import, reference pitch and how MIDI output carries the
+ * tuning. `tuning` is the stored settings, `active` the built tuning
+ * (see buildTuning) and `onChange(patch)` updates the settings.
+ */
+const TuningPanel = ({ tuning, active, onChange }) => {
+  const [readError, setReadError] = useState(null);
+  const stopKeys = { onKeyDown: (e) => e.stopPropagation(), onKeyUp: (e) => e.stopPropagation() };
+  const period = active.scale[active.scale.length - 1];
+
+  const loadFile = async (e, kind) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setReadError(null);
+      if (kind === 'kbm') {
+        // A mapping names its own reference note and pitch
+        const map = parseKbm(text);
+        onChange(map ? { kbm: text, referenceNote: map.referenceNote, referencePitch: map.referencePitch } : { kbm: text });
+      } else {
+        onChange({ scl: text });
+      }
+    } catch (err) {
+      console.warn('[TUNING] Could not read', file.name, err);
+      setReadError(`Could not read ${file.name}`);
+    }
+  };
+
+  return (
+    <div className="looper-panel">
+      <div className="looper-settings">
+        <span className="looper-state playing tuning-name">
+          {active.name}{tuning.scl ? ` · ${active.degrees} notes` : ''}
+          {period !== 12 ? ` · repeats every ${period} keys` : ''}
+        </span>
+      </div>
+
+      <div className="pad-map-actions">
+        <label className="pad-map-action-btn tuning-file-btn">
+          Load .scl
+          <input type="file" accept=".scl" onChange={(e) => loadFile(e, 'scl')} hidden />
+        </label>
+        <label className="pad-map-action-btn tuning-file-btn">
+          Load .kbm
+          <input type="file" accept=".kbm" onChange={(e) => loadFile(e, 'kbm')} hidden />
+        </label>
+        <button className="pad-map-action-btn" onClick={() => onChange({ kbm: null })} disabled={!tuning.kbm}>Clear mapping</button>
+        <button className="pad-map-action-btn" onClick={() => onChange({ ...DEFAULT_TUNING, output: tuning.output })}
+          disabled={!tuning.scl && !tuning.kbm && active.equal}>Reset to 12-TET</button>
+      </div>
+      {(active.error || readError) && <div className="profile-report error">{readError || active.error}</div>}
+
+      <div className="looper-settings">
+        <label className="export-field">
+          <span>Reference note</span>
+          <select value={tuning.referenceNote} onChange={(e) => onChange({ referenceNote: Number(e.target.value) })}>
+            {Array.from({ length: 128 }, (_, n) => <option key={n} value={n}>{getNoteName(n)}</option>)}
+          </select>
+        </label>
+        <label className="export-field">
+          <span>Reference (Hz)</span>
+          <input
+            type="number" min="100" max="1000" step="0.01"
+            value={tuning.referencePitch}
+            onChange={(e) => onChange({ referencePitch: Math.max(100, Math.min(1000, Number(e.target.value) || 440)) })}
+            {...stopKeys}
+          />
+        </label>
+      </div>
+
+      <div className="clock-modes">
+        {OUTPUT_MODES.map(m => (
+          <button
+            key={m.value}
+            className={`pad-map-learn-btn ${tuning.output === m.value ? 'active' : ''}`}
+            onClick={() => onChange({ output: m.value })}
+            title={m.hint}
+          >{m.label}</button>
+        ))}
+      </div>
+      {tuning.output === 'bend' && (
+        <div className="looper-settings">
+          <label className="export-field">
+            <span>Bend range</span>
+            <input
+              type="number" min="1" max="48" step="1"
+              value={tuning.bendRange}
+              onChange={(e) => onChange({ bendRange: Math.max(1, Math.min(48, Number(e.target.value) || 2)) })}
+              {...stopKeys}
+            />
+          </label>
+          <label className="export-field">
+            <span>Channels from</span>
+            <input
+              type="number" min="1" max="16" step="1"
+              value={tuning.channelLow}
+              onChange={(e) => onChange({ channelLow: Math.max(1, Math.min(tuning.channelHigh, Number(e.target.value) || 1)) })}
+              {...stopKeys}
+            />
+          </label>
+          <label className="export-field">
+            <span>to</span>
+            <input
+              type="number" min="1" max="16" step="1"
+              value={tuning.channelHigh}
+              onChange={(e) => onChange({ channelHigh: Math.max(tuning.channelLow, Math.min(16, Number(e.target.value) || 16)) })}
+              {...stopKeys}
+            />
+          </label>
+        </div>
+      )}
+      <p className="pad-map-hint">
+        {tuning.output === 'bend'
+          ? 'Set the receiving synth to the same bend range. Notes rotate through the channels, ignoring the routes’ channels.'
+          : tuning.output === 'mts'
+            ? 'Every routed port is retuned whenever the tuning or routing changes.'
+            : 'The built-in synth plays the tuning; MIDI output stays in 12-TET.'}
+        {period !== 12 && ' The keys step through every degree of the tuning; key and scale apply to 12-key tunings only.'}
+      </p>
+    </div>
+  );
+};
+
+export default TuningPanel;
@@ -0,0 +1,12 @@
+/** Save a Blob to disk through a temporary download link. */
+const download = (blob, name) => {
+  const a = Object.assign(document.createElement('a'), {
+    href: URL.createObjectURL(blob), download: name,
+  });
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(a.href);
+};
+
+export default download;
@@ -0,0 +1,47 @@
+// Harmonizer — every played note brings one to three extra voices a set
+// number of scale steps away, so a third above is major or minor as the
+// current key and scale call for.
+
+export const HARMONY_INTERVALS = [
+  { value: '3',      label: '3rd above',    steps: 2 },
+  { value: '-3',     label: '3rd below',    steps: -2 },
+  { value: '4',      label: '4th above',    steps: 3 },
+  { value: '5',      label: '5th above',    steps: 4 },
+  { value: '6',      label: '6th above',    steps: 5 },
+  { value: '-6',     label: '6th below',    steps: -5 },
+  { value: '8',      label: 'Octave above', octaves: 1 },
+  { value: '-8',     label: 'Octave below', octaves: -1 },
+  { value: 'custom', label: 'Custom' },   // the voice's own `steps`
+];
+
+export const MAX_HARMONY_VOICES = 3;
+
+export const DEFAULT_HARMONY = {
+  enabled: false,
+  voices: [{ interval: '3', steps: 2 }],   // `steps` is used by 'custom'
+  level: 80,     // voice velocity, percent of the played note's
+  channel: 0,    // MIDI channel for the voices; 0 = the routes' own
+};
+
+/**
+ * The harmony voices for `note`. `step(from, steps)` moves through the
+ * current scale and `degreesPerPeriod` is its number of degrees, so octaves
+ * land on the period of non-12 tunings too. Voices at the very ends of the
+ * MIDI range or doubling the note are left out.
+ */
+export function harmonyNotes(note, voices, step, degreesPerPeriod) {
+  const notes = [];
+  voices.forEach(voice => {
+    const interval = HARMONY_INTERVALS.find(i => i.value === voice.interval);
+    if (!interval) return;
+    const steps = interval.octaves !== undefined
+      ? interval.octaves * degreesPerPeriod
+      : interval.steps !== undefined ? interval.steps : voice.steps;
+    if (!steps) return;
+    const voiced = step(note, steps);
+    // scaleStepNote clamps at the ends of the range, so a voice there may be the wrong pitch
+    if (voiced <= 0 || voiced >= 127 || voiced === note || notes.includes(voiced)) return;
+    notes.push(voiced);
+  });
+  return notes;
+}
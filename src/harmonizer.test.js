@@ -0,0 +1,45 @@
+import { harmonyNotes } from './harmonizer';
+
+// Steps through `scale` from a note on it, rooted on key 0
+const stepper = (scale) => {
+  const period = scale[scale.length - 1];
+  const degrees = scale.length - 1;
+  return (note, steps) => {
+    const octave = Math.floor(note / period);
+    const index = octave * degrees + scale.indexOf(note - octave * period) + steps;
+    return Math.floor(index / degrees) * period + scale[((index % degrees) + degrees) % degrees];
+  };
+};
+
+const MAJOR = [0, 2, 4, 5, 7, 9, 11, 12];
+const major = stepper(MAJOR);
+const voices = (...intervals) => intervals.map(interval => ({ interval, steps: 2 }));
+
+test('voices follow the scale, so thirds are major or minor as the key has them', () => {
+  expect(harmonyNotes(60, voices('3'), major, 7)).toEqual([64]);
+  expect(harmonyNotes(62, voices('3'), major, 7)).toEqual([65]);
+  expect(harmonyNotes(60, voices('3', '5', '-8'), major, 7)).toEqual([64, 67, 48]);
+  expect(harmonyNotes(64, voices('-3', '-6'), major, 7)).toEqual([60, 55]);
+});
+
+test('custom voices take their own steps; unknown or zero-step voices are skipped', () => {
+  expect(harmonyNotes(60, [{ interval: 'custom', steps: 3 }], major, 7)).toEqual([65]);
+  expect(harmonyNotes(60, [{ interval: 'custom', steps: 0 }, { interval: '13', steps: 2 }], major, 7)).toEqual([]);
+});
+
+test('octaves land on the period of a non-12 tuning', () => {
+  const pentatonic = stepper([0, 2, 4, 5, 7]);   // four degrees to a 7-key period
+  expect(harmonyNotes(63, voices('8', '-8'), pentatonic, 4)).toEqual([70, 56]);
+});
+
+test('overlapping voices are sounded once, and never on the played note', () => {
+  // A custom 7 steps and an octave both reach 72
+  expect(harmonyNotes(60, [{ interval: '8' }, { interval: 'custom', steps: 7 }, { interval: '3' }], major, 7)).toEqual([72, 64]);
+  expect(harmonyNotes(60, [{ interval: 'custom', steps: 7 }], major, 7)).toEqual([72]);
+  expect(harmonyNotes(60, [{ interval: 'custom', steps: 14 }, { interval: 'custom', steps: -14 }], major, 7)).toEqual([84, 36]);
+  // Clamped at the ends of the MIDI range
+  expect(harmonyNotes(120, voices('8'), major, 7)).toEqual([]);
+  expect(harmonyNotes(0, voices('-3'), () => 0, 7)).toEqual([]);
+  // A step function that lands back on the note
+  expect(harmonyNotes(60, voices('3'), () => 60, 7)).toEqual([]);
+});
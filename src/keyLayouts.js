@@ -0,0 +1,83 @@
+// Computer-keyboard layouts. Keys are bound by KeyboardEvent.code — the
+// physical key — so the same hand positions play the same moves whatever the
+// system layout; a layout preset only decides what the key caps say.
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+const QWERTY_CAPS = {
+  ...Object.fromEntries(LETTERS.map(l => [`Key${l}`, l])),
+  ...Object.fromEntries('1234567890'.split('').map(d => [`Digit${d}`, d])),
+  Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/', Backquote: '`',
+  Minus: '-', Equal: '=', Backslash: '\\', IntlBackslash: '<',
+  Space: 'SPACE', ShiftLeft: 'L-SHIFT', ShiftRight: 'R-SHIFT', Tab: 'TAB', CapsLock: 'CAPS', Enter: 'ENTER',
+};
+
+export const KEY_LAYOUT_PRESETS = [
+  { value: 'qwerty', label: 'QWERTY', caps: QWERTY_CAPS },
+  {
+    value: 'azerty',
+    label: 'AZERTY',
+    caps: {
+      ...QWERTY_CAPS,
+      KeyQ: 'A', KeyW: 'Z', KeyA: 'Q', KeyZ: 'W', Semicolon: 'M', KeyM: ',', Comma: ';', Period: ':', Slash: '!', Quote: 'Ù',
+      Digit1: '&', Digit2: 'É', Digit3: '"', Digit4: "'", Digit5: '(', Digit6: '-', Digit7: 'È', Digit8: '_', Digit9: 'Ç', Digit0: 'À',
+      Minus: ')', Equal: '=', Backquote: '²',
+    },
+  },
+  {
+    value: 'dvorak',
+    label: 'Dvorak',
+    caps: {
+      ...QWERTY_CAPS,
+      KeyQ: "'", KeyW: ',', KeyE: '.', KeyR: 'P', KeyT: 'Y', KeyY: 'F', KeyU: 'G', KeyI: 'C', KeyO: 'R', KeyP: 'L',
+      KeyA: 'A', KeyS: 'O', KeyD: 'E', KeyF: 'U', KeyG: 'I', KeyH: 'D', KeyJ: 'H', KeyK: 'T', KeyL: 'N', Semicolon: 'S', Quote: '-',
+      KeyZ: ';', KeyX: 'Q', KeyC: 'J', KeyV: 'K', KeyB: 'X', KeyN: 'B', KeyM: 'M', Comma: 'W', Period: 'V', Slash: 'Z',
+      Minus: '[', Equal: ']',
+    },
+  },
+];
+
+// A binding plays a move of `interval` scale steps, or — with `octave` — is a
+// modifier that shifts every move by that many octaves while held
+export const DEFAULT_KEY_LAYOUT = {
+  preset: 'qwerty',
+  bindings: [
+    { code: 'KeyQ', interval: -8 }, { code: 'KeyW', interval: -7 }, { code: 'KeyE', interval: -6 }, { code: 'KeyR', interval: -5 },
+    { code: 'KeyU', interval: 5 }, { code: 'KeyI', interval: 6 }, { code: 'KeyO', interval: 7 }, { code: 'KeyP', interval: 8 },
+    { code: 'KeyA', interval: -4 }, { code: 'KeyS', interval: -3 }, { code: 'KeyD', interval: -2 }, { code: 'KeyF', interval: -1 },
+    { code: 'Space', interval: 0 },
+    { code: 'KeyJ', interval: 1 }, { code: 'KeyK', interval: 2 }, { code: 'KeyL', interval: 3 }, { code: 'Semicolon', interval: 4 },
+    { code: 'ShiftLeft', octave: -1 }, { code: 'ShiftRight', octave: 1 },
+  ],
+};
+
+// Keys the scale/key hotkeys ([ ] { }) and text entry need
+export const RESERVED_CODES = ['BracketLeft', 'BracketRight', 'Escape'];
+
+/** Key-cap text for `code` in layout preset `preset`. */
+export function keyCap(code, preset) {
+  const { caps } = KEY_LAYOUT_PRESETS.find(p => p.value === preset) || KEY_LAYOUT_PRESETS[0];
+  return caps[code] || code.replace(/^(Key|Digit|Numpad)/, '').toUpperCase();
+}
+
+/** True for a plausible KeyboardEvent.code, as stored in layouts and key velocities. */
+export const isKeyCode = (code) => typeof code === 'string' && /^[A-Z][A-Za-z0-9]*$/.test(code);
+
+/**
+ * The move keys of `layout`, lowest move first, as { code, interval, cap } —
+ * what the on-screen buttons and keyboard overlay show.
+ */
+export function moveKeys(layout) {
+  return layout.bindings
+    .filter(b => b.octave === undefined)
+    .map(b => ({ code: b.code, interval: b.interval, cap: keyCap(b.code, layout.preset) }))
+    .sort((a, b) => a.interval - b.interval);
+}
+
+// Key labels the nine-key layout used before keys were bound by code
+const LEGACY_LABELS = { SPACE: 'Space', ';': 'Semicolon' };
+
+/** The code for a pre-layout key label ('A', 'SPACE', ';'), or the label itself. */
+export function legacyKeyCode(label) {
+  if (LEGACY_LABELS[label]) return LEGACY_LABELS[label];
+  return /^[A-Z]$/.test(label) ? `Key${label}` : label;
+}
@@ -0,0 +1,47 @@
+import { DEFAULT_KEY_LAYOUT, keyCap, isKeyCode, moveKeys, legacyKeyCode } from './keyLayouts';
+
+test('legacy key labels map to key codes', () => {
+  expect(legacyKeyCode('J')).toBe('KeyJ');
+  expect(legacyKeyCode('SPACE')).toBe('Space');
+  expect(legacyKeyCode(';')).toBe('Semicolon');
+  // Anything else is left as it was — codes already stored included
+  expect(legacyKeyCode('KeyJ')).toBe('KeyJ');
+  expect(legacyKeyCode('j')).toBe('j');
+  expect(legacyKeyCode('JK')).toBe('JK');
+});
+
+test('isKeyCode accepts KeyboardEvent codes only', () => {
+  ['KeyA', 'Digit1', 'Space', 'ShiftLeft', 'F5', 'Numpad0'].forEach(code => expect(isKeyCode(code)).toBe(true));
+  ['', 'keyA', ';', 'Key A', 'A-1', 42, null, undefined].forEach(code => expect(isKeyCode(code)).toBe(false));
+});
+
+test('key caps follow the layout preset', () => {
+  expect(keyCap('KeyQ', 'qwerty')).toBe('Q');
+  expect(keyCap('KeyQ', 'azerty')).toBe('A');
+  expect(keyCap('Semicolon', 'dvorak')).toBe('S');
+  // Unknown presets read as QWERTY; unknown codes lose their prefix
+  expect(keyCap('Space', 'colemak')).toBe('SPACE');
+  expect(keyCap('Numpad7', 'qwerty')).toBe('7');
+  expect(keyCap('ArrowUp', 'qwerty')).toBe('ARROWUP');
+});
+
+describe('moveKeys', () => {
+  test('lists the move keys lowest move first, leaving out octave modifiers', () => {
+    const keys = moveKeys(DEFAULT_KEY_LAYOUT);
+    expect(keys.map(k => k.interval)).toEqual([-8, -7, -6, -5, -4, -3, -2, -1, 0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(keys.some(k => k.code.startsWith('Shift'))).toBe(false);
+    expect(keys[8]).toEqual({ code: 'Space', interval: 0, cap: 'SPACE' });
+  });
+
+  test('orders by interval, not by binding order, and shows the preset caps', () => {
+    const layout = {
+      preset: 'azerty',
+      bindings: [{ code: 'KeyZ', interval: 3 }, { code: 'KeyQ', interval: -2 }, { code: 'ShiftLeft', octave: -1 }, { code: 'KeyW', interval: 1 }],
+    };
+    expect(moveKeys(layout)).toEqual([
+      { code: 'KeyQ', interval: -2, cap: 'A' },
+      { code: 'KeyW', interval: 1, cap: 'Z' },
+      { code: 'KeyZ', interval: 3, cap: 'W' },
+    ]);
+  });
+});
@@ -0,0 +1,250 @@
+// Overdub looper — records layers of notes from the live stream and plays
+// them back in a loop on the look-ahead scheduler. Positions are kept in
+// beats, so tempo changes stretch the loop instead of breaking it.
+
+const STATUS_MS = 50;
+
+/**
+ * `getBpm()` supplies the tempo; `onNoteOn(id, note, velocity, time)` and
+ * `onNoteOff(id, note, time)` sound the loop at performance.now() `time`
+ * (slightly in the future, see scheduler.js); `subscribe(fn)` reports
+ * { state, layers, position, lengthBeats } where state is 'empty', 'stopped',
+ * 'recording', 'playing' or 'overdubbing'.
+ */
+export function createLooper({ scheduler, getBpm, onNoteOn, onNoteOff }) {
+  let layers = [];           // { id, notes: [{ note, velocity, start, duration }], muted }
+  let recording = null;      // layer being written, not yet in `layers`
+  let openNotes = [];        // captured note-ons awaiting their note-off: { note, entry, at }
+  let lengthBeats = 0;
+  let state = 'empty';
+  let stopScheduling = null;
+  let absBeats = 0;          // beats since playback started (monotonic) at `anchorTime`
+  let anchorTime = 0;        // performance.now() when absBeats was last re-based
+  let anchorBpm = 120;
+  let scheduledBeats = 0;    // loop notes are queued up to here
+  let nextLayerId = 1;
+  let lastStatusAt = 0;
+  const sounding = new Map(); // id → { note, onAt, offAt, layerId }; onAt in ms, offAt in beats
+  const listeners = new Set();
+
+  const running = () => stopScheduling !== null;
+  const beatsAt = (t) => (running() ? absBeats + (t - anchorTime) * anchorBpm / 60000 : absBeats);
+  const timeOfBeat = (beats) => anchorTime + (beats - absBeats) * 60000 / anchorBpm;
+  // Beat position right now
+  const currentBeats = () => beatsAt(performance.now());
+
+  const snapshot = () => ({
+    state,
+    layers: layers.map(l => ({ id: l.id, muted: l.muted, noteCount: l.notes.length })),
+    position: lengthBeats ? currentBeats() % lengthBeats : 0,
+    lengthBeats,
+  });
+
+  const notify = () => {
+    const snap = snapshot();
+    listeners.forEach(fn => fn(snap));
+  };
+
+  // Release now — but never before a note-on that is still queued
+  const release = (predicate = () => true) => {
+    const now = performance.now();
+    sounding.forEach((v, id) => {
+      if (!predicate(v)) return;
+      onNoteOff(id, v.note, Math.max(now, v.onAt));
+      sounding.delete(id);
+    });
+  };
+
+  // Close notes still held so a stopped take has no open-ended entries
+  const closeOpenNotes = () => {
+    const now = currentBeats();
+    openNotes.forEach(({ entry, at }) => { entry.duration = Math.min(lengthBeats, now - at); });
+    openNotes = [];
+  };
+
+  const commitRecording = () => {
+    if (recording && recording.notes.length) layers = [...layers, recording];
+    recording = null;
+  };
+
+  const fillWindow = (horizon) => {
+    const now = performance.now();
+    // Re-base on tempo changes so only the time from now on stretches
+    const bpm = Math.max(1, getBpm());
+    if (bpm !== anchorBpm) {
+      absBeats = beatsAt(now);
+      anchorTime = now;
+      anchorBpm = bpm;
+    }
+
+    // First pass of a fresh loop ends after one loop length
+    if (state === 'recording' && beatsAt(now) >= lengthBeats) {
+      commitRecording();
+      state = layers.length ? 'playing' : 'empty';
+      if (state === 'empty') { halt(); notify(); return; }
+    }
+
+    const until = beatsAt(horizon);
+    const due = [];   // { time, on, id, note, velocity }
+    if (state === 'playing' || state === 'overdubbing') {
+      layers.forEach(layer => {
+        if (layer.muted) return;
+        layer.notes.forEach((n, i) => {
+          if (n.duration === null) return;
+          // Next occurrence of this note at or after `scheduledBeats`
+          const at = n.start + lengthBeats * Math.ceil((scheduledBeats - n.start) / lengthBeats);
+          if (at >= scheduledBeats && at < until) {
+            const id = `loop-${layer.id}-${i}-${Math.round(at / lengthBeats)}`;
+            const time = timeOfBeat(at);
+            sounding.set(id, { note: n.note, onAt: time, offAt: at + Math.max(0.01, n.duration), layerId: layer.id });
+            due.push({ time, on: true, id, note: n.note, velocity: n.velocity });
+          }
+        });
+      });
+      scheduledBeats = until;
+    } else {
+      // Nothing plays while the first pass records; pick up at the loop start
+      scheduledBeats = Math.min(until, lengthBeats);
+    }
+    sounding.forEach((v, id) => {
+      if (v.offAt > until) return;
+      sounding.delete(id);
+      due.push({ time: Math.max(timeOfBeat(v.offAt), v.onAt), on: false, id, note: v.note });
+    });
+    // In time order, note-offs first so a repeated note retriggers cleanly
+    due.sort((a, b) => a.time - b.time || (a.on ? 1 : 0) - (b.on ? 1 : 0));
+    due.forEach(ev => (ev.on ? onNoteOn(ev.id, ev.note, ev.velocity, ev.time) : onNoteOff(ev.id, ev.note, ev.time)));
+
+    if (now - lastStatusAt >= STATUS_MS) {
+      lastStatusAt = now;
+      notify();
+    }
+  };
+
+  const run = () => {
+    if (running()) return;
+    anchorTime = performance.now();
+    anchorBpm = Math.max(1, getBpm());
+    scheduledBeats = absBeats;
+    stopScheduling = scheduler.add(fillWindow);
+  };
+
+  function halt() {
+    if (running()) {
+      absBeats = currentBeats();
+      stopScheduling();
+      stopScheduling = null;
+    }
+    release();
+  }
+
+  return {
+    /** Start a fresh loop of `beats` beats; the first pass is recorded. */
+    record(beats) {
+      halt();
+      layers = [];
+      openNotes = [];
+      lengthBeats = beats;
+      absBeats = 0;
+      recording = { id: nextLayerId++, notes: [], muted: false };
+      state = 'recording';
+      run();
+      notify();
+    },
+    /** Play from `fromBeats` beats into the song; the loop repeats from beat 0. */
+    play(fromBeats = 0) {
+      if (!layers.length || state === 'playing' || state === 'overdubbing') return;
+      absBeats = Math.max(0, fromBeats);
+      state = 'playing';
+      run();
+      notify();
+    },
+    /** Stop playback and release every looped note. */
+    stop() {
+      closeOpenNotes();
+      if (state === 'recording' || state === 'overdubbing') commitRecording();
+      halt();
+      absBeats = 0;
+      state = layers.length ? 'stopped' : 'empty';
+      notify();
+    },
+    /** Move a running loop to `beats` into the song, as on a Song Position Pointer. */
+    locate(beats) {
+      if (!running() || state === 'recording') return;
+      closeOpenNotes();
+      release();
+      absBeats = Math.max(0, beats);
+      anchorTime = performance.now();
+      scheduledBeats = absBeats;
+      notify();
+    },
+    /** Beats played since play() started, counting every pass of the loop. */
+    getPosition: () => currentBeats(),
+    /** Toggle recording a new layer on top of the running loop. */
+    toggleOverdub() {
+      if (state === 'playing') {
+        recording = { id: nextLayerId++, notes: [], muted: false };
+        state = 'overdubbing';
+      } else if (state === 'overdubbing') {
+        commitRecording();
+        state = 'playing';
+      }
+      notify();
+    },
+    undo() {
+      if (state === 'overdubbing') {
+        recording = null;
+        state = 'playing';
+      } else if (layers.length) {
+        const removed = layers[layers.length - 1];
+        layers = layers.slice(0, -1);
+        release(v => v.layerId === removed.id);
+        if (!layers.length) {
+          halt();
+          state = 'empty';
+        }
+      }
+      notify();
+    },
+    toggleMute(layerId) {
+      layers = layers.map(l => (l.id === layerId ? { ...l, muted: !l.muted } : l));
+      release(v => v.layerId === layerId);
+      notify();
+    },
+    clear() {
+      halt();
+      layers = [];
+      recording = null;
+      openNotes = [];
+      lengthBeats = 0;
+      state = 'empty';
+      notify();
+    },
+    /**
+     * Live note-on from a player; captured while recording or overdubbing.
+     * `time` (performance.now() ms) defaults to now.
+     */
+    captureNoteOn(note, velocity, time = performance.now()) {
+      if (!recording || !lengthBeats) return;
+      const at = beatsAt(time);
+      const entry = { note, velocity, start: at % lengthBeats, duration: null };
+      recording.notes.push(entry);
+      openNotes.push({ note, entry, at });
+    },
+    captureNoteOff(note, time = performance.now()) {
+      const idx = openNotes.findIndex(o => o.note === note);
+      if (idx < 0) return;
+      const [{ entry, at }] = openNotes.splice(idx, 1);
+      entry.duration = Math.min(lengthBeats, beatsAt(time) - at);
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      fn(snapshot());
+      return () => listeners.delete(fn);
+    },
+    dispose() {
+      halt();
+      listeners.clear();
+    },
+  };
+}
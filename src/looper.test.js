@@ -0,0 +1,125 @@
+import { createLooper } from './looper';
+
+// 120 BPM: a beat is 500 ms. The scheduler is driven by hand, a fill every
+// 25 ms looking 100 ms ahead, with performance.now() following along.
+let now;
+let fills;
+let played;
+let looper;
+
+const advance = (to) => {
+  while (now < to) {
+    now = Math.min(to, now + 25);
+    const horizon = now + 100;
+    fills.forEach(fill => fill(horizon));
+  }
+};
+
+beforeEach(() => {
+  now = 0;
+  fills = new Set();
+  played = [];
+  jest.spyOn(performance, 'now').mockImplementation(() => now);
+  looper = createLooper({
+    scheduler: { add: (fill) => { fills.add(fill); return () => fills.delete(fill); } },
+    getBpm: () => 120,
+    onNoteOn: (id, note, velocity, time) => played.push(['on', note, time]),
+    onNoteOff: (id, note, time) => played.push(['off', note, time]),
+  });
+});
+
+afterEach(() => {
+  looper.dispose();
+  jest.restoreAllMocks();
+});
+
+// Record a two-beat loop with one note from beat 0.5 to beat 1
+const recordOneNote = (note = 60) => {
+  looper.record(2);
+  advance(250);
+  looper.captureNoteOn(note, 100, 250);
+  advance(500);
+  looper.captureNoteOff(note, 500);
+};
+
+test('the first pass records, then the loop wraps around', () => {
+  const states = [];
+  looper.subscribe(s => states.push(s.state));
+  recordOneNote();
+  advance(1000);
+  expect(played).toEqual([]);
+  advance(3000);
+  expect(played).toEqual([
+    ['on', 60, 1250], ['off', 60, 1500],
+    ['on', 60, 2250], ['off', 60, 2500],
+  ]);
+  expect(states[0]).toBe('empty');
+  expect(states).toContain('recording');
+  expect(states[states.length - 1]).toBe('playing');
+});
+
+test('a note held across the loop boundary wraps into the next pass', () => {
+  looper.record(2);
+  advance(750);
+  looper.captureNoteOn(64, 90, 750);   // beat 1.5
+  advance(1250);
+  looper.captureNoteOff(64, 1250);     // beat 2.5, after the first pass ended
+  advance(2400);
+  expect(played).toEqual([['on', 64, 1750], ['off', 64, 2250]]);
+});
+
+test('undo removes the last overdub layer, then the first', () => {
+  recordOneNote(60);
+  advance(1000);
+  looper.toggleOverdub();
+  advance(1500);
+  looper.captureNoteOn(67, 100, 1500);   // beat 1 of the second pass
+  advance(1750);
+  looper.captureNoteOff(67, 1750);
+  looper.toggleOverdub();
+  advance(3000);
+  expect(played.filter(p => p[0] === 'on')).toEqual([['on', 60, 1250], ['on', 60, 2250], ['on', 67, 2500]]);
+
+  played = [];
+  looper.undo();
+  advance(5000);
+  expect(played.filter(p => p[0] === 'on').map(p => p[1])).toEqual([60, 60]);
+
+  looper.undo();
+  let state;
+  looper.subscribe(s => { state = s.state; });
+  expect(state).toBe('empty');
+});
+
+test('undo and mute release the layer notes still sounding', () => {
+  recordOneNote(60);
+  advance(1300);   // the loop note is sounding
+  played = [];
+  looper.toggleMute(1);
+  expect(played).toEqual([['off', 60, 1300]]);
+  advance(3000);
+  expect(played).toHaveLength(1);
+  looper.toggleMute(1);
+  advance(3300);
+  played = [];
+  looper.undo();
+  expect(played).toEqual([['off', 60, 3300]]);
+});
+
+test('play from a position and locate jump into the loop', () => {
+  recordOneNote(60);
+  advance(1000);
+  looper.stop();
+  played = [];
+  // Three beats in is beat 1 of the loop: the next note is at beat 4.5
+  looper.play(3);
+  advance(now + 1000);
+  expect(played[0]).toEqual(['on', 60, 1000 + 750]);
+
+  played = [];
+  looper.locate(0.25);
+  const at = now;
+  advance(at + 400);
+  expect(played[0]).toEqual(['on', 60, at + 125]);
+  expect(looper.getPosition()).toBeCloseTo(0.25 + 400 / 500, 6);
+});
@@ -0,0 +1,147 @@
+// MIDI beat clock — send (master) and receive (follower).
+// 24 pulses (0xF8) per quarter note, Start 0xFA, Continue 0xFB, Stop 0xFC,
+// Song Position Pointer 0xF2 counted in sixteenth notes.
+
+export const PPQ = 24;
+export const CLOCK = 0xF8;
+export const START = 0xFA;
+export const CONTINUE = 0xFB;
+export const STOP = 0xFC;
+export const SONG_POSITION = 0xF2;
+
+const TEMPO_WINDOW = PPQ;   // pulses averaged for tempo detection
+const MAX_PULSE_GAP_MS = 1000;   // longer gaps restart tempo detection
+
+/**
+ * Clock master on the look-ahead scheduler. `send(data, timestamp)` delivers
+ * a message at a performance.now() timestamp; `getBpm()` is read for every
+ * pulse, so tempo changes apply immediately.
+ */
+export function createClockMaster({ scheduler, send, getBpm }) {
+  let stopScheduling = null;
+  let nextPulseAt = 0;
+  let pulses = 0;             // pulses since the song position was last set
+
+  const fillWindow = (horizon) => {
+    while (nextPulseAt < horizon) {
+      send([CLOCK], nextPulseAt);
+      pulses++;
+      nextPulseAt += 60000 / (Math.max(1, getBpm()) * PPQ);
+    }
+  };
+
+  const run = () => {
+    nextPulseAt = performance.now();
+    stopScheduling = scheduler.add(fillWindow);
+  };
+
+  const halt = () => {
+    if (stopScheduling) stopScheduling();
+    stopScheduling = null;
+  };
+
+  return {
+    start() {
+      halt();
+      pulses = 0;
+      send([START]);
+      run();
+    },
+    stop() {
+      halt();
+      send([STOP]);
+    },
+    continue() {
+      if (stopScheduling) return;
+      send([CONTINUE]);
+      run();
+    },
+    /** Send a Song Position Pointer (beats → sixteenths); only valid while stopped. */
+    setSongPosition(beats) {
+      if (stopScheduling) return;
+      const sixteenths = Math.max(0, Math.min(0x3FFF, Math.round(beats * 4)));
+      pulses = sixteenths * (PPQ / 4);
+      send([SONG_POSITION, sixteenths & 0x7F, (sixteenths >> 7) & 0x7F]);
+    },
+    isRunning: () => stopScheduling !== null,
+    /** Beats sent since Start or the last song position. */
+    getPosition: () => pulses / PPQ,
+    dispose() {
+      halt();
+    },
+  };
+}
+
+/**
+ * Clock follower. Feed it every system real-time / SPP message with
+ * `handle(data, timeStamp)`; it derives the tempo from pulse spacing and
+ * reports transport changes through the callbacks. `onPulse(timeStamp)`, if
+ * given, hears every clock pulse, for engines that step on the clock itself.
+ */
+export function createClockFollower({ onTempo, onStart, onStop, onContinue, onSongPosition, onPulse }) {
+  let lastPulseAt = null;
+  let intervals = [];
+  let pulses = 0;
+  let running = false;
+  let reportedBpm = null;
+
+  return {
+    /** Returns true if the message was a clock/transport message. */
+    handle(data, timeStamp = performance.now()) {
+      switch (data[0]) {
+        case CLOCK: {
+          if (lastPulseAt !== null) {
+            const gap = timeStamp - lastPulseAt;
+            if (gap > 0 && gap < MAX_PULSE_GAP_MS) {
+              intervals.push(gap);
+              if (intervals.length > TEMPO_WINDOW) intervals.shift();
+            } else {
+              intervals = [];
+            }
+          }
+          lastPulseAt = timeStamp;
+          if (running) pulses++;
+          if (onPulse) onPulse(timeStamp);
+          if (intervals.length >= PPQ / 4) {
+            const avg = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+            const bpm = Math.round(60000 / (avg * PPQ) * 10) / 10;
+            // Ignore pulse jitter: only report changes of half a BPM or more
+            if (reportedBpm === null || Math.abs(bpm - reportedBpm) >= 0.5) {
+              reportedBpm = bpm;
+              onTempo(bpm);
+            }
+          }
+          return true;
+        }
+        case START:
+          pulses = 0;
+          running = true;
+          onStart();
+          return true;
+        case CONTINUE:
+          running = true;
+          onContinue();
+          return true;
+        case STOP:
+          running = false;
+          onStop();
+          return true;
+        case SONG_POSITION:
+          pulses = (((data[2] || 0) << 7) | (data[1] || 0)) * (PPQ / 4);
+          onSongPosition(pulses / PPQ);
+          return true;
+        default:
+          return false;
+      }
+    },
+    isRunning: () => running,
+    getPosition: () => pulses / PPQ,
+    reset() {
+      lastPulseAt = null;
+      intervals = [];
+      pulses = 0;
+      running = false;
+      reportedBpm = null;
+    },
+  };
+}
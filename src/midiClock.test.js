@@ -0,0 +1,56 @@
+import { createClockMaster, createClockFollower, PPQ, CLOCK, START, CONTINUE, STOP, SONG_POSITION } from './midiClock';
+
+// A scheduler that fills only when told to
+const manualScheduler = () => {
+  const fills = new Set();
+  return {
+    add(fill) { fills.add(fill); return () => fills.delete(fill); },
+    fill: (horizon) => fills.forEach(fill => fill(horizon)),
+  };
+};
+
+const masterWithLog = () => {
+  const scheduler = manualScheduler();
+  const sent = [];
+  const master = createClockMaster({ scheduler, send: (data) => sent.push(data), getBpm: () => 120 });
+  return { scheduler, sent, master };
+};
+
+test('master counts the song position in pulses', () => {
+  const { scheduler, sent, master } = masterWithLog();
+  master.start();
+  // Two beats at 120 BPM
+  scheduler.fill(performance.now() + 999);
+  expect(sent[0]).toEqual([START]);
+  expect(sent.filter(m => m[0] === CLOCK)).toHaveLength(2 * PPQ);
+  expect(master.getPosition()).toBe(2);
+});
+
+test('song position goes out in sixteenths, least significant 7 bits first, only while stopped', () => {
+  const { sent, master } = masterWithLog();
+  master.setSongPosition(100);   // 400 sixteenths
+  expect(sent.pop()).toEqual([SONG_POSITION, 400 & 0x7F, 400 >> 7]);
+  expect(master.getPosition()).toBe(100);
+
+  master.continue();
+  master.setSongPosition(4);
+  expect(sent.map(m => m[0])).toEqual([CONTINUE]);
+  master.stop();
+  expect(master.getPosition()).toBe(100);
+});
+
+test('follower takes the position from the pointer and counts on from Continue', () => {
+  const positions = [];
+  const follower = createClockFollower({
+    onTempo: () => {}, onStart: () => {}, onStop: () => {}, onContinue: () => {},
+    onSongPosition: (beats) => positions.push(beats),
+  });
+  follower.handle([SONG_POSITION, 8, 1]);   // 136 sixteenths
+  expect(positions).toEqual([34]);
+  follower.handle([CONTINUE]);
+  for (let i = 0; i < PPQ; i++) follower.handle([CLOCK], i * 20);
+  expect(follower.getPosition()).toBe(35);
+  follower.handle([STOP]);
+  follower.handle([CLOCK], PPQ * 20);
+  expect(follower.getPosition()).toBe(35);
+});
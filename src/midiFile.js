@@ -0,0 +1,280 @@
+import { pairNotes } from './performanceRecorder';
+
+/* ─────────── Standard MIDI File writing ─────────── */
+export const TPQ = 480;
+
+const varLen = (v) => {
+  const b = [v & 0x7F]; v >>= 7;
+  while (v) { b.unshift((v & 0x7F) | 0x80); v >>= 7; }
+  return b;
+};
+const u32 = (v) => [(v>>24)&0xFF,(v>>16)&0xFF,(v>>8)&0xFF,v&0xFF];
+const u16 = (v) => [(v>>8)&0xFF,v&0xFF];
+
+// Grid sizes in quarter-note beats
+export const QUANTIZE_GRIDS = [
+  { value: '1/4',  label: '1/4',  beats: 1 },
+  { value: '1/8',  label: '1/8',  beats: 0.5 },
+  { value: '1/16', label: '1/16', beats: 0.25 },
+  { value: '1/32', label: '1/32', beats: 0.125 },
+];
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  bpm: 120,
+  numerator: 4,
+  denominator: 4,
+  quantize: false,   // false = keep raw timing
+  grid: '1/16',
+  triplet: false,
+  swing: 0,          // 0–100 %; 100 = offbeats on the triplet position
+};
+
+/**
+ * Snap a beat position to the grid. Swing delays every second grid slot by
+ * up to a third of a grid step, so 100 % lands offbeats on the triplet.
+ */
+const makeSnapper = ({ grid, triplet, swing }) => {
+  const base = (QUANTIZE_GRIDS.find(g => g.value === grid) || QUANTIZE_GRIDS[2]).beats;
+  const step = triplet ? base * 2 / 3 : base;
+  const swingOffset = triplet ? 0 : (Math.max(0, Math.min(100, swing)) / 100) * step / 3;
+  const snap = (beats) => {
+    const slot = Math.round(beats / step);
+    return slot * step + (slot % 2 === 1 ? swingOffset : 0);
+  };
+  return { step, snap };
+};
+
+const trackChunk = (trk) => [0x4D,0x54,0x72,0x6B,...u32(trk.length),...trk];
+
+/**
+ * Build a format-1 MIDI file from recorder events: a conductor track with
+ * tempo and time signature, then one track per channel played. Notes keep
+ * their real velocity, duration and channel; recorded CC moves are included.
+ * With `quantize` on, onsets and ends snap to the grid (at least one step long).
+ * Returns null when nothing was played.
+ */
+export const buildMidiFile = (events, options = {}) => {
+  const opts = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+  const bpm = Math.max(20, Math.min(300, Number(opts.bpm) || 120));
+  const tempo = Math.round(60000000 / bpm);             // µs per quarter
+  const msPerBeat = 60000 / bpm;
+  const notes = pairNotes(events);
+  if (!notes.length) return null;
+  const origin = notes[0].start;
+  const ccs = events.filter(ev => ev.type === 'cc' && ev.time >= origin);
+
+  const { step, snap } = makeSnapper(opts);
+  const toBeats = (ms) => (ms - origin) / msPerBeat;
+  const toTicks = (beats) => Math.max(0, Math.round(beats * TPQ));
+
+  // Per-channel event lists. At equal ticks: note-offs, then CCs, then note-ons
+  const byChannel = new Map();
+  const timedFor = (channel) => {
+    const ch = (channel - 1) & 0x0F;
+    if (!byChannel.has(ch)) byChannel.set(ch, []);
+    return byChannel.get(ch);
+  };
+  notes.forEach(n => {
+    const ch = (n.channel - 1) & 0x0F;
+    let startBeats = toBeats(n.start);
+    let endBeats = toBeats(n.end);
+    if (opts.quantize) {
+      startBeats = snap(startBeats);
+      endBeats = Math.max(startBeats + step, snap(endBeats));
+    }
+    const on = toTicks(startBeats);
+    const off = Math.max(on + 1, toTicks(endBeats));
+    const timed = timedFor(n.channel);
+    timed.push({ tick: on, order: 2, bytes: [0x90 | ch, n.note & 0x7F, Math.max(1, n.velocity & 0x7F)] });
+    timed.push({ tick: off, order: 0, bytes: [0x80 | ch, n.note & 0x7F, 0] });
+  });
+  ccs.forEach(ev => {
+    const ch = (ev.channel - 1) & 0x0F;
+    timedFor(ev.channel).push({ tick: toTicks(toBeats(ev.time)), order: 1, bytes: [0xB0 | ch, ev.cc & 0x7F, ev.value & 0x7F] });
+  });
+
+  // Conductor track: tempo + time signature (denominator as a power of two)
+  const denomPow = Math.max(0, Math.round(Math.log2(opts.denominator || 4)));
+  const numerator = Math.max(1, Math.min(32, Math.round(opts.numerator) || 4));
+  const conductor = [
+    ...varLen(0), 0xFF, 0x51, 0x03, (tempo>>16)&0xFF, (tempo>>8)&0xFF, tempo&0xFF,
+    ...varLen(0), 0xFF, 0x58, 0x04, numerator, denomPow, 24, 8,
+    ...varLen(0), 0xFF, 0x2F, 0x00,
+  ];
+
+  const tracks = [conductor];
+  Array.from(byChannel.keys()).sort((a, b) => a - b).forEach(ch => {
+    const timed = byChannel.get(ch).sort((a, b) => a.tick - b.tick || a.order - b.order);
+    const name = Array.from(`Channel ${ch + 1}`, c => c.charCodeAt(0));
+    const trk = [...varLen(0), 0xFF, 0x03, name.length, ...name];
+    let lastTick = 0;
+    timed.forEach(({ tick, bytes }) => {
+      trk.push(...varLen(tick - lastTick), ...bytes);
+      lastTick = tick;
+    });
+    trk.push(...varLen(0), 0xFF, 0x2F, 0x00);
+    tracks.push(trk);
+  });
+
+  const header = [0x4D,0x54,0x68,0x64,...u32(6),...u16(1),...u16(tracks.length),...u16(TPQ)];
+  return new Uint8Array([header, ...tracks.map(trackChunk)].flat());
+};
+
+/* ─────────── Standard MIDI File reading ─────────── */
+
+/**
+ * Parse a Standard MIDI File (format 0, 1 or 2) with running status,
+ * meta/sysex events and a tempo map. Note times are converted to
+ * milliseconds through the tempo map (or the SMPTE division); formats 0 and 1
+ * share one map across the tracks, while each format-2 pattern has its own.
+ * Returns { format, division, durationMs, tempos, tracks } where each track is
+ * { index, name, channels, tempos, notes: [{ note, velocity, channel, start, end }] }
+ * and the top-level `tempos` is the shared map (format 2: the first pattern's).
+ * Throws an Error describing the problem for files that cannot be read.
+ */
+export const parseMidiFile = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let pos = 0;
+  const need = (n) => {
+    if (pos + n > bytes.length) throw new Error('Unexpected end of file');
+  };
+  const readStr = (n) => { need(n); const s = String.fromCharCode(...bytes.subarray(pos, pos + n)); pos += n; return s; };
+  const read32 = () => { need(4); const v = ((bytes[pos] << 24) >>> 0) + (bytes[pos+1] << 16) + (bytes[pos+2] << 8) + bytes[pos+3]; pos += 4; return v; };
+  const read16 = () => { need(2); const v = (bytes[pos] << 8) + bytes[pos+1]; pos += 2; return v; };
+  const readVar = () => {
+    let v = 0;
+    for (let i = 0; i < 4; i++) {
+      need(1);
+      const b = bytes[pos++];
+      v = (v << 7) | (b & 0x7F);
+      if (!(b & 0x80)) return v;
+    }
+    throw new Error('Invalid variable-length quantity');
+  };
+
+  if (bytes.length < 14 || readStr(4) !== 'MThd') throw new Error('Not a Standard MIDI File (missing MThd header)');
+  const headerLen = read32();
+  const format = read16();
+  const trackCount = read16();
+  const division = read16();
+  pos = 8 + headerLen;
+  if (format > 2) throw new Error(`Unsupported MIDI file format ${format}`);
+
+  const rawTracks = [];
+  for (let t = 0; t < trackCount && pos < bytes.length; t++) {
+    const id = readStr(4);
+    const len = read32();
+    const end = pos + len;
+    if (id !== 'MTrk') { pos = end; t--; continue; }  // skip unknown chunks
+    if (end > bytes.length) throw new Error(`Track ${rawTracks.length + 1} is truncated`);
+    const events = [];
+    const tempos = [];       // { tick, usPerQuarter }
+    let name = '';
+    let tick = 0;
+    let running = null;
+    while (pos < end) {
+      tick += readVar();
+      need(1);
+      let status = bytes[pos];
+      if (status & 0x80) {
+        pos++;
+      } else {
+        if (running === null) throw new Error(`Running status without a status byte in track ${rawTracks.length + 1}`);
+        status = running;
+      }
+      if (status === 0xFF) {
+        need(1);
+        const type = bytes[pos++];
+        const metaLen = readVar();
+        need(metaLen);
+        const data = bytes.subarray(pos, pos + metaLen);
+        pos += metaLen;
+        if (type === 0x51 && metaLen === 3) tempos.push({ tick, usPerQuarter: (data[0] << 16) | (data[1] << 8) | data[2] });
+        else if (type === 0x03 && !name) name = String.fromCharCode(...data);
+        else if (type === 0x2F) break;
+        running = null;
+      } else if (status === 0xF0 || status === 0xF7) {
+        const sysLen = readVar();
+        need(sysLen);
+        pos += sysLen;
+        running = null;
+      } else if (status >= 0xF0) {
+        throw new Error(`Unexpected status byte 0x${status.toString(16)} in track ${rawTracks.length + 1}`);
+      } else {
+        running = status;
+        const type = status & 0xF0;
+        const oneByte = type === 0xC0 || type === 0xD0;
+        need(oneByte ? 1 : 2);
+        const d1 = bytes[pos++];
+        const d2 = oneByte ? 0 : bytes[pos++];
+        events.push({ tick, type, channel: (status & 0x0F) + 1, d1, d2 });
+      }
+    }
+    pos = end;
+    rawTracks.push({ name, events, tempos, endTick: tick });
+  }
+  if (!rawTracks.length) throw new Error('The file contains no tracks');
+
+  // Tick → ms through a tempo map (default 120 BPM), or fixed SMPTE rate
+  const tickToMsFor = (tempos) => {
+    if (division & 0x8000) {
+      const fps = 256 - (division >> 8);
+      const ticksPerFrame = division & 0xFF;
+      return (tick) => tick * 1000 / (fps * ticksPerFrame);
+    }
+    const tpq = division || TPQ;
+    const segments = [];  // { tick, ms, usPerQuarter }
+    let last = { tick: 0, ms: 0, usPerQuarter: 500000 };
+    tempos.forEach(({ tick, usPerQuarter }) => {
+      const ms = last.ms + (tick - last.tick) * last.usPerQuarter / tpq / 1000;
+      last = { tick, ms, usPerQuarter };
+      segments.push(last);
+    });
+    if (!segments.length || segments[0].tick > 0) segments.unshift({ tick: 0, ms: 0, usPerQuarter: 500000 });
+    return (tick) => {
+      let seg = segments[0];
+      for (let i = 1; i < segments.length && segments[i].tick <= tick; i++) seg = segments[i];
+      return seg.ms + (tick - seg.tick) * seg.usPerQuarter / tpq / 1000;
+    };
+  };
+
+  const byTick = (a, b) => a.tick - b.tick;
+  const shared = rawTracks.flatMap(trk => trk.tempos).sort(byTick);
+  const sharedTickToMs = tickToMsFor(shared);
+
+  let durationMs = 0;
+  const tracks = rawTracks.map((trk, index) => {
+    const tempos = format === 2 ? trk.tempos.slice().sort(byTick) : shared;
+    const tickToMs = format === 2 ? tickToMsFor(tempos) : sharedTickToMs;
+    const open = new Map();   // "channel:note" → [pending note]
+    const notes = [];
+    trk.events.forEach(ev => {
+      const isOn = ev.type === 0x90 && ev.d2 > 0;
+      const isOff = ev.type === 0x80 || (ev.type === 0x90 && ev.d2 === 0);
+      if (!isOn && !isOff) return;
+      const key = `${ev.channel}:${ev.d1}`;
+      if (isOn) {
+        const n = { note: ev.d1, velocity: ev.d2, channel: ev.channel, start: tickToMs(ev.tick), end: null };
+        if (!open.has(key)) open.set(key, []);
+        open.get(key).push(n);
+        notes.push(n);
+      } else {
+        const queue = open.get(key);
+        if (queue && queue.length) queue.shift().end = tickToMs(ev.tick);
+      }
+    });
+    const trackEnd = tickToMs(trk.endTick);
+    notes.forEach(n => { if (n.end === null) n.end = Math.max(n.start, trackEnd); });
+    notes.sort((a, b) => a.start - b.start);
+    notes.forEach(n => { durationMs = Math.max(durationMs, n.end); });
+    return {
+      index,
+      name: trk.name || `Track ${index + 1}`,
+      channels: Array.from(new Set(notes.map(n => n.channel))).sort((a, b) => a - b),
+      tempos,
+      notes,
+    };
+  });
+
+  return { format, division, durationMs, tempos: format === 2 ? tracks[0].tempos : shared, tracks };
+};
@@ -0,0 +1,131 @@
+import { buildMidiFile, parseMidiFile, TPQ } from './midiFile';
+
+// Hand-built files: chunks of raw bytes
+const u32 = (v) => [(v >> 24) & 0xFF, (v >> 16) & 0xFF, (v >> 8) & 0xFF, v & 0xFF];
+const chunk = (id, data) => [...Array.from(id, c => c.charCodeAt(0)), ...u32(data.length), ...data];
+const smf = (format, division, tracks, extra = []) => new Uint8Array([
+  ...chunk('MThd', [0, format, 0, tracks.length, (division >> 8) & 0xFF, division & 0xFF]),
+  ...extra,
+  ...tracks.flatMap(trk => chunk('MTrk', trk)),
+]).buffer;
+const END = [0x00, 0xFF, 0x2F, 0x00];
+const tempo = (delta, us) => [...delta, 0xFF, 0x51, 0x03, (us >> 16) & 0xFF, (us >> 8) & 0xFF, us & 0xFF];
+
+const notesOf = (track) => track.notes.map(({ note, velocity, channel, start, end }) => ({ note, velocity, channel, start, end }));
+
+// Recorder events as performanceRecorder logs them
+const on = (time, note, velocity, channel = 1) => ({ type: 'noteOn', note, velocity, channel, source: 'key', label: null, time });
+const off = (time, note, channel = 1) => ({ type: 'noteOff', note, channel, source: 'key', label: null, time });
+
+describe('write → read round trip', () => {
+  test('keeps notes, velocities, channels and timing, one track per channel', () => {
+    const events = [
+      on(1000, 60, 100), on(1250, 64, 70, 2), off(1500, 60),
+      { type: 'cc', cc: 1, value: 64, channel: 2, source: 'cc', time: 1600 },
+      off(2000, 64, 2), on(2000, 67, 127), off(2250, 67),
+    ];
+    const parsed = parseMidiFile(buildMidiFile(events, { bpm: 120 }).buffer);
+    expect(parsed.format).toBe(1);
+    expect(parsed.division).toBe(TPQ);
+    expect(parsed.tempos).toEqual([{ tick: 0, usPerQuarter: 500000 }]);
+    expect(parsed.tracks.map(t => t.name)).toEqual(['Track 1', 'Channel 1', 'Channel 2']);
+    expect(notesOf(parsed.tracks[1])).toEqual([
+      { note: 60, velocity: 100, channel: 1, start: 0, end: 500 },
+      { note: 67, velocity: 127, channel: 1, start: 1000, end: 1250 },
+    ]);
+    expect(notesOf(parsed.tracks[2])).toEqual([{ note: 64, velocity: 70, channel: 2, start: 250, end: 1000 }]);
+    expect(parsed.durationMs).toBe(1250);
+  });
+
+  test('converts through the chosen tempo', () => {
+    const parsed = parseMidiFile(buildMidiFile([on(0, 60, 90), off(1000, 60)], { bpm: 90 }).buffer);
+    expect(parsed.tempos[0].usPerQuarter).toBe(666667);
+    expect(parsed.tracks[1].notes[0].end).toBeCloseTo(1000, 0);
+  });
+
+  test('quantizes onsets and ends to the grid', () => {
+    // 1/16 at 120 BPM is 125 ms
+    const events = [on(0, 60, 100), off(40, 60), on(130, 62, 100), off(370, 62)];
+    const parsed = parseMidiFile(buildMidiFile(events, { quantize: true, grid: '1/16' }).buffer);
+    expect(notesOf(parsed.tracks[1]).map(n => [n.start, n.end])).toEqual([[0, 125], [125, 375]]);
+  });
+
+  test('returns null when nothing was played', () => {
+    expect(buildMidiFile([])).toBeNull();
+  });
+});
+
+describe('reading', () => {
+  test('running status, with note-on velocity 0 as note-off', () => {
+    const parsed = parseMidiFile(smf(0, 96, [[
+      0x00, 0x90, 60, 100,
+      0x60, 60, 0,          // running status, note-off by velocity 0
+      0x00, 64, 80,
+      0x60, 0x80, 64, 0,
+      0x00, 0xC0, 5,        // program change: one data byte, also under running status
+      0x00, 6,
+      ...END,
+    ]]));
+    expect(parsed.format).toBe(0);
+    expect(notesOf(parsed.tracks[0])).toEqual([
+      { note: 60, velocity: 100, channel: 1, start: 0, end: 500 },
+      { note: 64, velocity: 80, channel: 1, start: 500, end: 1000 },
+    ]);
+  });
+
+  test('follows the tempo map of the conductor track', () => {
+    const parsed = parseMidiFile(smf(1, 96, [
+      [...tempo([0x00], 500000), ...tempo([0x81, 0x40], 250000), ...END],
+      [0x60, 0x91, 60, 100, 0x81, 0x40, 0x81, 60, 0, ...END],
+    ]));
+    // 120 BPM for the first two beats, 240 BPM after
+    expect(parsed.tempos).toEqual([{ tick: 0, usPerQuarter: 500000 }, { tick: 192, usPerQuarter: 250000 }]);
+    expect(notesOf(parsed.tracks[1])).toEqual([{ note: 60, velocity: 100, channel: 2, start: 500, end: 1250 }]);
+  });
+
+  test('format 2 keeps each pattern as its own track', () => {
+    const parsed = parseMidiFile(smf(2, 96, [
+      [0x00, 0xFF, 0x03, 0x01, 0x41, 0x00, 0x90, 60, 100, 0x60, 0x80, 60, 0, ...END],
+      [0x00, 0x90, 72, 100, 0x30, 0x80, 72, 0, ...END],
+    ]));
+    expect(parsed.format).toBe(2);
+    expect(parsed.tracks.map(t => [t.name, t.notes.length, t.notes[0].start])).toEqual([['A', 1, 0], ['Track 2', 1, 0]]);
+  });
+
+  test('format 2 patterns each follow their own tempo map', () => {
+    const parsed = parseMidiFile(smf(2, 96, [
+      [...tempo([0x00], 500000), 0x00, 0x90, 60, 100, 0x60, 0x80, 60, 0, ...END],
+      [...tempo([0x00], 250000), 0x00, 0x90, 72, 100, 0x60, 0x80, 72, 0, 0x00, 0x90, 74, 100, ...tempo([0x60], 1000000), 0x60, 0x80, 74, 0, ...END],
+    ]));
+    // One beat at 120 BPM, against 240 BPM that drops to 60 on the third beat
+    expect(notesOf(parsed.tracks[0]).map(n => [n.start, n.end])).toEqual([[0, 500]]);
+    expect(notesOf(parsed.tracks[1]).map(n => [n.start, n.end])).toEqual([[0, 250], [250, 1500]]);
+    expect(parsed.tracks[1].tempos).toEqual([{ tick: 0, usPerQuarter: 250000 }, { tick: 192, usPerQuarter: 1000000 }]);
+    expect(parsed.tempos).toEqual([{ tick: 0, usPerQuarter: 500000 }]);
+    expect(parsed.durationMs).toBe(1500);
+  });
+
+  test('SMPTE division counts ticks in frames', () => {
+    // 25 fps × 40 ticks per frame: a tick is a millisecond
+    const parsed = parseMidiFile(smf(0, 0xE728, [[0x00, 0x90, 60, 100, 0x87, 0x68, 0x80, 60, 0, ...END]]));
+    expect(notesOf(parsed.tracks[0])[0]).toMatchObject({ start: 0, end: 1000 });
+  });
+
+  test('skips sysex, meta events and unknown chunks; closes held notes at the track end', () => {
+    const parsed = parseMidiFile(smf(0, 96, [[
+      0x00, 0xF0, 0x03, 0x7E, 0x09, 0xF7,
+      0x00, 0xFF, 0x01, 0x02, 0x68, 0x69,
+      0x00, 0x90, 60, 100,
+      0x83, 0x00, 0xFF, 0x2F, 0x00,
+    ]], chunk('XFIH', [1, 2, 3])));
+    expect(notesOf(parsed.tracks[0])).toEqual([{ note: 60, velocity: 100, channel: 1, start: 0, end: 2000 }]);
+  });
+
+  test('reports files it cannot read', () => {
+    expect(() => parseMidiFile(new Uint8Array(20).buffer)).toThrow('missing MThd header');
+    expect(() => parseMidiFile(smf(3, 96, [END]))).toThrow('Unsupported MIDI file format 3');
+    expect(() => parseMidiFile(smf(0, 96, [[0x00, 60, 100, ...END]]))).toThrow('Running status without a status byte');
+    const truncated = new Uint8Array(smf(0, 96, [[0x00, 0x90, 60, 100, ...END]])).slice(0, -3);
+    expect(() => parseMidiFile(truncated.buffer)).toThrow('truncated');
+  });
+});
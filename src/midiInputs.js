@@ -0,0 +1,33 @@
+// MIDI inputs — every connected controller can be listened to at once. Inputs
+// are keyed by port name, each with its own pad map, CC map and channel
+// filter, so a device that disconnects and comes back keeps its settings.
+
+/**
+ * `devices` with an entry for each input seen for the first time, starting
+ * from the `defaults` maps. The first one is enabled when nothing connected
+ * is listening yet. Returns `devices` itself when every input is known.
+ */
+export function addNewDevices(devices, inputs, { padMap, ccMap }) {
+  if (!inputs.some(i => !devices[i.name])) return devices;
+  const next = { ...devices };
+  let listening = inputs.some(i => next[i.name] && next[i.name].enabled);
+  inputs.forEach(input => {
+    if (next[input.name]) return;
+    console.log('[MIDI-IN] New device:', input.name);
+    next[input.name] = { enabled: !listening, channel: 0, padMap, ccMap };
+    listening = true;
+  });
+  return next;
+}
+
+/**
+ * Ids of connected, enabled inputs, joined — listeners re-attach only when
+ * this changes, which includes a device coming back after a disconnect.
+ */
+export const listeningInputIds = (inputs, devices) => inputs
+  .filter(i => i.state !== 'disconnected' && (devices[i.name] || {}).enabled)
+  .map(i => i.id)
+  .join('|');
+
+/** True when `device`'s channel filter (0 = all) lets through a message on `channel` (1–16). */
+export const acceptsChannel = (device, channel) => !(device && device.channel) || device.channel === channel;
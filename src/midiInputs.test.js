@@ -0,0 +1,52 @@
+import { addNewDevices, listeningInputIds, acceptsChannel } from './midiInputs';
+
+const DEFAULTS = { padMap: { 36: { interval: 1 } }, ccMap: { 74: 'cutoff' } };
+const input = (id, name, state = 'connected') => ({ id, name, state });
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('addNewDevices', () => {
+  test('new inputs start from the default maps, only the first one listening', () => {
+    const devices = addNewDevices({}, [input('a', 'Pads'), input('b', 'Faders')], DEFAULTS);
+    expect(devices).toEqual({
+      Pads: { enabled: true, channel: 0, ...DEFAULTS },
+      Faders: { enabled: false, channel: 0, ...DEFAULTS },
+    });
+  });
+
+  test('known inputs keep their own maps and settings', () => {
+    const known = { Pads: { enabled: false, channel: 10, padMap: {}, ccMap: { 1: 'resonance' } } };
+    expect(addNewDevices(known, [input('a', 'Pads')], DEFAULTS)).toBe(known);
+    // Pads is connected but not listening, so the newcomer is enabled
+    const devices = addNewDevices(known, [input('a', 'Pads'), input('b', 'Faders')], DEFAULTS);
+    expect(devices.Pads).toBe(known.Pads);
+    expect(devices.Faders.enabled).toBe(true);
+  });
+
+  test('a newcomer stays off while another connected input is listening', () => {
+    const known = { Pads: { enabled: true, channel: 0, ...DEFAULTS } };
+    expect(addNewDevices(known, [input('a', 'Pads'), input('b', 'Faders')], DEFAULTS).Faders.enabled).toBe(false);
+  });
+});
+
+test('listeners follow the connected, enabled inputs — and a device coming back', () => {
+  const devices = { Pads: { enabled: true }, Faders: { enabled: true }, Keys: { enabled: false } };
+  const inputs = [input('a', 'Pads'), input('b', 'Faders', 'disconnected'), input('c', 'Keys')];
+  expect(listeningInputIds(inputs, devices)).toBe('a');
+  // The port comes back, possibly under a new id: its settings are found by name
+  expect(listeningInputIds([input('a', 'Pads'), input('d', 'Faders')], devices)).toBe('a|d');
+  expect(listeningInputIds([input('x', 'Unknown')], devices)).toBe('');
+});
+
+test('the channel filter passes its own channel, or every channel when 0', () => {
+  expect(acceptsChannel({ channel: 10 }, 10)).toBe(true);
+  expect(acceptsChannel({ channel: 10 }, 1)).toBe(false);
+  expect(acceptsChannel({ channel: 0 }, 5)).toBe(true);
+  expect(acceptsChannel(undefined, 5)).toBe(true);
+});
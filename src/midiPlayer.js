@@ -0,0 +1,150 @@
+// MIDI file player — walks a list of parsed notes on the look-ahead
+// scheduler and reports timestamped note-on/off through callbacks, with loop
+// and tempo scaling.
+
+const PROGRESS_MS = 100;
+
+/**
+ * `onNoteOn(id, note, velocity, index, time)` / `onNoteOff(id, note, time)`
+ * sound the notes at `time`, a performance.now() timestamp slightly in the
+ * future (see scheduler.js); `onNoteShown(index)` follows when the note
+ * sounds, for display, unless playback stopped or restarted in between;
+ * `onProgress(positionMs)` is called about ten times a second while
+ * playing; `onEnd()` fires when playback reaches the end without looping.
+ */
+export function createMidiPlayer({ scheduler, onNoteOn, onNoteOff, onNoteShown = () => {}, onProgress = () => {}, onEnd = () => {} }) {
+  let events = [];        // sorted { time, isOn, id, note, velocity, index }
+  let durationMs = 0;
+  let stopScheduling = null;
+  let cursor = 0;
+  let startedAt = 0;      // performance.now() when `offsetMs` was current
+  let offsetMs = 0;       // file position at `startedAt`
+  let tempoScale = 1;
+  let loop = false;
+  let lastProgress = 0;
+  let endQueued = false;  // the end has been reached and finish() is pending
+  let generation = 0;     // bumped on play/stop so stale deferred work is dropped
+  const sounding = new Map(); // id → { note, onAt }
+
+  const playing = () => stopScheduling !== null;
+  const positionAt = (t) => (playing() ? offsetMs + (t - startedAt) * tempoScale : offsetMs);
+  const timeOf = (pos) => startedAt + (pos - offsetMs) / tempoScale;
+
+  // A note-off never goes out before its already-queued note-on
+  const releaseAll = (time = performance.now()) => {
+    sounding.forEach(({ note, onAt }, id) => onNoteOff(id, note, Math.max(time, onAt)));
+    sounding.clear();
+  };
+
+  // Run `fn` at `time` unless playback stops or restarts first
+  const later = (time, fn) => {
+    const queuedIn = generation;
+    scheduler.defer(time, () => {
+      if (queuedIn === generation) fn();
+    });
+  };
+
+  const seekCursor = (ms) => {
+    cursor = events.findIndex(ev => ev.time >= ms);
+    if (cursor < 0) cursor = events.length;
+  };
+
+  const fillWindow = (horizon) => {
+    for (;;) {
+      const until = positionAt(horizon);
+      while (cursor < events.length && events[cursor].time <= until) {
+        const ev = events[cursor++];
+        const time = timeOf(ev.time);
+        if (ev.isOn) {
+          sounding.set(ev.id, { note: ev.note, onAt: time });
+          onNoteOn(ev.id, ev.note, ev.velocity, ev.index, time);
+          later(time, () => onNoteShown(ev.index));
+        } else if (sounding.has(ev.id)) {
+          sounding.delete(ev.id);
+          onNoteOff(ev.id, ev.note, time);
+        }
+      }
+      if (cursor < events.length || until < durationMs) break;
+      // Reached the end inside this window
+      const endAt = timeOf(durationMs);
+      releaseAll(endAt);
+      if (!loop || durationMs <= 0) {
+        if (!endQueued) later(endAt, finish);
+        endQueued = true;
+        break;
+      }
+      startedAt = endAt;
+      offsetMs = 0;
+      cursor = 0;
+    }
+    const now = performance.now();
+    if (now - lastProgress >= PROGRESS_MS) {
+      lastProgress = now;
+      onProgress(Math.min(durationMs, positionAt(now)));
+    }
+  };
+
+  function finish() {
+    if (!playing() || !endQueued) return;
+    halt();
+    offsetMs = 0;
+    onProgress(0);
+    onEnd();
+  }
+
+  function halt() {
+    generation++;
+    if (playing()) {
+      offsetMs = Math.min(durationMs, positionAt(performance.now()));
+      stopScheduling();
+      stopScheduling = null;
+    }
+    releaseAll();
+  }
+
+  return {
+    /** Replace the notes to play ({ note, velocity, start, end } in ms); stops playback. */
+    load(notes) {
+      halt();
+      offsetMs = 0;
+      durationMs = notes.reduce((max, n) => Math.max(max, n.end), 0);
+      events = [];
+      notes.forEach((n, index) => {
+        const id = `file-${index}`;
+        events.push({ time: n.start, isOn: true, id, note: n.note, velocity: n.velocity, index });
+        events.push({ time: Math.max(n.start + 1, n.end), isOn: false, id, note: n.note });
+      });
+      // Note-offs first at equal times so repeated notes retrigger cleanly
+      events.sort((a, b) => a.time - b.time || (a.isOn ? 1 : 0) - (b.isOn ? 1 : 0));
+      cursor = 0;
+    },
+    play() {
+      if (playing() || !events.length) return;
+      if (offsetMs >= durationMs) offsetMs = 0;
+      seekCursor(offsetMs);
+      startedAt = performance.now();
+      endQueued = false;
+      generation++;
+      stopScheduling = scheduler.add(fillWindow);
+    },
+    /** Stop and rewind to the start. */
+    stop() {
+      halt();
+      offsetMs = 0;
+      onProgress(0);
+    },
+    setLoop(value) {
+      loop = value;
+    },
+    /** Playback speed multiplier (1 = file tempo); keeps the current position. */
+    setTempoScale(scale) {
+      offsetMs = positionAt(performance.now());
+      startedAt = performance.now();
+      tempoScale = scale;
+    },
+    isPlaying: playing,
+    dispose() {
+      halt();
+    },
+  };
+}
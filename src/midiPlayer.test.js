@@ -0,0 +1,83 @@
+import { createMidiPlayer } from './midiPlayer';
+
+// The scheduler is driven by hand: a fill every 25 ms looking 100 ms ahead,
+// and deferred work run when its time comes.
+let now;
+let fills;
+let deferred;
+let log;
+let player;
+
+const advance = (to) => {
+  while (now < to) {
+    now = Math.min(to, now + 25);
+    const at = now;
+    fills.forEach(fill => fill(at + 100));
+    const due = deferred.filter(d => d.time <= at);
+    deferred = deferred.filter(d => d.time > at);
+    due.forEach(d => d.fn());
+  }
+};
+
+beforeEach(() => {
+  now = 0;
+  fills = new Set();
+  deferred = [];
+  log = [];
+  jest.spyOn(performance, 'now').mockImplementation(() => now);
+  player = createMidiPlayer({
+    scheduler: {
+      add: (fill) => { fills.add(fill); fill(now + 100); return () => fills.delete(fill); },
+      defer: (time, fn) => deferred.push({ time, fn }),
+    },
+    onNoteOn: (id, note, velocity, index, time) => log.push(['on', note, time]),
+    onNoteOff: (id, note, time) => log.push(['off', note, time]),
+    onNoteShown: (index) => log.push(['shown', index, now]),
+    onEnd: () => log.push(['end']),
+  });
+  player.load([{ note: 60, velocity: 100, start: 0, end: 100 }, { note: 62, velocity: 100, start: 200, end: 300 }]);
+});
+
+afterEach(() => {
+  player.dispose();
+  jest.restoreAllMocks();
+});
+
+test('notes are queued ahead, shown as they sound, and the end is reported', () => {
+  player.play();
+  advance(1000);
+  expect(log.filter(e => e[0] !== 'shown')).toEqual([
+    ['on', 60, 0], ['off', 60, 100], ['on', 62, 200], ['off', 62, 300], ['end'],
+  ]);
+  expect(log.filter(e => e[0] === 'shown')).toEqual([['shown', 0, 25], ['shown', 1, 200]]);
+  expect(player.isPlaying()).toBe(false);
+});
+
+test('stopping drops the queued display updates and the end', () => {
+  player.play();
+  advance(250);   // the last note is queued, the end too
+  player.stop();
+  advance(1000);
+  expect(log.filter(e => e[0] === 'shown')).toHaveLength(2);
+  expect(log).not.toContainEqual(['end']);
+});
+
+test('a restart is not ended by the previous run', () => {
+  player.play();
+  advance(225);   // the end at 300 is queued
+  player.stop();
+  log = [];
+  player.play();
+  advance(400);   // past where the first run would have ended
+  expect(log).not.toContainEqual(['end']);
+  expect(player.isPlaying()).toBe(true);
+  advance(800);
+  expect(log[log.length - 1]).toEqual(['end']);
+});
+
+test('queued display updates of a stopped run are dropped', () => {
+  player.play();
+  player.stop();    // before the first note's display came due
+  advance(100);
+  expect(log.filter(e => e[0] === 'shown')).toEqual([]);
+});
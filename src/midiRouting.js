@@ -0,0 +1,79 @@
+// MIDI output routing — a table of destinations, each with its own port,
+// channel, transpose and key range. Overlapping ranges layer; ranges that
+// meet at a key split the keyboard between destinations.
+
+export const DEFAULT_ROUTE = {
+  enabled: true,
+  output: null,     // output port name; null = pick the preferred port when one appears
+  channel: 1,       // 1–16, or 0 for all channels
+  transpose: 0,     // semitones
+  low: 0,           // lowest note (before transpose) sent to this destination
+  high: 127,        // highest note
+};
+
+export const createRoute = (overrides = {}) => ({
+  ...DEFAULT_ROUTE,
+  id: `route-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  ...overrides,
+});
+
+/** The note `route` sends for `note`, or null if it is outside its range. */
+export function routeNote(route, note) {
+  if (!route.enabled || note < route.low || note > route.high) return null;
+  const out = note + route.transpose;
+  return out >= 0 && out <= 127 ? out : null;
+}
+
+/** Status bytes for a channel-voice `command` (0x80, 0x90, 0xB0…) on the route's channel(s). */
+export function routeStatuses(route, command) {
+  if (route.channel === 0) return Array.from({ length: 16 }, (_, ch) => command + ch);
+  return [command + route.channel - 1];
+}
+
+/** Channel a performance is recorded on: the first enabled route's, "all" counting as 1. */
+export function primaryChannel(routes) {
+  const route = routes.find(r => r.enabled);
+  return (route && route.channel) || 1;
+}
+
+// Sent notes are tracked per note, apart for a channel given by the caller and
+// apart for harmony voices, so a voice landing on a held key (or on another
+// voice's pitch) and the played key release independently
+export const sentKey = (note, channel, harmony) => {
+  if (harmony) return `harmony:${note}@${channel || 0}`;
+  return channel ? `${note}@${channel}` : note;
+};
+
+/**
+ * Remembers where each note-on went ([{ output, channel, note, rotated? }]
+ * per note-on, oldest first, under its sentKey), so note-offs and poly
+ * aftertouch reach the same ports and channels however the routing changes.
+ */
+export function createSentNotes() {
+  const pending = new Map();
+  return {
+    add(key, sent) {
+      pending.set(key, [...(pending.get(key) || []), sent]);
+    },
+    /** Forget and return the oldest note-on under `key`, or null. */
+    takeOldest(key) {
+      const list = pending.get(key);
+      if (!list) return null;
+      const [sent, ...rest] = list;
+      if (rest.length) pending.set(key, rest);
+      else pending.delete(key);
+      return sent;
+    },
+    /** The newest note-on under `key`, or null. */
+    latest(key) {
+      const list = pending.get(key);
+      return list ? list[list.length - 1] : null;
+    },
+    /** Forget and return every note-on still sounding. */
+    takeAll() {
+      const all = Array.from(pending.values()).flat();
+      pending.clear();
+      return all;
+    },
+  };
+}
@@ -0,0 +1,100 @@
+import { DEFAULT_ROUTE, createRoute, routeNote, routeStatuses, primaryChannel, sentKey, createSentNotes } from './midiRouting';
+
+const route = (patch) => ({ ...DEFAULT_ROUTE, id: 'r', ...patch });
+
+test('new routes start from the defaults with an id of their own', () => {
+  const a = createRoute({ output: 'Synth' });
+  const b = createRoute();
+  expect(a).toEqual({ ...DEFAULT_ROUTE, output: 'Synth', id: a.id });
+  expect(a.id).toMatch(/^route-/);
+  expect(b.id).not.toBe(a.id);
+});
+
+describe('routeNote', () => {
+  test('transposes notes inside the key range', () => {
+    expect(routeNote(route({ transpose: -12 }), 60)).toBe(48);
+    expect(routeNote(route({ low: 60, high: 72 }), 60)).toBe(60);
+    expect(routeNote(route({ low: 60, high: 72 }), 72)).toBe(72);
+  });
+
+  test('a split sends each side of the split point to its own destination', () => {
+    const lower = route({ high: 59, output: 'Bass' });
+    const upper = route({ low: 60, output: 'Lead' });
+    expect([59, 60].map(n => [routeNote(lower, n), routeNote(upper, n)])).toEqual([[59, null], [null, 60]]);
+  });
+
+  test('drops notes outside the range, on disabled routes, or transposed off the MIDI range', () => {
+    expect(routeNote(route({ low: 60 }), 59)).toBeNull();
+    expect(routeNote(route({ enabled: false }), 60)).toBeNull();
+    expect(routeNote(route({ transpose: 12 }), 120)).toBeNull();
+    expect(routeNote(route({ transpose: -12 }), 5)).toBeNull();
+  });
+});
+
+test('routeStatuses sends on the route channel, or on all sixteen', () => {
+  expect(routeStatuses(route({ channel: 10 }), 0x90)).toEqual([0x99]);
+  expect(routeStatuses(route({ channel: 1 }), 0xB0)).toEqual([0xB0]);
+  const all = routeStatuses(route({ channel: 0 }), 0x80);
+  expect(all).toHaveLength(16);
+  expect([all[0], all[15]]).toEqual([0x80, 0x8F]);
+});
+
+test('the primary channel is the first enabled route\'s, "all" counting as 1', () => {
+  expect(primaryChannel([route({ enabled: false, channel: 4 }), route({ channel: 7 })])).toBe(7);
+  expect(primaryChannel([route({ channel: 0 })])).toBe(1);
+  expect(primaryChannel([])).toBe(1);
+});
+
+describe('sent notes', () => {
+  const output = { name: 'Synth' };
+
+  test('note-offs take the oldest note-on, pressure follows the newest', () => {
+    const notes = createSentNotes();
+    notes.add(sentKey(60), [{ output, channel: 0, note: 60 }]);
+    notes.add(sentKey(60), [{ output, channel: 0, note: 72 }]);
+    expect(notes.latest(sentKey(60))).toEqual([{ output, channel: 0, note: 72 }]);
+    expect(notes.takeOldest(sentKey(60))).toEqual([{ output, channel: 0, note: 60 }]);
+    expect(notes.takeOldest(sentKey(60))).toEqual([{ output, channel: 0, note: 72 }]);
+    expect(notes.takeOldest(sentKey(60))).toBeNull();
+    expect(notes.latest(sentKey(60))).toBeNull();
+  });
+
+  test('a note sent on a channel is found under the same channel only', () => {
+    const notes = createSentNotes();
+    notes.add(sentKey(64, 3), [{ output, channel: 2, note: 64 }]);
+    expect(notes.latest(sentKey(64))).toBeNull();
+    expect(notes.latest(sentKey(64, 3))).toEqual([{ output, channel: 2, note: 64 }]);
+    expect(notes.takeOldest(sentKey(64))).toBeNull();
+    expect(notes.takeOldest(sentKey(64, 3))).toEqual([{ output, channel: 2, note: 64 }]);
+  });
+
+  test('harmony voices are kept apart from played notes and from each other', () => {
+    const notes = createSentNotes();
+    // E held, then C played with a third above: its voice is E too, on the routes' channel
+    notes.add(sentKey(64), [{ output, channel: 0, note: 64 }]);
+    notes.add(sentKey(60), [{ output, channel: 0, note: 60 }]);
+    notes.add(sentKey(64, 0, true), [{ output, channel: 0, note: 64, voice: 'of C' }]);
+    // The same voice sent on channel 2, then G with a third below: E again
+    notes.add(sentKey(64, 2, true), [{ output, channel: 1, note: 64, voice: 'on 2' }]);
+    notes.add(sentKey(64, 0, true), [{ output, channel: 0, note: 64, voice: 'of G' }]);
+
+    // Releasing the held E leaves every voice sounding
+    expect(notes.takeOldest(sentKey(64))).toEqual([{ output, channel: 0, note: 64 }]);
+    expect(notes.takeOldest(sentKey(64))).toBeNull();
+    expect(notes.latest(sentKey(64, 0, true))).toEqual([{ output, channel: 0, note: 64, voice: 'of G' }]);
+    // Overlapping voices on one channel release oldest first; other channels are untouched
+    expect(notes.takeOldest(sentKey(64, 0, true))[0].voice).toBe('of C');
+    expect(notes.takeOldest(sentKey(64, 0, true))[0].voice).toBe('of G');
+    expect(notes.takeOldest(sentKey(64, 2, true))[0].voice).toBe('on 2');
+    expect(notes.takeAll()).toEqual([[{ output, channel: 0, note: 60 }]]);
+  });
+
+  test('takeAll empties the table', () => {
+    const notes = createSentNotes();
+    notes.add(sentKey(60), [{ output, channel: 0, note: 60 }]);
+    notes.add(sentKey(62, 2), [{ output, channel: 1, note: 62 }, { output, channel: 5, note: 62, rotated: true }]);
+    expect(notes.takeAll()).toHaveLength(2);
+    expect(notes.takeAll()).toEqual([]);
+    expect(notes.latest(sentKey(60))).toBeNull();
+  });
+});
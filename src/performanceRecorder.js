@@ -0,0 +1,63 @@
+// Performance recorder — a rolling log of what was actually played:
+// note-on/off pairs with real velocity and channel, where each note came
+// from, and incoming CC moves. Times are performance.now() milliseconds.
+
+const MAX_EVENTS = 20000;
+
+export function createPerformanceRecorder(maxEvents = MAX_EVENTS) {
+  let events = [];
+
+  const push = (event, time = performance.now()) => {
+    events.push({ ...event, time });
+    if (events.length > maxEvents) events = events.slice(-maxEvents);
+  };
+
+  return {
+    /**
+     * `source` is 'key', 'touch', 'pad', 'mouse' or 'octave'; `label` identifies
+     * the key or pad. `time` defaults to now; scheduled notes pass their own.
+     */
+    noteOn(note, velocity, channel, source, label = null, time) {
+      push({ type: 'noteOn', note, velocity, channel, source, label }, time);
+    },
+    noteOff(note, channel, source, label = null, time) {
+      push({ type: 'noteOff', note, channel, source, label }, time);
+    },
+    controlChange(cc, value, channel, source = 'cc') {
+      push({ type: 'cc', cc, value, channel, source });
+    },
+    /** Events in time order (scheduled notes are logged ahead of when they sound). */
+    getEvents() {
+      return events.slice().sort((a, b) => a.time - b.time);
+    },
+    clear() {
+      events = [];
+    },
+  };
+}
+
+/**
+ * Pair note-ons with their note-offs (first in, first out per note+channel).
+ * Notes still held are closed at `endTime`; note-offs without a matching
+ * note-on are dropped. Returns notes sorted by start time:
+ * { note, velocity, channel, source, label, start, end }.
+ */
+export function pairNotes(events, endTime = performance.now()) {
+  const open = new Map(); // "channel:note" → [pending note]
+  const notes = [];
+  events.forEach(ev => {
+    if (ev.type !== 'noteOn' && ev.type !== 'noteOff') return;
+    const key = `${ev.channel}:${ev.note}`;
+    if (ev.type === 'noteOn') {
+      const pending = { note: ev.note, velocity: ev.velocity, channel: ev.channel, source: ev.source, label: ev.label, start: ev.time, end: null };
+      if (!open.has(key)) open.set(key, []);
+      open.get(key).push(pending);
+      notes.push(pending);
+    } else {
+      const queue = open.get(key);
+      if (queue && queue.length) queue.shift().end = ev.time;
+    }
+  });
+  notes.forEach(n => { if (n.end === null) n.end = Math.max(n.start, endTime); });
+  return notes.sort((a, b) => a.start - b.start);
+}
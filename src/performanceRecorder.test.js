@@ -0,0 +1,41 @@
+import { createPerformanceRecorder, pairNotes } from './performanceRecorder';
+
+test('logs notes and CC moves with their details, in time order', () => {
+  const recorder = createPerformanceRecorder();
+  recorder.noteOn(60, 100, 1, 'key', 'KeyJ', 1000);
+  recorder.noteOff(60, 1, 'key', 'KeyJ', 1400);
+  // Scheduled ahead of the CC below
+  recorder.noteOn(64, 90, 2, 'looper', null, 1300);
+  jest.spyOn(performance, 'now').mockReturnValue(1500);
+  recorder.controlChange(1, 64, 1);
+  jest.restoreAllMocks();
+  const events = recorder.getEvents();
+  expect(events.map(e => [e.type, e.time])).toEqual([
+    ['noteOn', 1000], ['noteOn', 1300], ['noteOff', 1400], ['cc', 1500],
+  ]);
+  expect(events[0]).toEqual({ type: 'noteOn', note: 60, velocity: 100, channel: 1, source: 'key', label: 'KeyJ', time: 1000 });
+  expect(events[3]).toEqual({ type: 'cc', cc: 1, value: 64, channel: 1, source: 'cc', time: 1500 });
+  recorder.clear();
+  expect(recorder.getEvents()).toEqual([]);
+});
+
+test('keeps only the newest events', () => {
+  const recorder = createPerformanceRecorder(3);
+  [1, 2, 3, 4, 5].forEach(t => recorder.noteOn(60 + t, 100, 1, 'key', null, t));
+  expect(recorder.getEvents().map(e => e.note)).toEqual([63, 64, 65]);
+});
+
+describe('pairNotes', () => {
+  const on = (time, note, channel = 1, velocity = 100) => ({ type: 'noteOn', note, velocity, channel, source: 'key', label: null, time });
+  const off = (time, note, channel = 1) => ({ type: 'noteOff', note, channel, source: 'key', label: null, time });
+
+  test('pairs each note-off with the oldest open note on the same note and channel', () => {
+    const notes = pairNotes([on(0, 60), on(10, 60, 2), on(20, 60), off(30, 60), off(40, 60, 2), off(50, 60)]);
+    expect(notes.map(n => [n.channel, n.start, n.end])).toEqual([[1, 0, 30], [2, 10, 40], [1, 20, 50]]);
+  });
+
+  test('closes held notes at the end time and drops stray note-offs', () => {
+    const notes = pairNotes([off(0, 62), on(5, 60, 1, 77), { type: 'cc', cc: 1, value: 3, channel: 1, time: 6 }], 100);
+    expect(notes).toEqual([{ note: 60, velocity: 77, channel: 1, source: 'key', label: null, start: 5, end: 100 }]);
+  });
+});
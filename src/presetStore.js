@@ -0,0 +1,144 @@
+// Versioned preset storage backed by localStorage.
+// The live session is autosaved under SESSION_KEY; named presets are grouped
+// per controller (MIDI input name) under PRESETS_KEY.
+
+import { DEFAULT_ROUTE } from './midiRouting';
+import { legacyKeyCode } from './keyLayouts';
+
+export const PRESET_SCHEMA_VERSION = 3;
+
+const SESSION_KEY = 'rel-midi:session';
+const PRESETS_KEY = 'rel-midi:presets';
+
+/**
+ * Schema migrations: MIGRATIONS[n] upgrades a v(n) preset to v(n+1).
+ * Fields added without a migration are filled from the caller's defaults.
+ */
+const MIGRATIONS = {
+  // Presets written before versioning carried no `version` field.
+  0: (p) => ({ ...p, version: 1 }),
+  // v2 replaced the single output channel with an output routing table.
+  1: ({ midiChannel, ...p }) => ({
+    ...p,
+    routes: [{ ...DEFAULT_ROUTE, id: 'route-1', channel: Number.isInteger(midiChannel) ? midiChannel : 1 }],
+    version: 2,
+  }),
+  // v3 bound the computer keys by KeyboardEvent.code, so key velocities are keyed by code.
+  2: ({ keyVelocities, ...p }) => ({
+    ...p,
+    ...(keyVelocities && {
+      keyVelocities: Object.fromEntries(Object.entries(keyVelocities).map(([label, vel]) => [legacyKeyCode(label), vel])),
+    }),
+    version: 3,
+  }),
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    console.warn(`[PRESET] Could not read ${key}:`, err);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    console.warn(`[PRESET] Could not write ${key}:`, err);
+    return false;
+  }
+};
+
+const kind = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+// `stored` over `defaults`, except fields whose type differs from the default's
+// (a default of null or undefined takes anything); fields without a default are kept
+const mergeTyped = (defaults, stored, where) => {
+  const merged = { ...defaults };
+  Object.entries(stored).forEach(([key, value]) => {
+    const fallback = defaults[key];
+    if (fallback === null || fallback === undefined || kind(value) === kind(fallback)) {
+      merged[key] = value;
+    } else {
+      console.warn(`[PRESET] Ignoring ${where}${key}: expected ${kind(fallback)}, found ${kind(value)}`);
+    }
+  });
+  return merged;
+};
+
+/**
+ * Upgrade a stored preset to PRESET_SCHEMA_VERSION and fill any missing
+ * fields from `defaults`. Nested `settings` are merged key by key so new
+ * synth parameters pick up their defaults too, and a field of the wrong type
+ * falls back to its default. Returns null for a preset written by a newer
+ * version of the app, which this one cannot read safely.
+ */
+export function migratePreset(stored, defaults) {
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return { ...defaults, version: PRESET_SCHEMA_VERSION };
+  let preset = { ...stored };
+  let version = Number.isInteger(preset.version) ? preset.version : 0;
+  if (version > PRESET_SCHEMA_VERSION) {
+    console.warn(`[PRESET] Schema version ${version} is newer than this app's ${PRESET_SCHEMA_VERSION}; not loading it`);
+    return null;
+  }
+  while (version < PRESET_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (migrate) preset = migrate(preset);
+    version += 1;
+    preset.version = version;
+  }
+  const merged = { ...mergeTyped(defaults, preset, ''), version: PRESET_SCHEMA_VERSION };
+  if (defaults.settings) {
+    merged.settings = mergeTyped(defaults.settings, kind(preset.settings) === 'object' ? preset.settings : {}, 'settings.');
+  }
+  return merged;
+}
+
+/** Load the autosaved session, or `defaults` when nothing (readable) is stored. */
+export function loadSession(defaults) {
+  return migratePreset(readJson(SESSION_KEY, null), defaults) || { ...defaults, version: PRESET_SCHEMA_VERSION };
+}
+
+export function saveSession(snapshot) {
+  return writeJson(SESSION_KEY, { ...snapshot, version: PRESET_SCHEMA_VERSION });
+}
+
+const readAllPresets = () => {
+  const all = readJson(PRESETS_KEY, {});
+  return all && typeof all === 'object' ? all : {};
+};
+
+/** Names of the presets saved for `controller`, alphabetically. */
+export function listPresets(controller) {
+  return Object.keys(readAllPresets()[controller] || {}).sort((a, b) => a.localeCompare(b));
+}
+
+export function savePreset(controller, name, snapshot) {
+  const all = readAllPresets();
+  all[controller] = {
+    ...(all[controller] || {}),
+    [name]: { ...snapshot, version: PRESET_SCHEMA_VERSION, savedAt: Date.now() },
+  };
+  return writeJson(PRESETS_KEY, all);
+}
+
+/**
+ * Load a named preset for `controller`, migrated to the current schema.
+ * Returns null if missing or saved by a newer version.
+ */
+export function loadPreset(controller, name, defaults) {
+  const stored = (readAllPresets()[controller] || {})[name];
+  return stored ? migratePreset(stored, defaults) : null;
+}
+
+export function deletePreset(controller, name) {
+  const all = readAllPresets();
+  if (!all[controller] || !all[controller][name]) return false;
+  delete all[controller][name];
+  if (!Object.keys(all[controller]).length) delete all[controller];
+  return writeJson(PRESETS_KEY, all);
+}
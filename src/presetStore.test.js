@@ -0,0 +1,102 @@
+import { PRESET_SCHEMA_VERSION, migratePreset, loadSession, saveSession, listPresets, savePreset, loadPreset, deletePreset } from './presetStore';
+import { DEFAULT_ROUTE } from './midiRouting';
+
+const DEFAULTS = {
+  padMap: { 36: 1 },
+  keyVelocities: { KeyJ: 100 },
+  routes: [{ ...DEFAULT_ROUTE, id: 'route-1' }],
+  velocityMultiplier: 100,
+  selectedInput: null,
+  settings: { waveform: 'sawtooth', cutoff: 2000, effectsOrder: ['chorus', 'delay'] },
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  window.localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+describe('migratePreset', () => {
+  test('upgrades an unversioned preset through every migration', () => {
+    const preset = migratePreset({
+      midiChannel: 5,
+      keyVelocities: { J: 80, SPACE: 90, ';': 70 },
+      settings: { cutoff: 800 },
+    }, DEFAULTS);
+    expect(preset.version).toBe(PRESET_SCHEMA_VERSION);
+    expect(preset.midiChannel).toBeUndefined();
+    expect(preset.routes).toEqual([{ ...DEFAULT_ROUTE, id: 'route-1', channel: 5 }]);
+    expect(preset.keyVelocities).toEqual({ KeyJ: 80, Space: 90, Semicolon: 70 });
+    expect(preset.settings).toEqual({ ...DEFAULTS.settings, cutoff: 800 });
+  });
+
+  test('starts from the stored version', () => {
+    // v1: a bad channel falls back to 1
+    expect(migratePreset({ version: 1, midiChannel: 'x' }, DEFAULTS).routes[0].channel).toBe(1);
+    // v2: routes are already there, only the key velocities move to codes
+    const routes = [{ ...DEFAULT_ROUTE, id: 'route-7', channel: 9 }];
+    const v2 = migratePreset({ version: 2, routes, keyVelocities: { K: 60 } }, DEFAULTS);
+    expect(v2.routes).toEqual(routes);
+    expect(v2.keyVelocities).toEqual({ KeyK: 60 });
+    // Current: left as it is
+    const v3 = migratePreset({ version: 3, keyVelocities: { KeyA: 50 } }, DEFAULTS);
+    expect(v3.keyVelocities).toEqual({ KeyA: 50 });
+  });
+
+  test('fills missing fields and settings from the defaults', () => {
+    const preset = migratePreset({ version: PRESET_SCHEMA_VERSION, velocityMultiplier: 120 }, DEFAULTS);
+    expect(preset).toEqual({ ...DEFAULTS, velocityMultiplier: 120, version: PRESET_SCHEMA_VERSION });
+    expect(migratePreset(null, DEFAULTS)).toEqual({ ...DEFAULTS, version: PRESET_SCHEMA_VERSION });
+    expect(migratePreset('nonsense', DEFAULTS)).toEqual({ ...DEFAULTS, version: PRESET_SCHEMA_VERSION });
+  });
+
+  test('fields of the wrong type fall back to their defaults', () => {
+    const preset = migratePreset({
+      version: PRESET_SCHEMA_VERSION,
+      padMap: [1, 2],
+      velocityMultiplier: '120',
+      selectedInput: 'Launchpad',   // the default is null, so anything goes
+      routes: null,
+      settings: { waveform: 3, cutoff: 900, effectsOrder: 'chorus' },
+    }, DEFAULTS);
+    expect(preset.padMap).toEqual(DEFAULTS.padMap);
+    expect(preset.velocityMultiplier).toBe(100);
+    expect(preset.selectedInput).toBe('Launchpad');
+    expect(preset.routes).toEqual(DEFAULTS.routes);
+    expect(preset.settings).toEqual({ ...DEFAULTS.settings, cutoff: 900 });
+    expect(migratePreset({ version: PRESET_SCHEMA_VERSION, settings: 'loud' }, DEFAULTS).settings).toEqual(DEFAULTS.settings);
+  });
+
+  test('a preset from a newer version is not loaded', () => {
+    expect(migratePreset({ version: PRESET_SCHEMA_VERSION + 1, velocityMultiplier: 50 }, DEFAULTS)).toBeNull();
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
+
+describe('storage', () => {
+  test('the session round-trips; a newer session falls back to the defaults', () => {
+    expect(loadSession(DEFAULTS)).toEqual({ ...DEFAULTS, version: PRESET_SCHEMA_VERSION });
+    saveSession({ ...DEFAULTS, velocityMultiplier: 80 });
+    expect(loadSession(DEFAULTS).velocityMultiplier).toBe(80);
+    window.localStorage.setItem('rel-midi:session', JSON.stringify({ version: 99, velocityMultiplier: 10 }));
+    expect(loadSession(DEFAULTS).velocityMultiplier).toBe(100);
+    window.localStorage.setItem('rel-midi:session', '{ not json');
+    expect(loadSession(DEFAULTS).velocityMultiplier).toBe(100);
+  });
+
+  test('named presets are kept per controller', () => {
+    savePreset('Pads', 'b', { velocityMultiplier: 90 });
+    savePreset('Pads', 'a', { velocityMultiplier: 110 });
+    savePreset('Keys', 'a', { velocityMultiplier: 70 });
+    expect(listPresets('Pads')).toEqual(['a', 'b']);
+    expect(loadPreset('Pads', 'a', DEFAULTS).velocityMultiplier).toBe(110);
+    expect(loadPreset('Keys', 'a', DEFAULTS).velocityMultiplier).toBe(70);
+    expect(loadPreset('Pads', 'c', DEFAULTS)).toBeNull();
+    expect(deletePreset('Pads', 'a')).toBe(true);
+    expect(deletePreset('Pads', 'a')).toBe(false);
+    expect(listPresets('Pads')).toEqual(['b']);
+  });
+});
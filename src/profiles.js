@@ -0,0 +1,160 @@
+// Controller mapping profiles — portable JSON files holding the pad map,
+// CC map, pad-velocity flag and per-key velocities, plus the user's custom
+// scales and favourite scales.
+
+import { isValidScale } from './scales';
+import { isKeyCode, legacyKeyCode } from './keyLayouts';
+
+export const PROFILE_FORMAT = 'rel-midi-profile';
+export const PROFILE_SCHEMA_VERSION = 2;   // v2 keys key velocities by KeyboardEvent.code
+
+const isMidiNumber = (n) => Number.isInteger(n) && n >= 0 && n <= 127;
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+/** Entries of a profile section, or none (with a rejection) if it is not an object. */
+const sectionEntries = (value, section, rejected) => {
+  if (isPlainObject(value)) return Object.entries(value);
+  rejected.push(`${section}: expected an object`);
+  return [];
+};
+
+/** Serialize the mapping state to a pretty-printed JSON profile. */
+export function serializeProfile({ padMap, ccMap, usePadVelocity, keyVelocities, customScales, favoriteScales }) {
+  return JSON.stringify({
+    format: PROFILE_FORMAT,
+    version: PROFILE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    padMap,
+    ccMap,
+    usePadVelocity,
+    keyVelocities,
+    customScales,
+    favoriteScales,
+  }, null, 2);
+}
+
+/**
+ * Parse and validate a profile file.
+ * `intervals` lists assignable pad intervals and `controlIds` the learnable
+ * synth controls. Key velocities from v1 profiles, keyed by key label, are
+ * moved onto the matching key codes.
+ * Returns { error } when the file is unusable as a whole, otherwise
+ * { profile, rejected } where `rejected` describes every entry that was dropped.
+ */
+export function parseProfile(text, { intervals, controlIds }) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { error: `Not valid JSON: ${err.message}` };
+  }
+  if (!isPlainObject(data)) {
+    return { error: 'Profile must be a JSON object' };
+  }
+  if (data.format !== PROFILE_FORMAT) {
+    return { error: `Not a REL-MIDI profile (format "${data.format}")` };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return { error: `Missing or invalid schema version (${JSON.stringify(data.version)})` };
+  }
+  if (data.version > PROFILE_SCHEMA_VERSION) {
+    return { error: `Profile version ${data.version} is newer than supported (${PROFILE_SCHEMA_VERSION})` };
+  }
+
+  const rejected = [];
+  const profile = {};
+
+  if (data.padMap !== undefined) {
+    profile.padMap = {};
+    const seenIntervals = new Set();
+    sectionEntries(data.padMap, 'Pad map', rejected).forEach(([key, entry]) => {
+      const note = Number(key);
+      const interval = entry && entry.interval;
+      if (!isMidiNumber(note)) {
+        rejected.push(`Pad map: note "${key}" is not a MIDI note (0–127)`);
+      } else if (!intervals.includes(interval)) {
+        rejected.push(`Pad map: note ${note} has unknown interval ${JSON.stringify(interval)}`);
+      } else if (seenIntervals.has(interval)) {
+        rejected.push(`Pad map: note ${note} duplicates interval ${interval}`);
+      } else {
+        seenIntervals.add(interval);
+        profile.padMap[note] = {
+          interval,
+          label: typeof entry.label === 'string' ? entry.label : `Note ${note}`,
+        };
+      }
+    });
+  }
+
+  if (data.ccMap !== undefined) {
+    profile.ccMap = {};
+    const seenControls = new Set();
+    sectionEntries(data.ccMap, 'CC map', rejected).forEach(([key, controlId]) => {
+      const cc = Number(key);
+      if (!isMidiNumber(cc)) {
+        rejected.push(`CC map: CC "${key}" is outside 0–127`);
+      } else if (!controlIds.includes(controlId)) {
+        rejected.push(`CC map: CC ${cc} targets unknown control ${JSON.stringify(controlId)}`);
+      } else if (seenControls.has(controlId)) {
+        rejected.push(`CC map: CC ${cc} duplicates control "${controlId}"`);
+      } else {
+        seenControls.add(controlId);
+        profile.ccMap[cc] = controlId;
+      }
+    });
+  }
+
+  if (data.usePadVelocity !== undefined) {
+    if (typeof data.usePadVelocity === 'boolean') {
+      profile.usePadVelocity = data.usePadVelocity;
+    } else {
+      rejected.push(`usePadVelocity: expected true/false, got ${JSON.stringify(data.usePadVelocity)}`);
+    }
+  }
+
+  if (data.keyVelocities !== undefined) {
+    profile.keyVelocities = {};
+    sectionEntries(data.keyVelocities, 'Key velocities', rejected).forEach(([label, vel]) => {
+      const key = data.version < 2 ? legacyKeyCode(label) : label;
+      if (!isKeyCode(key)) {
+        rejected.push(`Key velocities: unknown key "${key}"`);
+      } else if (!Number.isInteger(vel) || vel < 1 || vel > 127) {
+        rejected.push(`Key velocities: ${key} velocity ${JSON.stringify(vel)} is outside 1–127`);
+      } else {
+        profile.keyVelocities[key] = vel;
+      }
+    });
+  }
+
+  if (data.customScales !== undefined) {
+    profile.customScales = [];
+    if (!Array.isArray(data.customScales)) rejected.push('Custom scales: expected a list');
+    (Array.isArray(data.customScales) ? data.customScales : []).forEach((scale, i) => {
+      const name = scale && typeof scale.name === 'string' ? scale.name.trim() : '';
+      if (!isPlainObject(scale) || typeof scale.id !== 'string' || !scale.id || !name) {
+        rejected.push(`Custom scales: entry ${i + 1} needs an id and a name`);
+      } else if (!isValidScale(scale.value)) {
+        rejected.push(`Custom scales: "${name}" has invalid intervals ${JSON.stringify(scale.value)}`);
+      } else if (profile.customScales.some(s => s.id === scale.id)) {
+        rejected.push(`Custom scales: "${name}" duplicates id "${scale.id}"`);
+      } else {
+        profile.customScales.push({
+          id: scale.id,
+          name,
+          group: typeof scale.group === 'string' && scale.group.trim() ? scale.group.trim() : undefined,
+          value: scale.value,
+        });
+      }
+    });
+  }
+
+  if (data.favoriteScales !== undefined) {
+    if (Array.isArray(data.favoriteScales) && data.favoriteScales.every(id => typeof id === 'string')) {
+      profile.favoriteScales = data.favoriteScales;
+    } else {
+      rejected.push(`favoriteScales: expected a list of scale ids, got ${JSON.stringify(data.favoriteScales)}`);
+    }
+  }
+
+  return { profile, rejected };
+}
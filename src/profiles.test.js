@@ -0,0 +1,93 @@
+import { PROFILE_FORMAT, PROFILE_SCHEMA_VERSION, serializeProfile, parseProfile } from './profiles';
+
+const OPTIONS = { intervals: [-2, -1, 1, 2], controlIds: ['cutoff', 'resonance'] };
+
+const profileText = (fields) => JSON.stringify({ format: PROFILE_FORMAT, version: PROFILE_SCHEMA_VERSION, ...fields });
+
+test('an exported profile imports unchanged', () => {
+  const state = {
+    padMap: { 36: { interval: -1, label: 'Down' }, 37: { interval: 2, label: 'Up 2' } },
+    ccMap: { 74: 'cutoff' },
+    usePadVelocity: false,
+    keyVelocities: { KeyJ: 90, Space: 64 },
+    customScales: [{ id: 'custom-1', name: 'Mine', group: 'Custom', value: [0, 3, 7, 12] }],
+    favoriteScales: ['custom-1'],
+  };
+  expect(parseProfile(serializeProfile(state), OPTIONS)).toEqual({ profile: state, rejected: [] });
+});
+
+describe('files that cannot be used', () => {
+  test.each([
+    ['{ nope', /^Not valid JSON/],
+    ['[1, 2]', 'Profile must be a JSON object'],
+    ['null', 'Profile must be a JSON object'],
+    [JSON.stringify({ format: 'other', version: 1 }), 'Not a REL-MIDI profile (format "other")'],
+    [JSON.stringify({ format: PROFILE_FORMAT }), 'Missing or invalid schema version (undefined)'],
+    [JSON.stringify({ format: PROFILE_FORMAT, version: 0 }), 'Missing or invalid schema version (0)'],
+    [JSON.stringify({ format: PROFILE_FORMAT, version: '2' }), 'Missing or invalid schema version ("2")'],
+    [JSON.stringify({ format: PROFILE_FORMAT, version: PROFILE_SCHEMA_VERSION + 1 }), /is newer than supported/],
+  ])('%s', (text, error) => {
+    const result = parseProfile(text, OPTIONS);
+    expect(Object.keys(result)).toEqual(['error']);
+    expect(result.error).toMatch(error);
+  });
+});
+
+test('missing sections are left out, not filled in', () => {
+  expect(parseProfile(profileText({}), OPTIONS)).toEqual({ profile: {}, rejected: [] });
+  expect(parseProfile(profileText({ ccMap: { 1: 'resonance' } }), OPTIONS).profile).toEqual({ ccMap: { 1: 'resonance' } });
+});
+
+test('sections of the wrong shape are rejected as a whole', () => {
+  const { profile, rejected } = parseProfile(profileText({
+    padMap: [1], ccMap: 'cutoff', keyVelocities: null, usePadVelocity: 'yes', customScales: {}, favoriteScales: [1],
+  }), OPTIONS);
+  expect(profile).toEqual({ padMap: {}, ccMap: {}, keyVelocities: {}, customScales: [] });
+  expect(rejected).toEqual([
+    'Pad map: expected an object',
+    'CC map: expected an object',
+    'usePadVelocity: expected true/false, got "yes"',
+    'Key velocities: expected an object',
+    'Custom scales: expected a list',
+    'favoriteScales: expected a list of scale ids, got [1]',
+  ]);
+});
+
+test('bad entries are dropped one by one and reported', () => {
+  const { profile, rejected } = parseProfile(profileText({
+    padMap: { 36: { interval: 1 }, 37: { interval: 1 }, 38: { interval: 7 }, 200: { interval: 2 } },
+    ccMap: { 74: 'cutoff', 75: 'cutoff', 128: 'resonance', 1: 'volume' },
+    keyVelocities: { KeyJ: 0, KeyK: 100, 'not a key': 50 },
+    customScales: [
+      { id: 'a', name: 'Ok', value: [0, 2, 12] },
+      { id: 'a', name: 'Same id', value: [0, 5, 12] },
+      { id: 'b', name: 'Bad', value: [0, 13] },
+      { name: 'No id', value: [0, 12] },
+    ],
+  }), OPTIONS);
+  expect(profile.padMap).toEqual({ 36: { interval: 1, label: 'Note 36' } });
+  expect(profile.ccMap).toEqual({ 74: 'cutoff' });
+  expect(profile.keyVelocities).toEqual({ KeyK: 100 });
+  expect(profile.customScales).toEqual([{ id: 'a', name: 'Ok', group: undefined, value: [0, 2, 12] }]);
+  expect(rejected).toEqual([
+    'Pad map: note 37 duplicates interval 1',
+    'Pad map: note 38 has unknown interval 7',
+    'Pad map: note "200" is not a MIDI note (0–127)',
+    'CC map: CC 1 targets unknown control "volume"',
+    'CC map: CC 75 duplicates control "cutoff"',
+    'CC map: CC "128" is outside 0–127',
+    'Key velocities: KeyJ velocity 0 is outside 1–127',
+    'Key velocities: unknown key "not a key"',
+    'Custom scales: "Same id" duplicates id "a"',
+    'Custom scales: "Bad" has invalid intervals [0,13]',
+    'Custom scales: entry 4 needs an id and a name',
+  ]);
+});
+
+test('v1 key velocities move from key labels to key codes', () => {
+  const { profile, rejected } = parseProfile(JSON.stringify({
+    format: PROFILE_FORMAT, version: 1, keyVelocities: { J: 80, SPACE: 70, ';': 60 },
+  }), OPTIONS);
+  expect(profile.keyVelocities).toEqual({ KeyJ: 80, Space: 70, Semicolon: 60 });
+  expect(rejected).toEqual([]);
+});
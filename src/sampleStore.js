@@ -0,0 +1,102 @@
+// Sampler sample set backed by IndexedDB — audio files are too large for
+// localStorage. The original file bytes live in AUDIO_STORE and the zone
+// settings (key range, velocity layer, loop points…) in ZONE_STORE, both
+// keyed by zone id, so editing a zone never rewrites its audio.
+
+const DB_NAME = 'rel-midi-samples';
+const DB_VERSION = 1;
+const AUDIO_STORE = 'audio';
+const ZONE_STORE = 'zones';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(AUDIO_STORE)) db.createObjectStore(AUDIO_STORE);
+        if (!db.objectStoreNames.contains(ZONE_STORE)) db.createObjectStore(ZONE_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Run `fn(stores)` in one transaction; resolves with fn's result once it commits
+const withStores = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([AUDIO_STORE, ZONE_STORE], mode);
+    const result = fn({ audio: tx.objectStore(AUDIO_STORE), zones: tx.objectStore(ZONE_STORE) });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+/** Every stored zone with its audio bytes: [{ ...zone, data: ArrayBuffer }]. */
+export async function loadSampleSet() {
+  try {
+    // Issue every read up front: a transaction closes once it has nothing pending
+    const reads = await withStores('readonly', ({ audio, zones }) => ({
+      zones: zones.getAll(),
+      ids: audio.getAllKeys(),
+      data: audio.getAll(),
+    }));
+    const audioById = new Map(reads.ids.result.map((id, i) => [id, reads.data.result[i]]));
+    return reads.zones.result
+      .filter(zone => audioById.has(zone.id))
+      .map(zone => ({ ...zone, data: audioById.get(zone.id) }));
+  } catch (err) {
+    console.warn('[SAMPLER] Could not load the sample set:', err);
+    return [];
+  }
+}
+
+/** Store a new zone and its audio bytes. Resolves true on success. */
+export async function saveSample(zone, data) {
+  try {
+    await withStores('readwrite', ({ audio, zones }) => {
+      audio.put(data, zone.id);
+      zones.put(zone);
+    });
+    return true;
+  } catch (err) {
+    console.warn(`[SAMPLER] Could not save ${zone.name}:`, err);
+    return false;
+  }
+}
+
+/** Update a zone's settings (its audio is unchanged). */
+export async function saveZone(zone) {
+  try {
+    await withStores('readwrite', ({ zones }) => { zones.put(zone); });
+    return true;
+  } catch (err) {
+    console.warn(`[SAMPLER] Could not save ${zone.name}:`, err);
+    return false;
+  }
+}
+
+export async function deleteSample(id) {
+  try {
+    await withStores('readwrite', ({ audio, zones }) => {
+      audio.delete(id);
+      zones.delete(id);
+    });
+    return true;
+  } catch (err) {
+    console.warn('[SAMPLER] Could not delete sample:', err);
+    return false;
+  }
+}
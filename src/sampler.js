@@ -0,0 +1,66 @@
+// Sampler zones — which loaded sample plays a note. Each zone maps one
+// audio file to a key range and velocity layer; notes outside every range
+// borrow the nearest zone and are pitch-shifted from its root note.
+
+const NOTE_INDEX = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+
+/**
+ * Root note from a file name such as "Piano_C#4.wav" or "cello-60.flac";
+ * middle C when the name has neither.
+ */
+export function guessRootNote(name) {
+  const base = name.replace(/\.[^.]+$/, '');
+  const named = base.match(/(?:^|[^a-z])([a-g])([#♯b♭]?)(-?\d)(?![\d])/i);
+  if (named) {
+    const accidental = named[2] === '#' || named[2] === '♯' ? 1 : named[2] ? -1 : 0;
+    const note = (Number(named[3]) + 1) * 12 + NOTE_INDEX[named[1].toLowerCase()] + accidental;
+    if (note >= 0 && note <= 127) return note;
+  }
+  const numbered = base.match(/(?:^|\D)(\d{2,3})(?!\d)/);
+  if (numbered && Number(numbered[1]) <= 127) return Number(numbered[1]);
+  return 60;
+}
+
+/** Zone settings for a newly loaded sample; `duration` is in seconds. */
+export function createZone(name, duration, overrides = {}) {
+  const root = guessRootNote(name);
+  return {
+    id: `sample-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    duration,
+    root,
+    low: root,          // key range; notes outside every range use the nearest zone
+    high: root,
+    velLow: 1,          // velocity layer
+    velHigh: 127,
+    loop: false,
+    loopStart: 0,       // seconds
+    loopEnd: duration,
+    ...overrides,
+  };
+}
+
+// Keys between `note` and the zone's range (0 inside it)
+const rangeDistance = (zone, note) => (
+  note < zone.low ? zone.low - note : note > zone.high ? note - zone.high : 0
+);
+
+/**
+ * The zone to play `note` at `velocity`: the closest key range among zones
+ * whose velocity layer matches (any zone if none does), ties going to the
+ * nearest root. Null when there are no zones.
+ */
+export function pickZone(zones, note, velocity) {
+  if (!zones.length) return null;
+  const layered = zones.filter(z => velocity >= z.velLow && velocity <= z.velHigh);
+  const candidates = layered.length ? layered : zones;
+  return candidates.reduce((best, zone) => {
+    const d = rangeDistance(zone, note) - rangeDistance(best, note);
+    if (d < 0) return zone;
+    if (d > 0) return best;
+    return Math.abs(zone.root - note) < Math.abs(best.root - note) ? zone : best;
+  });
+}
+
+/** Playback rate that shifts a sample recorded at `root` to `note`. */
+export const playbackRate = (root, note) => Math.pow(2, (note - root) / 12);
@@ -0,0 +1,51 @@
+import { guessRootNote, createZone, pickZone, playbackRate } from './sampler';
+
+test('the root note is read from the file name', () => {
+  expect(guessRootNote('Piano_C4.wav')).toBe(60);
+  expect(guessRootNote('Piano_C#4.wav')).toBe(61);
+  expect(guessRootNote('strings Eb3.flac')).toBe(51);
+  expect(guessRootNote('bass-A-1.wav')).toBe(9);
+  expect(guessRootNote('cello-48.flac')).toBe(48);
+  expect(guessRootNote('kick.wav')).toBe(60);
+  expect(guessRootNote('take-200.wav')).toBe(60);   // not a MIDI note
+});
+
+test('a new zone covers its root key, every velocity and the whole file', () => {
+  const zone = createZone('Piano_A3.wav', 2.5);
+  expect(zone).toEqual({
+    id: zone.id, name: 'Piano_A3.wav', duration: 2.5, root: 57, low: 57, high: 57,
+    velLow: 1, velHigh: 127, loop: false, loopStart: 0, loopEnd: 2.5,
+  });
+  expect(createZone('x.wav', 1, { low: 0, loop: true })).toMatchObject({ low: 0, loop: true, root: 60 });
+});
+
+describe('pickZone', () => {
+  const zone = (id, low, high, patch = {}) => ({ id, root: low, low, high, velLow: 1, velHigh: 127, ...patch });
+
+  test('picks the zone whose range holds the note, else the nearest range', () => {
+    const zones = [zone('low', 36, 47), zone('mid', 48, 59), zone('high', 72, 83)];
+    expect(pickZone(zones, 50, 100).id).toBe('mid');
+    expect(pickZone(zones, 20, 100).id).toBe('low');
+    expect(pickZone(zones, 64, 100).id).toBe('mid');    // 5 keys above mid, 8 below high
+    expect(pickZone(zones, 127, 100).id).toBe('high');
+  });
+
+  test('ties go to the nearest root', () => {
+    const zones = [zone('a', 60, 72, { root: 72 }), zone('b', 60, 72, { root: 62 })];
+    expect(pickZone(zones, 64, 100).id).toBe('b');
+  });
+
+  test('velocity layers split a range, any zone filling in when no layer matches', () => {
+    const zones = [zone('soft', 60, 72, { velHigh: 63 }), zone('loud', 60, 72, { velLow: 64, velHigh: 120 })];
+    expect(pickZone(zones, 66, 40).id).toBe('soft');
+    expect(pickZone(zones, 66, 100).id).toBe('loud');
+    expect(pickZone(zones, 66, 127)).not.toBeNull();
+    expect(pickZone([], 60, 100)).toBeNull();
+  });
+});
+
+test('the playback rate shifts a sample by equal-tempered semitones', () => {
+  expect(playbackRate(60, 72)).toBe(2);
+  expect(playbackRate(60, 48)).toBe(0.5);
+  expect(playbackRate(60, 67)).toBeCloseTo(1.4983, 4);
+});
@@ -0,0 +1,44 @@
+// Key and scale detection — matches a pitch-class histogram of recent notes
+// against every key/scale pair and ranks them by how well they fit.
+
+export const DETECT_WINDOW = 128;   // most recent notes analysed
+export const MIN_NOTES = 6;         // fewer than this is too little to go on
+
+/** How often each pitch class (C = 0) occurs in `notes`. */
+export function pitchClassHistogram(notes) {
+  const histogram = new Array(12).fill(0);
+  notes.forEach(note => { histogram[note % 12] += 1; });
+  return histogram;
+}
+
+/**
+ * Rank key/scale pairs for `histogram`. `scales` is a list in the flatScales
+ * shape; returns the best `count` as { key, scaleIndex, score } with `score`
+ * in 0–1. A scale scores by the share of notes it contains times the share of
+ * its own notes that were heard — so chromatic doesn't win by containing
+ * everything — and the tonic being prominent breaks ties between modes of
+ * the same notes.
+ */
+export function rankScales(histogram, scales, count = 5) {
+  const total = histogram.reduce((sum, n) => sum + n, 0);
+  if (!total) return [];
+  const loudest = Math.max(...histogram);
+  const ranked = [];
+  scales.forEach((scale, scaleIndex) => {
+    const degrees = scale.value.slice(0, -1);
+    for (let key = 0; key < 12; key++) {
+      let inside = 0;
+      let heard = 0;
+      degrees.forEach(d => {
+        const n = histogram[(key + d) % 12];
+        inside += n;
+        if (n > 0) heard++;
+      });
+      const tonic = histogram[key] / loudest;
+      const score = (inside / total) * (heard / degrees.length) * (0.9 + 0.1 * tonic);
+      ranked.push({ key, scaleIndex, score });
+    }
+  });
+  ranked.sort((a, b) => b.score - a.score);
+  return ranked.slice(0, count);
+}
@@ -0,0 +1,42 @@
+import { pitchClassHistogram, rankScales } from './scaleDetection';
+
+const SCALES = [
+  { name: 'Major', value: [0, 2, 4, 5, 7, 9, 11, 12] },
+  { name: 'Natural Minor', value: [0, 2, 3, 5, 7, 8, 10, 12] },
+  { name: 'Chromatic', value: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] },
+  { name: 'Major Pentatonic', value: [0, 2, 4, 7, 9, 12] },
+];
+
+const pick = ({ key, scaleIndex }) => ({ key, scaleIndex });
+
+test('the histogram counts pitch classes across octaves', () => {
+  expect(pitchClassHistogram([60, 72, 48, 61, 71])).toEqual([3, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+});
+
+test('a diatonic melody finds its key, the relative minor next', () => {
+  const ranked = rankScales(pitchClassHistogram([60, 62, 64, 65, 67, 69, 71, 72]), SCALES);
+  expect(ranked.map(pick).slice(0, 2)).toEqual([{ key: 0, scaleIndex: 0 }, { key: 9, scaleIndex: 1 }]);
+  expect(ranked[0].score).toBeCloseTo(1, 6);
+  expect(ranked[1].score).toBeLessThan(ranked[0].score);
+  // Chromatic holds every note but most of it went unheard
+  expect(ranked.some(r => r.scaleIndex === 2)).toBe(false);
+  expect(ranked).toHaveLength(5);
+});
+
+test('an ambiguous set ranks several fits evenly, none with confidence', () => {
+  const ranked = rankScales(pitchClassHistogram([60, 64, 67, 72, 76, 79]), SCALES);
+  // The pentatonic leaves fewest notes unheard
+  expect(pick(ranked[0])).toEqual({ key: 0, scaleIndex: 3 });
+  expect(ranked[0].score).toBeLessThan(0.7);
+  // C and G major and E minor hold the triad, each on a heard tonic
+  expect(ranked.slice(1, 4).map(pick)).toEqual(expect.arrayContaining([
+    { key: 0, scaleIndex: 0 }, { key: 7, scaleIndex: 0 }, { key: 4, scaleIndex: 1 },
+  ]));
+  ranked.slice(2, 4).forEach(r => expect(r.score).toBeCloseTo(ranked[1].score, 6));
+  expect(rankScales(pitchClassHistogram([60, 64, 67]), SCALES, 2)).toHaveLength(2);
+});
+
+test('an empty history ranks nothing', () => {
+  expect(pitchClassHistogram([])).toEqual(new Array(12).fill(0));
+  expect(rankScales(pitchClassHistogram([]), SCALES)).toEqual([]);
+});
@@ -100,6 +100,7 @@ const flatScales = [];
 for (const group of scaleGroups) {
     for (const [name, intervals] of Object.entries(group.scales)) {
         flatScales.push({
+            id: name,
             label: name.charAt(0).toUpperCase() + name.slice(1),
             value: intervals,
             group: group.group,
@@ -107,5 +108,28 @@ for (const group of scaleGroups) {
     }
 }
 
+// User scales: { id, name, group, value } with `value` in the same form as
+// above. They follow the built-ins, so built-in indices never move.
+export const CUSTOM_GROUP = 'Custom';
+
+/** Built-in scales followed by the user's, in the flatScales shape. */
+export function buildScaleList(customScales) {
+    return [
+        ...flatScales,
+        ...customScales.map(s => ({ id: s.id, label: s.name, value: s.value, group: s.group || CUSTOM_GROUP, custom: true })),
+    ];
+}
+
+/** Sorted pitch classes (0 always included) as a scale ending in 12. */
+export function pitchClassesToScale(pitchClasses) {
+    return [...Array.from(new Set([0, ...pitchClasses])).filter(pc => pc >= 0 && pc < 12).sort((a, b) => a - b), 12];
+}
+
+/** True for a valid scale: starts at 0, rises strictly below 12 and ends with 12. */
+export function isValidScale(value) {
+    return Array.isArray(value) && value.length >= 2 && value[0] === 0 && value[value.length - 1] === 12
+        && value.every((v, i) => Number.isInteger(v) && (i === 0 || v > value[i - 1]));
+}
+
 export { scaleGroups };
 export default flatScales;
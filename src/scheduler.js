@@ -0,0 +1,51 @@
+// Look-ahead scheduler — the one clock every playback engine (file player,
+// looper, clock master, arpeggiator…) runs on. A coarse timer asks each
+// engine to queue the events falling inside the next LOOKAHEAD_MS; each
+// event carries an exact performance.now() time, which MIDI output passes to
+// output.send(data, timestamp) and the synth converts to
+// audioContext.currentTime. Timer jitter then only shifts when events are
+// queued, never when they sound.
+
+export const LOOKAHEAD_MS = 100;   // how far ahead events are queued
+const INTERVAL_MS = 25;            // how often engines are asked to fill the window
+
+export function createScheduler() {
+  const engines = new Set();
+  let timer = null;
+
+  const fill = () => {
+    const horizon = performance.now() + LOOKAHEAD_MS;
+    engines.forEach(fn => fn(horizon));
+  };
+
+  return {
+    /**
+     * Run `fill(horizon)` now and every INTERVAL_MS until the returned
+     * function is called. `fill` queues everything due before `horizon`
+     * (a performance.now() time) with its exact timestamp.
+     */
+    add(fillWindow) {
+      engines.add(fillWindow);
+      fillWindow(performance.now() + LOOKAHEAD_MS);
+      if (!timer) timer = setInterval(fill, INTERVAL_MS);
+      return () => {
+        engines.delete(fillWindow);
+        if (!engines.size && timer) {
+          clearInterval(timer);
+          timer = null;
+        }
+      };
+    },
+    /**
+     * Call `fn` at about performance.now() time `time` — for work that has no
+     * timestamp of its own, like UI updates for notes already scheduled.
+     * It can't be taken back: engines that stop or jump drop their stale
+     * calls with a generation count checked in `fn`.
+     */
+    defer(time, fn) {
+      const delay = time - performance.now();
+      if (delay <= 0) fn();
+      else setTimeout(fn, delay);
+    },
+  };
+}
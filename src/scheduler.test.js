@@ -0,0 +1,45 @@
+import { createScheduler, LOOKAHEAD_MS } from './scheduler';
+
+let now;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  now = 1000;
+  jest.spyOn(performance, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+const tick = (ms) => {
+  for (let i = 0; i < ms; i++) {
+    now++;
+    jest.advanceTimersByTime(1);
+  }
+};
+
+test('engines fill the look-ahead window at once and then on every tick, until removed', () => {
+  const scheduler = createScheduler();
+  const horizons = [];
+  const remove = scheduler.add(horizon => horizons.push(horizon));
+  expect(horizons).toEqual([1000 + LOOKAHEAD_MS]);
+  tick(50);
+  expect(horizons).toEqual([1100, 1125, 1150]);
+  remove();
+  tick(100);
+  expect(horizons).toHaveLength(3);
+});
+
+test('defer runs due work at once and later work at its time', () => {
+  const scheduler = createScheduler();
+  const ran = [];
+  scheduler.defer(900, () => ran.push('past'));
+  scheduler.defer(1050, () => ran.push('later'));
+  expect(ran).toEqual(['past']);
+  tick(49);
+  expect(ran).toEqual(['past']);
+  tick(1);
+  expect(ran).toEqual(['past', 'later']);
+});
@@ -0,0 +1,12 @@
+// jsdom leaves out these browser APIs; the components only need them to exist.
+if (!window.ResizeObserver) {
+  window.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+}
+if (!Element.prototype.scrollTo) Element.prototype.scrollTo = () => {};
+
+// Tests render through act()
+global.IS_REACT_ACT_ENVIRONMENT = true;
@@ -0,0 +1,150 @@
+// Step sequencer of relative intervals — each step holds a move, like a key
+// or pad does, rather than a pitch. Every pass starts from the note the
+// player is on, so the same pattern plays from any starting note and follows
+// the current scale and key.
+
+import { ARP_RATES } from './arpeggiator';
+
+export const MAX_STEPS = 32;
+
+export const DEFAULT_STEP = {
+  interval: 0,       // scale steps or semitones, per the pattern's mode
+  velocity: 100,
+  gate: 0.5,         // fraction of the step the note sounds
+  probability: 100,  // percent chance the step plays
+  rest: false,
+};
+
+export const DEFAULT_SEQUENCE = {
+  mode: 'scale',          // 'scale' (steps through the current scale) | 'semitone'
+  relativeTo: 'start',    // 'start' (the note the pass began on) | 'previous' (the last step)
+  rate: 4,                // index into ARP_RATES
+  steps: [0, 2, 4, 2, 7, 4, 2, 0].map(interval => ({ ...DEFAULT_STEP, interval })),
+};
+
+/**
+ * `getPattern()`, `getBpm()` and `getRoot()` are read as the steps come due:
+ * edits apply on the next step and the root is taken afresh at the start of
+ * every pass. `resolve(from, interval, mode)` turns a move into a note;
+ * `onNoteOn(id, note, velocity, time)` / `onNoteOff(id, note, time)` sound it
+ * at performance.now() `time`. `random()` (0–1) rolls each step's
+ * probability. `subscribe(fn)` reports { running, step }.
+ */
+export function createStepSequencer({ scheduler, getBpm, getPattern, getRoot, resolve, onNoteOn, onNoteOff, random = Math.random }) {
+  let stopScheduling = null;
+  let stepIndex = 0;
+  let nextStepAt = 0;
+  let root = 0;
+  let previous = 0;
+  let nextId = 1;
+  let current = -1;           // step shown as playing
+  let generation = 0;         // bumped on start/stop so stale step displays are dropped
+  const sounding = new Map(); // id → { note, onAt, offAt }
+  const listeners = new Set();
+
+  const snapshot = () => ({ running: stopScheduling !== null, step: current });
+  const notify = () => {
+    const snap = snapshot();
+    listeners.forEach(fn => fn(snap));
+  };
+
+  const stepMs = (pattern) => ARP_RATES[pattern.rate].beats * 60000 / Math.max(1, getBpm());
+
+  const playStep = (time) => {
+    const pattern = getPattern();
+    const index = stepIndex % pattern.steps.length;
+    stepIndex++;
+    if (index === 0) {
+      root = getRoot();
+      previous = root;
+    }
+    const shownFor = generation;
+    scheduler.defer(time, () => {
+      if (shownFor !== generation) return;
+      current = index;
+      notify();
+    });
+
+    const step = pattern.steps[index];
+    if (step.rest) return;
+    const note = resolve(pattern.relativeTo === 'previous' ? previous : root, step.interval, pattern.mode);
+    // A step skipped by chance still moves the melody, so its shape holds
+    previous = note;
+    if (random() * 100 >= step.probability) return;
+    const id = `seq-${nextId++}`;
+    sounding.set(id, { note, onAt: time, offAt: time + Math.max(5, stepMs(pattern) * step.gate) });
+    onNoteOn(id, note, step.velocity, time);
+  };
+
+  const releaseDue = (horizon) => {
+    sounding.forEach((v, id) => {
+      if (v.offAt >= horizon) return;
+      sounding.delete(id);
+      onNoteOff(id, v.note, v.offAt);
+    });
+  };
+
+  const fillWindow = (horizon) => {
+    releaseDue(horizon);
+    while (nextStepAt < horizon) {
+      playStep(nextStepAt);
+      releaseDue(horizon);
+      nextStepAt += stepMs(getPattern());
+    }
+  };
+
+  // Stop and release what is sounding — never before a queued note-on
+  const halt = () => {
+    if (!stopScheduling) return;
+    stopScheduling();
+    stopScheduling = null;
+    generation++;
+    const now = performance.now();
+    sounding.forEach((v, id) => onNoteOff(id, v.note, Math.max(now, v.onAt)));
+    sounding.clear();
+    current = -1;
+    notify();
+  };
+
+  return {
+    /** Start from the first step, rooted on the current note. */
+    start() {
+      if (stopScheduling) return;
+      stepIndex = 0;
+      generation++;
+      nextStepAt = performance.now();
+      stopScheduling = scheduler.add(fillWindow);
+      notify();
+    },
+    stop() {
+      halt();
+    },
+    /**
+     * Move a running sequencer to `beats` into the song, as on a Song Position
+     * Pointer: the step due there plays on time, rooted on the current note.
+     */
+    locate(beats) {
+      if (!stopScheduling) return;
+      const pattern = getPattern();
+      const stepBeats = ARP_RATES[pattern.rate].beats;
+      const now = performance.now();
+      sounding.forEach((v, id) => onNoteOff(id, v.note, Math.max(now, v.onAt)));
+      sounding.clear();
+      generation++;
+      stepIndex = Math.ceil(Math.max(0, beats) / stepBeats - 1e-6);
+      nextStepAt = now + (stepIndex * stepBeats - beats) * 60000 / Math.max(1, getBpm());
+      root = getRoot();
+      previous = root;
+    },
+    isRunning: () => stopScheduling !== null,
+    subscribe(fn) {
+      listeners.add(fn);
+      fn(snapshot());
+      return () => listeners.delete(fn);
+    },
+    dispose() {
+      halt();
+      listeners.clear();
+    },
+  };
+}
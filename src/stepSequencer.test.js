@@ -0,0 +1,117 @@
+import { DEFAULT_SEQUENCE, DEFAULT_STEP, createStepSequencer } from './stepSequencer';
+
+// 120 BPM at 1/16: a step every 125 ms. The scheduler is driven by hand, a
+// fill every 25 ms looking 100 ms ahead, deferred work run when it comes due.
+let now;
+let fills;
+let deferred;
+let played;
+let pattern;
+let root;
+let rolls;
+let sequencer;
+
+const advance = (to) => {
+  while (now < to) {
+    now = Math.min(to, now + 25);
+    const at = now;
+    fills.forEach(fill => fill(at + 100));
+    const due = deferred.filter(d => d.time <= at);
+    deferred = deferred.filter(d => d.time > at);
+    due.forEach(d => d.fn());
+  }
+};
+
+const steps = (...intervals) => intervals.map(interval => (
+  typeof interval === 'object' ? { ...DEFAULT_STEP, ...interval } : { ...DEFAULT_STEP, interval }
+));
+const notes = () => played.filter(p => p[0] === 'on').map(p => p[1]);
+
+beforeEach(() => {
+  now = 0;
+  fills = new Set();
+  deferred = [];
+  played = [];
+  root = 60;
+  rolls = [];
+  pattern = { ...DEFAULT_SEQUENCE, mode: 'semitone' };
+  jest.spyOn(performance, 'now').mockImplementation(() => now);
+  sequencer = createStepSequencer({
+    scheduler: {
+      add: (fill) => { fills.add(fill); fill(now + 100); return () => fills.delete(fill); },
+      defer: (time, fn) => deferred.push({ time, fn }),
+    },
+    getBpm: () => 120,
+    getPattern: () => pattern,
+    getRoot: () => root,
+    resolve: (from, interval) => from + interval,
+    onNoteOn: (id, note, velocity, time) => played.push(['on', note, time]),
+    onNoteOff: (id, note, time) => played.push(['off', note, time]),
+    random: () => (rolls.length ? rolls.shift() : 0),
+  });
+});
+
+afterEach(() => {
+  sequencer.dispose();
+  jest.restoreAllMocks();
+});
+
+test('steps move from the note each pass starts on', () => {
+  pattern = { ...pattern, steps: steps(0, 2, 4) };
+  sequencer.start();
+  advance(200);
+  root = 65;    // taken at the start of the next pass
+  advance(650);
+  expect(notes()).toEqual([60, 62, 64, 65, 67, 69]);
+  expect(played.slice(0, 2)).toEqual([['on', 60, 0], ['off', 60, 62.5]]);
+});
+
+test('steps relative to the previous one walk a melody, restarting each pass', () => {
+  pattern = { ...pattern, relativeTo: 'previous', steps: steps(0, 2, -1) };
+  sequencer.start();
+  advance(650);
+  expect(notes()).toEqual([60, 62, 61, 60, 62, 61]);
+});
+
+test('probability skips steps on the roll, and a skipped step still moves the melody', () => {
+  pattern = { ...pattern, relativeTo: 'previous', steps: steps(0, { interval: 2, probability: 50 }, { interval: 2, probability: 50 }, 2) };
+  rolls = [0, 0.2, 0.5, 0];   // 20 plays, 50 doesn't
+  sequencer.start();
+  advance(400);
+  expect(notes()).toEqual([60, 62, 66]);
+});
+
+test('rests sound nothing and leave the melody where it was', () => {
+  pattern = { ...pattern, relativeTo: 'previous', steps: steps(0, { interval: 5, rest: true }, 2) };
+  const shown = [];
+  sequencer.subscribe(s => shown.push(s.step));
+  sequencer.start();
+  advance(250);
+  expect(notes()).toEqual([60, 62]);
+  expect(shown.filter(step => step >= 0)).toEqual([0, 1, 2]);
+});
+
+test('locate jumps to the step due at a song position', () => {
+  pattern = { ...pattern, steps: steps(0, 1, 2, 3, 4, 5, 6, 7) };
+  sequencer.start();
+  advance(30);
+  played = [];
+  root = 48;
+  // 1.3 beats in: the next 1/16 is step 6, 0.2 beats (100 ms) away
+  sequencer.locate(1.3);
+  advance(250);
+  // The queued step at 125 is released, never before it sounds
+  expect(played[0]).toEqual(['off', 61, 125]);
+  expect(played.filter(p => p[0] === 'on')).toEqual([['on', 54, 130], ['on', 55, 255]]);
+});
+
+test('stopping drops the step display still queued', () => {
+  pattern = { ...pattern, steps: steps(0, 1) };
+  const shown = [];
+  sequencer.subscribe(s => shown.push(s));
+  sequencer.start();
+  sequencer.stop();
+  advance(100);
+  expect(shown[shown.length - 1]).toEqual({ running: false, step: -1 });
+  expect(shown.some(s => s.step === 0)).toBe(false);
+});
@@ -0,0 +1,75 @@
+// Synth controls that can be mapped to MIDI CC knobs/faders. Ranged controls
+// scale 0–127 onto min…max, toggles switch at the halfway point and controls
+// with `options` split the CC range evenly between them.
+
+import { DELAY_DIVISIONS } from './synthEffects';
+import { WAVEFORMS, FILTER_TYPES, LFO_TARGETS } from './synthVoice';
+
+export const SYNTH_CONTROLS = [
+  { id: 'filterType',   label: 'Filter Type',      options: FILTER_TYPES.map(t => t.value) },
+  { id: 'cutoff',       label: 'Filter Cutoff',  min: 20,  max: 20000, step: 10 },
+  { id: 'resonance',    label: 'Resonance',       min: 0,   max: 20,    step: 0.1 },
+  { id: 'filterEnvAmount', label: 'Filter Env Amount', min: -4, max: 4, step: 0.1 },
+  { id: 'filterAttack', label: 'Filter Attack',    min: 0,   max: 2,     step: 0.01 },
+  { id: 'filterDecay',  label: 'Filter Decay',     min: 0,   max: 2,     step: 0.01 },
+  { id: 'filterSustain', label: 'Filter Sustain',  min: 0,   max: 1,     step: 0.01 },
+  { id: 'filterRelease', label: 'Filter Release',  min: 0,   max: 5,     step: 0.01 },
+  { id: 'osc2Wave',     label: 'Osc 2 Wave',       options: WAVEFORMS },
+  { id: 'osc2Octave',   label: 'Osc 2 Octave',     min: -2,  max: 2,     step: 1 },
+  { id: 'osc2Detune',   label: 'Osc 2 Detune',     min: -100, max: 100,  step: 1 },
+  { id: 'osc2Mix',      label: 'Osc Mix',          min: 0,   max: 1,     step: 0.01 },
+  { id: 'noiseLevel',   label: 'Noise',            min: 0,   max: 1,     step: 0.01 },
+  { id: 'lfo1Target',   label: 'LFO 1 Target',     options: LFO_TARGETS.map(t => t.value) },
+  { id: 'lfo1Wave',     label: 'LFO 1 Shape',      options: WAVEFORMS },
+  { id: 'lfo1Rate',     label: 'LFO 1 Rate',       min: 0.05, max: 20,   step: 0.05 },
+  { id: 'lfo1Depth',    label: 'LFO 1 Depth',      min: 0,   max: 1,     step: 0.01 },
+  { id: 'lfo2Target',   label: 'LFO 2 Target',     options: LFO_TARGETS.map(t => t.value) },
+  { id: 'lfo2Wave',     label: 'LFO 2 Shape',      options: WAVEFORMS },
+  { id: 'lfo2Rate',     label: 'LFO 2 Rate',       min: 0.05, max: 20,   step: 0.05 },
+  { id: 'lfo2Depth',    label: 'LFO 2 Depth',      min: 0,   max: 1,     step: 0.01 },
+  { id: 'attack',       label: 'Attack',          min: 0,   max: 2,     step: 0.01 },
+  { id: 'decay',        label: 'Decay',            min: 0,   max: 2,     step: 0.01 },
+  { id: 'sustain',      label: 'Sustain',          min: 0,   max: 1,     step: 0.01 },
+  { id: 'release',      label: 'Release',          min: 0,   max: 5,     step: 0.01 },
+  { id: 'masterVolume', label: 'Master Volume',    min: 0,   max: 1,     step: 0.01 },
+  { id: 'bendRange',    label: 'Bend Range',       min: 0,   max: 24,    step: 1 },
+  { id: 'vibratoRate',  label: 'Vibrato Rate',     min: 0.5, max: 12,    step: 0.1 },
+  { id: 'vibratoDepth', label: 'Vibrato Depth',    min: 0,   max: 200,   step: 1 },
+  { id: 'aftertouchDepth', label: 'Aftertouch Amount', min: 0, max: 1,   step: 0.01 },
+  { id: 'glide',        label: 'Glide',            min: 0,   max: 2,     step: 0.01 },
+  { id: 'unisonDetune', label: 'Unison Detune',    min: 0,   max: 100,   step: 1 },
+  { id: 'unisonSpread', label: 'Unison Spread',    min: 0,   max: 1,     step: 0.01 },
+  { id: 'chorusEnabled', label: 'Chorus On/Off',   toggle: true },
+  { id: 'chorusRate',   label: 'Chorus Rate',      min: 0.05, max: 5,    step: 0.05 },
+  { id: 'chorusDepth',  label: 'Chorus Depth',     min: 0,   max: 10,    step: 0.1 },
+  { id: 'chorusMix',    label: 'Chorus Mix',       min: 0,   max: 1,     step: 0.01 },
+  { id: 'delayEnabled', label: 'Delay On/Off',     toggle: true },
+  { id: 'delayDivision', label: 'Delay Time',      min: 0,   max: DELAY_DIVISIONS.length - 1, step: 1 },
+  { id: 'delayFeedback', label: 'Delay Feedback',  min: 0,   max: 0.95,  step: 0.01 },
+  { id: 'delayMix',     label: 'Delay Mix',        min: 0,   max: 1,     step: 0.01 },
+  { id: 'reverbEnabled', label: 'Reverb On/Off',   toggle: true },
+  { id: 'reverbSize',   label: 'Reverb Size',      min: 0.1, max: 6,     step: 0.1 },
+  { id: 'reverbDecay',  label: 'Reverb Decay',     min: 0.5, max: 8,     step: 0.1 },
+  { id: 'reverbMix',    label: 'Reverb Mix',       min: 0,   max: 1,     step: 0.01 },
+  { id: 'compressorEnabled', label: 'Compressor On/Off', toggle: true },
+  { id: 'compThreshold', label: 'Comp Threshold',  min: -60, max: 0,     step: 1 },
+  { id: 'compRatio',    label: 'Comp Ratio',       min: 1,   max: 20,    step: 0.5 },
+  { id: 'compKnee',     label: 'Comp Knee',        min: 0,   max: 40,    step: 1 },
+  { id: 'compAttack',   label: 'Comp Attack',      min: 0,   max: 0.2,   step: 0.001 },
+  { id: 'compRelease',  label: 'Comp Release',     min: 0.01, max: 1,    step: 0.01 },
+  { id: 'compMakeup',   label: 'Comp Makeup',      min: 0,   max: 24,    step: 0.5 },
+  { id: 'scaleKey',     label: 'Scale Key',        min: 0,   max: 11,    step: 1 },
+  { id: 'scaleIndex',   label: 'Scale',            min: 0,   max: 199,   step: 1 }, // max clamped in handler
+];
+
+/** The setting a CC `value` (0–127) gives `control`. */
+export function controlValue(control, value) {
+  if (control.toggle) return value >= 64;
+  if (control.options) {
+    return control.options[Math.min(control.options.length - 1, Math.floor(value * control.options.length / 128))];
+  }
+  const scaled = control.min + (value / 127) * (control.max - control.min);
+  // Round to step precision
+  const rounded = Math.round(scaled / control.step) * control.step;
+  return Math.max(control.min, Math.min(control.max, rounded));
+}
@@ -0,0 +1,33 @@
+import { SYNTH_CONTROLS, controlValue } from './synthControls';
+import { DEFAULT_SYNTH_SETTINGS } from './SynthEngine';
+
+const control = (id) => SYNTH_CONTROLS.find(c => c.id === id);
+
+test('ranged controls scale the CC onto their range in steps', () => {
+  expect(controlValue(control('osc2Octave'), 0)).toBe(-2);
+  expect(controlValue(control('osc2Octave'), 64)).toBe(0);
+  expect(controlValue(control('osc2Octave'), 127)).toBe(2);
+  expect(controlValue(control('cutoff'), 127)).toBe(20000);
+  expect(controlValue(control('delayDivision'), 0)).toBe(0);
+});
+
+test('toggles switch at the halfway point', () => {
+  expect(controlValue(control('chorusEnabled'), 63)).toBe(false);
+  expect(controlValue(control('chorusEnabled'), 64)).toBe(true);
+});
+
+test('choice controls split the CC range evenly between their options', () => {
+  const filterType = control('filterType');
+  expect(filterType.options).toEqual(['lowpass', 'highpass', 'bandpass', 'notch']);
+  expect([0, 31, 32, 63, 64, 95, 96, 127].map(v => controlValue(filterType, v))).toEqual([
+    'lowpass', 'lowpass', 'highpass', 'highpass', 'bandpass', 'bandpass', 'notch', 'notch',
+  ]);
+  expect(controlValue(control('lfo2Target'), 127)).toBe('amp');
+  expect(controlValue(control('osc2Wave'), 70)).toBe('sawtooth');
+});
+
+test('every choice setting can be reached from a knob', () => {
+  ['filterType', 'osc2Wave', 'lfo1Target', 'lfo1Wave', 'lfo2Target', 'lfo2Wave'].forEach(id => {
+    expect(control(id).options).toContain(DEFAULT_SYNTH_SETTINGS[id]);
+  });
+});
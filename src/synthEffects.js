@@ -0,0 +1,192 @@
+// Effects rack — an ordered chain of bypassable effects between the synth
+// bus and the master gain. Like the voices, everything takes the
+// AudioContext explicitly so the rack can be rebuilt for offline rendering.
+//
+// rack:   input → [chorus, delay, reverb, compressor in settings.effectsOrder] → output
+// effect: input ┬→ dry ──────────┬→ output
+//               └→ (wet path) → wet ┘
+
+export const EFFECT_IDS = ['chorus', 'delay', 'reverb', 'compressor'];
+
+/** Tempo-synced delay times, in beats. Settings store the index. */
+export const DELAY_DIVISIONS = [
+  { label: '1/1', beats: 4 },
+  { label: '1/2', beats: 2 },
+  { label: '1/4.', beats: 1.5 },
+  { label: '1/4', beats: 1 },
+  { label: '1/4T', beats: 2 / 3 },
+  { label: '1/8.', beats: 0.75 },
+  { label: '1/8', beats: 0.5 },
+  { label: '1/8T', beats: 1 / 3 },
+  { label: '1/16', beats: 0.25 },
+];
+
+const MAX_DELAY_SECONDS = 12;       // a whole note at 20 BPM
+const CHORUS_BASE_DELAY = 0.015;    // seconds; the chorus lines sweep around this
+const DELAY_DAMPING = 4000;         // Hz; each echo loses some top end
+
+// Equal-power dry/wet crossfade for `mix` 0…1
+const setMix = (effect, mix, at) => {
+  effect.dry.gain.setTargetAtTime(Math.cos(mix * Math.PI / 2), at, 0.02);
+  effect.wet.gain.setTargetAtTime(Math.sin(mix * Math.PI / 2), at, 0.02);
+};
+
+const createMixer = (ctx) => {
+  const input = ctx.createGain();
+  const output = ctx.createGain();
+  const dry = ctx.createGain();
+  const wet = ctx.createGain();
+  wet.gain.value = 0;
+  input.connect(dry);
+  dry.connect(output);
+  wet.connect(output);
+  return { input, output, dry, wet };
+};
+
+// Two delay lines swept in opposite directions by one LFO, panned apart
+const createChorus = (ctx) => {
+  const effect = createMixer(ctx);
+  const lfo = ctx.createOscillator();
+  const depth = ctx.createGain();
+  const inverted = ctx.createGain();
+  inverted.gain.value = -1;
+  lfo.connect(depth);
+  depth.connect(inverted);
+  const lines = [-1, 1].map((pan, i) => {
+    const delay = ctx.createDelay(0.1);
+    delay.delayTime.value = CHORUS_BASE_DELAY;
+    // Without stereo panning both lines share the centre at half level
+    let panner;
+    if (ctx.createStereoPanner) {
+      panner = ctx.createStereoPanner();
+      panner.pan.value = pan;
+    } else {
+      panner = ctx.createGain();
+      panner.gain.value = 0.5;
+    }
+    effect.input.connect(delay);
+    delay.connect(panner);
+    panner.connect(effect.wet);
+    (i === 0 ? depth : inverted).connect(delay.delayTime);
+    return delay;
+  });
+  lfo.start();
+  return { ...effect, lfo, depth, lines };
+};
+
+// Feedback delay with a low-pass in the loop
+const createDelay = (ctx) => {
+  const effect = createMixer(ctx);
+  const delay = ctx.createDelay(MAX_DELAY_SECONDS);
+  const feedback = ctx.createGain();
+  const damping = ctx.createBiquadFilter();
+  damping.type = 'lowpass';
+  damping.frequency.value = DELAY_DAMPING;
+  effect.input.connect(delay);
+  delay.connect(damping);
+  damping.connect(feedback);
+  feedback.connect(delay);
+  damping.connect(effect.wet);
+  return { ...effect, delay, feedback };
+};
+
+const createReverb = (ctx) => {
+  const effect = createMixer(ctx);
+  const convolver = ctx.createConvolver();
+  effect.input.connect(convolver);
+  convolver.connect(effect.wet);
+  return { ...effect, convolver, impulseKey: null };
+};
+
+/**
+ * Stereo impulse response: decorrelated noise under a power-curve decay.
+ * `size` is the tail length in seconds; higher `decay` dies away faster.
+ */
+export function generateImpulse(ctx, size, decay) {
+  const length = Math.max(1, Math.round(ctx.sampleRate * size));
+  const buffer = ctx.createBuffer(2, length, ctx.sampleRate);
+  for (let ch = 0; ch < 2; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let i = 0; i < length; i++) {
+      data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+    }
+  }
+  return buffer;
+}
+
+// A compressor has no dry path: bypass removes it from the chain instead
+const createCompressor = (ctx) => {
+  const compressor = ctx.createDynamicsCompressor();
+  const makeup = ctx.createGain();
+  compressor.connect(makeup);
+  return { input: compressor, output: makeup, compressor, makeup };
+};
+
+export function createEffectsRack(ctx) {
+  return {
+    ctx,
+    input: ctx.createGain(),
+    output: ctx.createGain(),
+    effects: {
+      chorus: createChorus(ctx),
+      delay: createDelay(ctx),
+      reverb: createReverb(ctx),
+      compressor: createCompressor(ctx),
+    },
+    chainKey: null,
+  };
+}
+
+/** Effect ids in processing order, keeping any missing from `order` at the end. */
+export function effectsOrder(order) {
+  const known = (order || []).filter(id => EFFECT_IDS.includes(id));
+  return [...new Set([...known, ...EFFECT_IDS])];
+}
+
+const enabledKey = (id) => `${id}Enabled`;
+
+// Rewire input → enabled effects → output when the order or bypasses change
+const connectChain = (rack, settings) => {
+  const chain = effectsOrder(settings.effectsOrder).filter(id => settings[enabledKey(id)]);
+  const key = chain.join('>');
+  if (key === rack.chainKey) return;
+  rack.chainKey = key;
+  rack.input.disconnect();
+  EFFECT_IDS.forEach(id => rack.effects[id].output.disconnect());
+  const last = chain.reduce((prev, id) => {
+    prev.connect(rack.effects[id].input);
+    return rack.effects[id].output;
+  }, rack.input);
+  last.connect(rack.output);
+};
+
+/** Apply the effect settings; `bpm` sets the synced delay time. */
+export function updateEffectsRack(rack, settings, bpm, at) {
+  connectChain(rack, settings);
+  const { chorus, delay, reverb, compressor } = rack.effects;
+
+  chorus.lfo.frequency.setTargetAtTime(settings.chorusRate, at, 0.02);
+  chorus.depth.gain.setTargetAtTime(settings.chorusDepth / 1000, at, 0.02);
+  setMix(chorus, settings.chorusMix, at);
+
+  const division = DELAY_DIVISIONS[settings.delayDivision] || DELAY_DIVISIONS[0];
+  const seconds = Math.min(MAX_DELAY_SECONDS, (60 / bpm) * division.beats);
+  delay.delay.delayTime.setTargetAtTime(seconds, at, 0.05);
+  delay.feedback.gain.setTargetAtTime(settings.delayFeedback, at, 0.02);
+  setMix(delay, settings.delayMix, at);
+
+  // Only regenerate the impulse when its shape changed
+  const impulseKey = `${settings.reverbSize}/${settings.reverbDecay}`;
+  if (reverb.impulseKey !== impulseKey) {
+    reverb.impulseKey = impulseKey;
+    reverb.convolver.buffer = generateImpulse(rack.ctx, settings.reverbSize, settings.reverbDecay);
+  }
+  setMix(reverb, settings.reverbMix, at);
+
+  compressor.compressor.threshold.setTargetAtTime(settings.compThreshold, at, 0.02);
+  compressor.compressor.ratio.setTargetAtTime(settings.compRatio, at, 0.02);
+  compressor.compressor.knee.setTargetAtTime(settings.compKnee, at, 0.02);
+  compressor.compressor.attack.setTargetAtTime(settings.compAttack, at, 0.02);
+  compressor.compressor.release.setTargetAtTime(settings.compRelease, at, 0.02);
+  compressor.makeup.gain.setTargetAtTime(Math.pow(10, settings.compMakeup / 20), at, 0.02);
+}
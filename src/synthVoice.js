@@ -0,0 +1,359 @@
+// Synth voice graph — builds and drives the Web Audio nodes for one note.
+// Everything takes the AudioContext and settings explicitly so the same
+// voices can play live or be rendered offline.
+//
+// voice:  [osc 1 + osc 2 | sample] × unison → panner ┐
+//         noise ──────────────────────────────────────┴→ filter → amp → pressure → bus
+// bus:    input → tremolo 1 → tremolo 2 → expression → output
+
+import { playbackRate } from './sampler';
+
+const LFO_PITCH_CENTS = 200;     // full LFO depth on pitch: ±2 semitones
+const LFO_CUTOFF_CENTS = 2400;   // full LFO depth on cutoff: ±2 octaves
+const AFTERTOUCH_OCTAVES = 3;    // full aftertouch on cutoff
+
+export const WAVEFORMS = ['sine', 'square', 'sawtooth', 'triangle'];
+
+export const FILTER_TYPES = [
+  { value: 'lowpass', label: 'Low-pass' },
+  { value: 'highpass', label: 'High-pass' },
+  { value: 'bandpass', label: 'Band-pass' },
+  { value: 'notch', label: 'Notch' },
+];
+
+export const LFO_TARGETS = [
+  { value: 'off', label: 'Off' },
+  { value: 'pitch', label: 'Pitch' },
+  { value: 'cutoff', label: 'Cutoff' },
+  { value: 'amp', label: 'Amplitude' },
+];
+
+export const noteFrequency = (note) => 440 * Math.pow(2, (note - 69) / 12);
+
+// Frequency of `note` in a tuning table (see tuning.js), or 12-TET without one
+const tunedFrequency = (note, frequencies) => (frequencies && frequencies[note]) || noteFrequency(note);
+
+const clampFrequency = (f) => Math.max(20, Math.min(20000, f));
+
+const noiseBuffers = new WeakMap();
+
+// Two seconds of white noise per context, shared by every voice
+const noiseBuffer = (ctx) => {
+  if (!noiseBuffers.has(ctx)) {
+    const buffer = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    noiseBuffers.set(ctx, buffer);
+  }
+  return noiseBuffers.get(ctx);
+};
+
+// Freeze a param at its value at `at`, dropping later automation
+const holdAt = (param, at) => {
+  if (param.cancelAndHoldAtTime) {
+    param.cancelAndHoldAtTime(at);
+  } else {
+    param.cancelScheduledValues(at);
+    param.setValueAtTime(param.value, at);
+  }
+};
+
+const lastTargets = new WeakMap();   // AudioParam → value last set by follow()
+
+// Glide a param to `value` only when it changed, so frequent refreshes don't
+// pile up automation; `immediate` jumps there (for voices not yet sounding)
+const follow = (param, value, at, { timeConstant = 0.01, immediate = false } = {}) => {
+  if (lastTargets.get(param) === value) return;
+  lastTargets.set(param, value);
+  if (immediate) param.setValueAtTime(value, at);
+  else param.setTargetAtTime(value, at, timeConstant);
+};
+
+/**
+ * Shared modulation and output stage: mod-wheel vibrato, two LFOs and the
+ * tremolo/expression gains voices play into.
+ */
+export function createSynthBus(ctx) {
+  const input = ctx.createGain();
+  const tremolo = [ctx.createGain(), ctx.createGain()];
+  const expression = ctx.createGain();   // channel aftertouch volume swell
+  input.connect(tremolo[0]);
+  tremolo[0].connect(tremolo[1]);
+  tremolo[1].connect(expression);
+
+  const makeLfo = () => {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+    osc.connect(gain);
+    osc.start();
+    return { osc, gain, ampLinked: false };
+  };
+
+  return {
+    input,
+    output: expression,
+    expression,
+    tremolo,
+    vibrato: makeLfo(),   // depth in cents, set by the mod wheel
+    lfos: [makeLfo(), makeLfo()],
+  };
+}
+
+/** Apply LFO, vibrato and channel-pressure settings to the bus. */
+export function updateSynthBus(bus, settings, controllers, at) {
+  follow(bus.vibrato.osc.frequency, settings.vibratoRate, at);
+  follow(bus.vibrato.gain.gain, controllers.mod * settings.vibratoDepth, at);
+
+  bus.lfos.forEach((lfo, i) => {
+    const n = i + 1;
+    const target = settings[`lfo${n}Target`];
+    const depth = settings[`lfo${n}Depth`];
+    if (lfo.osc.type !== settings[`lfo${n}Wave`]) lfo.osc.type = settings[`lfo${n}Wave`];
+    follow(lfo.osc.frequency, settings[`lfo${n}Rate`], at);
+
+    const amount = target === 'pitch' ? depth * LFO_PITCH_CENTS
+      : target === 'cutoff' ? depth * LFO_CUTOFF_CENTS
+      : target === 'amp' ? depth / 2
+      : 0;
+    follow(lfo.gain.gain, amount, at);
+
+    // Tremolo swings the gain between 1 − depth and 1
+    const amp = target === 'amp';
+    if (amp !== lfo.ampLinked) {
+      if (amp) lfo.gain.connect(bus.tremolo[i].gain);
+      else lfo.gain.disconnect(bus.tremolo[i].gain);
+      lfo.ampLinked = amp;
+    }
+    follow(bus.tremolo[i].gain, amp ? 1 - depth / 2 : 1, at);
+  });
+
+  const swell = settings.aftertouchTarget === 'volume';
+  follow(bus.expression.gain, swell ? 1 + settings.aftertouchDepth * controllers.channelPressure : 1, at);
+}
+
+/**
+ * Build a voice for `note`. Nothing sounds until triggerVoice; `cutoff` is
+ * remembered so later cutoff changes can be applied relative to it. With a
+ * sampler `zone` (plus its decoded `buffer`) each unison slot plays the
+ * sample instead of the two oscillators. `frequencies` is the active
+ * tuning's Hz per note; without it notes are 12-TET.
+ */
+export function createVoice(ctx, bus, settings, { note, velocity, key, at, zone = null, buffer = null, frequencies = null }) {
+  const count = Math.max(1, Math.round(settings.unison));
+  const filter = ctx.createBiquadFilter();
+  const amp = ctx.createGain();
+  const pressure = ctx.createGain();
+  filter.type = settings.filterType;
+  filter.Q.value = settings.resonance;
+  filter.connect(amp);
+  amp.connect(pressure);
+  pressure.connect(bus.input);
+
+  const oscs = [];
+  const panners = Array.from({ length: count }, (_, i) => {
+    const position = count === 1 ? 0 : (i / (count - 1)) * 2 - 1;   // −1…1 across the stack
+    const spread = position * settings.unisonDetune / 2;
+    let out = filter;
+    let panner = null;
+    if (ctx.createStereoPanner) {
+      panner = ctx.createStereoPanner();
+      panner.pan.value = position * settings.unisonSpread;
+      panner.connect(filter);
+      out = panner;
+    }
+    // `pitch` is the param glides move and `pitchAt(note)` its value for a note
+    const layer = (n, osc, pitch, pitchAt) => {
+      const level = ctx.createGain();
+      pitch.setValueAtTime(pitchAt(note), at);
+      osc.connect(level);
+      level.connect(out);
+      osc.start(at);
+      oscs.push({ osc, level, layer: n, pitch, pitchAt, spread });
+    };
+    const oscillator = (type) => {
+      const osc = ctx.createOscillator();
+      osc.type = type;
+      return osc;
+    };
+    if (zone && buffer) {
+      const source = ctx.createBufferSource();
+      source.buffer = buffer;
+      source.loop = zone.loop;
+      source.loopStart = zone.loopStart;
+      source.loopEnd = zone.loopEnd;
+      layer('sample', source, source.playbackRate, n => (frequencies
+        ? tunedFrequency(n, frequencies) / noteFrequency(zone.root)
+        : playbackRate(zone.root, n)));
+    } else {
+      const ratio2 = Math.pow(2, settings.osc2Octave);
+      const osc1 = oscillator(settings.waveform);
+      const osc2 = oscillator(settings.osc2Wave);
+      layer(1, osc1, osc1.frequency, n => tunedFrequency(n, frequencies));
+      layer(2, osc2, osc2.frequency, n => tunedFrequency(n, frequencies) * ratio2);
+    }
+    return panner;
+  });
+
+  let noise = null;
+  if (settings.noiseLevel > 0) {
+    const source = ctx.createBufferSource();
+    source.buffer = noiseBuffer(ctx);
+    source.loop = true;
+    const level = ctx.createGain();
+    source.connect(level);
+    level.connect(filter);
+    source.start(at);
+    noise = { source, level };
+  }
+
+  return {
+    note,
+    key,
+    // Keep a unison stack about as loud as a single oscillator
+    peak: (velocity / 127) / Math.sqrt(count),
+    cutoff: settings.cutoff,
+    started: false,
+    oscs,
+    panners,
+    noise,
+    filter,
+    amp,
+    pressure,
+    links: [],
+    linkKey: null,
+  };
+}
+
+// Pitch offset of one oscillator: bend + unison spread (+ osc 2 detune)
+const oscCents = (entry, settings, controllers) => (
+  controllers.bend * settings.bendRange * 100
+  + entry.spread
+  + (entry.layer === 2 ? settings.osc2Detune : 0)
+);
+
+// Connect vibrato and pitch/cutoff LFOs to the voice's params
+function linkModulation(voice, bus, settings) {
+  const key = `${settings.lfo1Target}/${settings.lfo2Target}`;
+  if (voice.linkKey === key) return;
+  voice.links.forEach(({ node, param }) => node.disconnect(param));
+  voice.links = [];
+  const link = (node, param) => {
+    node.connect(param);
+    voice.links.push({ node, param });
+  };
+  voice.oscs.forEach(({ osc }) => link(bus.vibrato.gain, osc.detune));
+  bus.lfos.forEach((lfo, i) => {
+    const target = settings[`lfo${i + 1}Target`];
+    if (target === 'pitch') voice.oscs.forEach(({ osc }) => link(lfo.gain, osc.detune));
+    if (target === 'cutoff') link(lfo.gain, voice.filter.detune);
+  });
+  voice.linkKey = key;
+}
+
+/**
+ * Bring a sounding voice in line with the current settings and controllers:
+ * pitch, oscillator mix, noise, filter type/resonance, cutoff (relative to
+ * the cutoff it started with, plus aftertouch) and poly-pressure volume.
+ */
+export function updateVoice(voice, bus, settings, controllers, at) {
+  const immediate = !voice.started;
+  linkModulation(voice, bus, settings);
+  voice.oscs.forEach(entry => {
+    follow(entry.osc.detune, oscCents(entry, settings, controllers), at, { timeConstant: 0.005, immediate });
+    if (entry.layer === 'sample') {
+      follow(entry.level.gain, 1, at, { immediate });
+      return;
+    }
+    const type = entry.layer === 1 ? settings.waveform : settings.osc2Wave;
+    if (entry.osc.type !== type) entry.osc.type = type;
+    follow(entry.level.gain, entry.layer === 1 ? 1 - settings.osc2Mix : settings.osc2Mix, at, { immediate });
+  });
+  if (voice.noise) follow(voice.noise.level.gain, settings.noiseLevel, at, { immediate });
+
+  if (voice.filter.type !== settings.filterType) voice.filter.type = settings.filterType;
+  follow(voice.filter.Q, settings.resonance, at, { immediate });
+  const pressure = Math.max(controllers.channelPressure, controllers.polyPressure[voice.note] || 0);
+  const atCents = settings.aftertouchTarget === 'cutoff'
+    ? 1200 * AFTERTOUCH_OCTAVES * settings.aftertouchDepth * pressure
+    : 0;
+  follow(voice.filter.detune, 1200 * Math.log2(settings.cutoff / voice.cutoff) + atCents, at, { immediate });
+
+  const swell = settings.aftertouchTarget === 'volume';
+  follow(voice.pressure.gain, swell ? 1 + settings.aftertouchDepth * (controllers.polyPressure[voice.note] || 0) : 1, at, { immediate });
+}
+
+/** Start (or restart, from where they are) the amp and filter envelopes. */
+export function triggerVoice(voice, settings, at) {
+  const gain = voice.amp.gain;
+  const freq = voice.filter.frequency;
+  if (voice.started) {
+    holdAt(gain, at);
+    holdAt(freq, at);
+  } else {
+    gain.setValueAtTime(0, at);
+    freq.setValueAtTime(voice.cutoff, at);
+    voice.started = true;
+  }
+  gain.linearRampToValueAtTime(voice.peak, at + settings.attack);
+  gain.linearRampToValueAtTime(voice.peak * settings.sustain, at + settings.attack + settings.decay);
+
+  // Filter envelope: amount in octaves above (or below) the cutoff
+  const amount = settings.filterEnvAmount;
+  if (amount !== 0) {
+    const peak = clampFrequency(voice.cutoff * Math.pow(2, amount));
+    const sustain = clampFrequency(voice.cutoff * Math.pow(2, amount * settings.filterSustain));
+    freq.exponentialRampToValueAtTime(peak, at + Math.max(0.001, settings.filterAttack));
+    freq.exponentialRampToValueAtTime(sustain, at + Math.max(0.001, settings.filterAttack) + Math.max(0.001, settings.filterDecay));
+  }
+}
+
+/** Move every oscillator (or sample) to `note`, gliding over `glide` seconds. */
+export function glideVoice(voice, note, at, glide) {
+  voice.oscs.forEach(({ pitch, pitchAt }) => {
+    const value = pitchAt(note);
+    if (glide > 0) {
+      holdAt(pitch, at);
+      pitch.exponentialRampToValueAtTime(value, at + glide);
+    } else {
+      pitch.cancelScheduledValues(at);
+      pitch.setValueAtTime(value, at);
+    }
+  });
+  voice.note = note;
+}
+
+/**
+ * Fade the voice out over `time` seconds from `at` (the filter envelope
+ * returns to the cutoff over its own release) and stop its sources.
+ * Returns the time everything has stopped.
+ */
+export function releaseVoice(voice, settings, at, time) {
+  holdAt(voice.amp.gain, at);
+  voice.amp.gain.exponentialRampToValueAtTime(0.001, at + time);
+  if (settings.filterEnvAmount !== 0) {
+    holdAt(voice.filter.frequency, at);
+    voice.filter.frequency.exponentialRampToValueAtTime(voice.cutoff, at + Math.max(0.001, Math.min(time, settings.filterRelease)));
+  }
+  const end = at + time + 0.1;   // stop slightly after release to ensure silence
+  voice.oscs.forEach(({ osc }) => osc.stop(end));
+  if (voice.noise) voice.noise.source.stop(end);
+  return end;
+}
+
+/** Disconnect a released voice's nodes once it has stopped. */
+export function disposeVoice(voice) {
+  voice.links.forEach(({ node, param }) => node.disconnect(param));
+  voice.oscs.forEach(({ osc, level }) => {
+    osc.disconnect();
+    level.disconnect();
+  });
+  voice.panners.forEach(panner => { if (panner) panner.disconnect(); });
+  if (voice.noise) {
+    voice.noise.source.disconnect();
+    voice.noise.level.disconnect();
+  }
+  voice.filter.disconnect();
+  voice.amp.disconnect();
+  voice.pressure.disconnect();
+}
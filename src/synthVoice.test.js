@@ -0,0 +1,115 @@
+import { createSynthBus, updateSynthBus, createVoice, updateVoice, triggerVoice, glideVoice, noteFrequency } from './synthVoice';
+import { DEFAULT_SYNTH_SETTINGS } from './SynthEngine';
+
+// Just enough of an AudioContext: every automation call lands on the value
+// at once, so a param reads as where it is heading.
+const param = (value) => ({
+  value,
+  setValueAtTime(v) { this.value = v; },
+  setTargetAtTime(v) { this.value = v; },
+  linearRampToValueAtTime(v) { this.value = v; },
+  exponentialRampToValueAtTime(v) { this.value = v; },
+  cancelScheduledValues() {},
+  cancelAndHoldAtTime() {},
+});
+const node = (params) => ({ connect: jest.fn(), disconnect: jest.fn(), start: jest.fn(), stop: jest.fn(), ...params });
+const fakeContext = () => ({
+  createGain: () => node({ gain: param(1) }),
+  createOscillator: () => node({ type: 'sine', frequency: param(440), detune: param(0) }),
+  createBiquadFilter: () => node({ type: 'lowpass', frequency: param(350), Q: param(1), detune: param(0) }),
+  createStereoPanner: () => node({ pan: param(0) }),
+});
+
+const RESTING = { bend: 0, mod: 0, channelPressure: 0, polyPressure: {} };
+
+const setup = (patch = {}, velocity = 127) => {
+  const ctx = fakeContext();
+  const settings = { ...DEFAULT_SYNTH_SETTINGS, ...patch };
+  const bus = createSynthBus(ctx);
+  const voice = createVoice(ctx, bus, settings, { note: 60, velocity, key: 'KeyJ', at: 0 });
+  return { bus, voice, settings };
+};
+
+describe('pitch bend', () => {
+  test('bends every oscillator by the bend range', () => {
+    const { bus, voice, settings } = setup({ bendRange: 2, osc2Detune: 7 });
+    updateVoice(voice, bus, settings, { ...RESTING, bend: 1 }, 0);
+    expect(voice.oscs.map(o => o.osc.detune.value)).toEqual([200, 207]);
+    updateVoice(voice, bus, { ...settings, bendRange: 12 }, { ...RESTING, bend: -0.5 }, 0);
+    expect(voice.oscs.map(o => o.osc.detune.value)).toEqual([-600, -593]);
+  });
+});
+
+describe('mod wheel', () => {
+  test('sets the vibrato depth, which every oscillator follows', () => {
+    const { bus, voice, settings } = setup({ vibratoDepth: 50, vibratoRate: 6 });
+    updateSynthBus(bus, settings, { ...RESTING, mod: 0.5 }, 0);
+    updateVoice(voice, bus, settings, RESTING, 0);
+    expect(bus.vibrato.gain.gain.value).toBe(25);
+    expect(bus.vibrato.osc.frequency.value).toBe(6);
+    voice.oscs.forEach(({ osc }) => expect(bus.vibrato.gain.connect).toHaveBeenCalledWith(osc.detune));
+    updateSynthBus(bus, settings, RESTING, 0);
+    expect(bus.vibrato.gain.gain.value).toBe(0);
+  });
+});
+
+describe('aftertouch', () => {
+  test('opens the filter, the stronger of channel and poly pressure winning', () => {
+    const { bus, voice, settings } = setup({ aftertouchTarget: 'cutoff', aftertouchDepth: 0.5 });
+    updateVoice(voice, bus, settings, { ...RESTING, channelPressure: 0.5 }, 0);
+    expect(voice.filter.detune.value).toBeCloseTo(900, 6);   // 3 octaves × 0.5 × 0.5
+    updateVoice(voice, bus, settings, { ...RESTING, channelPressure: 0.5, polyPressure: { 60: 1 } }, 0);
+    expect(voice.filter.detune.value).toBeCloseTo(1800, 6);
+    // Pressure on another note leaves this one alone
+    updateVoice(voice, bus, settings, { ...RESTING, polyPressure: { 61: 1 } }, 0);
+    expect(voice.filter.detune.value).toBeCloseTo(0, 6);
+    expect(voice.pressure.gain.value).toBe(1);
+  });
+
+  test('swells the volume: channel pressure on the bus, poly pressure on its voice', () => {
+    const { bus, voice, settings } = setup({ aftertouchTarget: 'volume', aftertouchDepth: 0.5 });
+    updateSynthBus(bus, settings, { ...RESTING, channelPressure: 1 }, 0);
+    updateVoice(voice, bus, settings, { ...RESTING, channelPressure: 1, polyPressure: { 60: 0.5 } }, 0);
+    expect(bus.expression.gain.value).toBe(1.5);
+    expect(voice.pressure.gain.value).toBe(1.25);
+    expect(voice.filter.detune.value).toBeCloseTo(0, 6);
+  });
+
+  test('does nothing when switched off', () => {
+    const { bus, voice, settings } = setup({ aftertouchTarget: 'none', aftertouchDepth: 1 });
+    updateSynthBus(bus, settings, { ...RESTING, channelPressure: 1 }, 0);
+    updateVoice(voice, bus, settings, { ...RESTING, channelPressure: 1, polyPressure: { 60: 1 } }, 0);
+    expect(bus.expression.gain.value).toBe(1);
+    expect(voice.pressure.gain.value).toBe(1);
+    expect(voice.filter.detune.value).toBeCloseTo(0, 6);
+  });
+});
+
+describe('unison', () => {
+  test('spreads the stack evenly in pitch and across the stereo field', () => {
+    const { bus, voice, settings } = setup({ unison: 3, unisonDetune: 10, unisonSpread: 0.5, osc2Detune: 0 });
+    updateVoice(voice, bus, settings, RESTING, 0);
+    expect(voice.panners.map(p => p.pan.value)).toEqual([-0.5, 0, 0.5]);
+    // Two oscillators per unison slot
+    expect(voice.oscs.map(o => o.osc.detune.value)).toEqual([-5, -5, 0, 0, 5, 5]);
+  });
+
+  test('keeps a stack about as loud as a single voice', () => {
+    const single = setup({ unison: 1 }).voice;
+    const stack = setup({ unison: 4 }).voice;
+    expect(single.peak).toBe(1);
+    expect(stack.peak).toBe(0.5);
+    const { voice, settings } = setup({ unison: 4, attack: 0.01, decay: 0.1, sustain: 0.5 });
+    triggerVoice(voice, settings, 0);
+    expect(voice.amp.gain.value).toBe(0.25);
+  });
+});
+
+test('glide moves every oscillator to the new note, keeping osc 2 in its octave', () => {
+  const { voice } = setup({ unison: 2, osc2Octave: -1 });
+  glideVoice(voice, 72, 0, 0.1);
+  expect(voice.note).toBe(72);
+  expect(voice.oscs.map(o => o.pitch.value)).toEqual([
+    noteFrequency(72), noteFrequency(72) / 2, noteFrequency(72), noteFrequency(72) / 2,
+  ]);
+});
@@ -0,0 +1,190 @@
+// Tunings — Scala scale (.scl) and keyboard mapping (.kbm) files turned into
+// a frequency for every MIDI note, plus the two ways of carrying that tuning
+// to external instruments: MIDI Tuning Standard SysEx, or per-note pitch bend
+// on rotating channels.
+
+export const DEFAULT_TUNING = {
+  scl: null,             // .scl file text; null = 12-tone equal temperament
+  kbm: null,             // .kbm file text; null = linear mapping from middle C
+  referencePitch: 440,   // Hz of the reference note
+  referenceNote: 69,
+  output: 'none',        // MIDI out: 'none' (12-TET) | 'mts' | 'bend'
+  bendRange: 2,          // semitones the receiving synth's pitch bend covers
+  channelLow: 2,         // channels the pitch-bend mode rotates through
+  channelHigh: 16,
+};
+
+const EQUAL_SCL = '! 12-TET\n12-tone equal temperament\n12\n!\n' + Array.from({ length: 12 }, (_, i) => `${(i + 1) * 100}.0`).join('\n');
+
+// Scala lines starting with '!' are comments; blank lines only count as data
+// in the description
+const dataLines = (text) => String(text).split(/\r?\n/).filter(line => !line.trim().startsWith('!'));
+
+// A pitch line: cents if it has a '.', else a ratio "a/b" or an integer
+const parsePitch = (line) => {
+  const token = line.trim().split(/\s+/)[0];
+  if (!token) return NaN;
+  if (token.includes('.')) return Number(token);
+  const [num, den = '1'] = token.split('/');
+  const ratio = Number(num) / Number(den);
+  return ratio > 0 ? 1200 * Math.log2(ratio) : NaN;
+};
+
+/**
+ * Parse a Scala .scl file. Returns { description, cents } where `cents` lists
+ * each degree above the unison, the last being the period (usually 1200), or
+ * null when the file is malformed.
+ */
+export function parseScl(text) {
+  const lines = dataLines(text);
+  if (lines.length < 2) return null;
+  const description = lines[0].trim();
+  const count = parseInt(lines[1], 10);
+  if (!Number.isInteger(count) || count < 1) return null;
+  const cents = lines.slice(2).filter(l => l.trim()).slice(0, count).map(parsePitch);
+  if (cents.length !== count || cents.some(c => !Number.isFinite(c))) return null;
+  return { description, cents };
+}
+
+/**
+ * Parse a Scala .kbm keyboard mapping. Returns { size, first, last, middle,
+ * referenceNote, referencePitch, octaveDegree, mapping } where `mapping`
+ * holds a scale degree, or null for an unmapped key, per key of the pattern;
+ * null when the file is malformed.
+ */
+export function parseKbm(text) {
+  const lines = dataLines(text).map(l => l.trim()).filter(Boolean);
+  if (lines.length < 7) return null;
+  const [size, first, last, middle, referenceNote] = lines.slice(0, 5).map(l => parseInt(l, 10));
+  const referencePitch = Number(lines[5].split(/\s+/)[0]);
+  const octaveDegree = parseInt(lines[6], 10);
+  if ([size, first, last, middle, referenceNote, octaveDegree].some(n => !Number.isInteger(n)) || !(referencePitch > 0) || size < 0) return null;
+  const mapping = Array.from({ length: size }, (_, i) => {
+    const entry = lines[7 + i];
+    if (entry === undefined || entry.startsWith('x')) return null;
+    const degree = parseInt(entry, 10);
+    return Number.isInteger(degree) ? degree : null;
+  });
+  return { size, first, last, middle, referenceNote, referencePitch, octaveDegree, mapping };
+}
+
+const mod = (n, m) => ((n % m) + m) % m;
+
+/**
+ * Build the active tuning from the stored settings. Returns { name, degrees,
+ * frequencies, rootKey, scale }: `frequencies[note]` is Hz or null for an
+ * unmapped key, and `scale` is the keys of one period as scaleStepNote takes
+ * them (last entry = keys per period), with `rootKey` where it starts.
+ * Malformed files fall back to equal temperament and are reported in `error`.
+ */
+export function buildTuning({ scl, kbm, referencePitch, referenceNote }) {
+  let error = null;
+  let parsed = scl ? parseScl(scl) : null;
+  if (scl && !parsed) error = 'Could not read the .scl file';
+  const equal = !parsed;
+  if (!parsed) parsed = parseScl(EQUAL_SCL);
+  let map = kbm ? parseKbm(kbm) : null;
+  if (kbm && !map) error = 'Could not read the .kbm file';
+
+  const { cents } = parsed;
+  const n = cents.length;
+  const period = cents[n - 1];
+  const degreeCents = (d) => Math.floor(d / n) * period + (mod(d, n) === 0 ? 0 : cents[mod(d, n) - 1]);
+
+  // Without a mapping (or with a linear one) consecutive keys walk consecutive degrees
+  const linear = !map || map.size === 0;
+  const middle = map ? map.middle : 60;
+  const keyCents = (key) => {
+    const offset = key - middle;
+    if (linear) return degreeCents(offset);
+    const degree = map.mapping[mod(offset, map.size)];
+    if (degree === null) return null;
+    return Math.floor(offset / map.size) * degreeCents(map.octaveDegree) + degreeCents(degree);
+  };
+
+  const refCents = keyCents(referenceNote);
+  const frequencies = Array.from({ length: 128 }, (_, key) => {
+    const c = keyCents(key);
+    if (c === null || refCents === null) return null;
+    if (map && !linear && (key < map.first || key > map.last)) return null;
+    return referencePitch * Math.pow(2, (c - refCents) / 1200);
+  });
+
+  const keysPerPeriod = linear ? n : map.size;
+  const scale = [];
+  for (let i = 0; i < keysPerPeriod; i++) if (linear || map.mapping[i] !== null) scale.push(i);
+  scale.push(keysPerPeriod);
+
+  return {
+    name: equal ? '12-TET' : (parsed.description || `${n}-note scale`),
+    degrees: n,
+    frequencies,
+    rootKey: mod(middle, keysPerPeriod),
+    scale,
+    equal: equal && linear && referenceNote === 69 && referencePitch === 440,
+    error,
+  };
+}
+
+// A frequency as a fractional MIDI note number in 12-TET at A4 = 440 Hz
+const exactNote = (freq) => 69 + 12 * Math.log2(freq / 440);
+
+/**
+ * MTS real-time Single Note Tuning Change messages retuning all 128 keys of
+ * tuning program 0 to `frequencies` (at most 64 keys per message).
+ */
+export function mtsMessages(frequencies) {
+  const entries = frequencies.map((freq, key) => {
+    if (!freq) return [key, 0x7F, 0x7F, 0x7F];   // no change
+    const exact = Math.max(0, Math.min(127.99993, exactNote(freq)));
+    let semitone = Math.floor(exact);
+    let fraction = Math.round((exact - semitone) * 16384);
+    if (fraction === 16384) { semitone += 1; fraction = 0; }
+    return [key, semitone, (fraction >> 7) & 0x7F, fraction & 0x7F];
+  });
+  const messages = [];
+  for (let i = 0; i < entries.length; i += 64) {
+    const chunk = entries.slice(i, i + 64);
+    messages.push([0xF0, 0x7F, 0x7F, 0x08, 0x02, 0x00, chunk.length, ...chunk.flat(), 0xF7]);
+  }
+  return messages;
+}
+
+/**
+ * The nearest 12-TET note to `freq` and the 14-bit pitch bend (0–16383)
+ * that reaches it with a bend range of `range` semitones.
+ */
+export function bendFor(freq, range) {
+  const exact = exactNote(freq);
+  const note = Math.max(0, Math.min(127, Math.round(exact)));
+  const bend = Math.round(8192 + ((exact - note) / range) * 8192);
+  return { note, bend: Math.max(0, Math.min(16383, bend)) };
+}
+
+/**
+ * Hands out channels (0-based) from `low`…`high` in turn, skipping ones
+ * still holding a note while any are free, so each note can have its own bend.
+ */
+export function createChannelRotator(low, high) {
+  const busy = new Map();   // channel → notes holding it
+  let next = low;
+  return {
+    take() {
+      const count = high - low + 1;
+      let channel = next;
+      for (let i = 0; i < count; i++) {
+        const candidate = low + mod(next - low + i, count);
+        if (!busy.get(candidate)) { channel = candidate; break; }
+      }
+      next = low + mod(channel - low + 1, count);
+      busy.set(channel, (busy.get(channel) || 0) + 1);
+      return channel;
+    },
+    release(channel) {
+      const held = (busy.get(channel) || 0) - 1;
+      if (held > 0) busy.set(channel, held);
+      else busy.delete(channel);
+    },
+    matches: (l, h) => l === low && h === high,
+  };
+}
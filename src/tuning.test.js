@@ -0,0 +1,143 @@
+import { DEFAULT_TUNING, parseScl, parseKbm, buildTuning, mtsMessages, bendFor, createChannelRotator } from './tuning';
+
+const MEANTONE_SCL = `! meantone.scl
+!
+Quarter-comma meantone (excerpt)
+ 3
+!
+ 193.157
+ 5/4 major third
+ 2
+`;
+
+const edoScl = (n) => [`! ${n}-edo.scl`, `${n}-tone equal temperament`, n, ...Array.from({ length: n }, (_, i) => `${((i + 1) * 1200 / n).toFixed(5)}`)].join('\n');
+
+// White keys only: the black keys are left unmapped
+const WHITE_KBM = `! white.kbm
+12
+0
+127
+60
+69
+440.0
+12
+! mapping
+0
+x
+2
+x
+4
+5
+x
+7
+x
+9
+x
+11
+`;
+
+describe('Scala files', () => {
+  test('.scl pitches in cents, ratios and integers, skipping comments', () => {
+    const { description, cents } = parseScl(MEANTONE_SCL);
+    expect(description).toBe('Quarter-comma meantone (excerpt)');
+    expect(cents[0]).toBeCloseTo(193.157, 6);
+    expect(cents[1]).toBeCloseTo(386.3137, 4);
+    expect(cents[2]).toBe(1200);
+  });
+
+  test('.scl files with the wrong count or unreadable pitches are rejected', () => {
+    expect(parseScl('x\n4\n100.0\n200.0\n')).toBeNull();
+    expect(parseScl('x\n2\n100.0\nabc\n')).toBeNull();
+    expect(parseScl('x\n0\n')).toBeNull();
+    expect(parseScl('')).toBeNull();
+  });
+
+  test('.kbm mapping with unmapped keys', () => {
+    expect(parseKbm(WHITE_KBM)).toEqual({
+      size: 12, first: 0, last: 127, middle: 60, referenceNote: 69, referencePitch: 440, octaveDegree: 12,
+      mapping: [0, null, 2, null, 4, 5, null, 7, null, 9, null, 11],
+    });
+    expect(parseKbm('12\n0\n127\n60\n69\n')).toBeNull();
+    expect(parseKbm('12\n0\n127\n60\n69\n-440\n12\n')).toBeNull();
+  });
+});
+
+describe('buildTuning', () => {
+  test('defaults to 12-TET at A4 = 440 Hz', () => {
+    const tuning = buildTuning(DEFAULT_TUNING);
+    expect(tuning.name).toBe('12-TET');
+    expect(tuning.equal).toBe(true);
+    expect(tuning.frequencies[69]).toBeCloseTo(440, 9);
+    expect(tuning.frequencies[60]).toBeCloseTo(261.6256, 4);
+    expect(tuning.scale).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+    expect(tuning.rootKey).toBe(0);
+  });
+
+  test('a linear 19-note scale puts a degree on every key', () => {
+    const tuning = buildTuning({ ...DEFAULT_TUNING, scl: edoScl(19) });
+    expect(tuning.name).toBe('19-tone equal temperament');
+    expect(tuning.equal).toBe(false);
+    expect(tuning.frequencies[69]).toBeCloseTo(440, 9);
+    expect(tuning.frequencies[70] / tuning.frequencies[69]).toBeCloseTo(2 ** (1 / 19), 6);
+    expect(tuning.frequencies[88]).toBeCloseTo(880, 6);
+    expect(tuning.scale).toHaveLength(20);
+    expect(tuning.scale[19]).toBe(19);
+    expect(tuning.rootKey).toBe(60 % 19);
+  });
+
+  test('a keyboard mapping leaves unmapped keys silent and the scale skips them', () => {
+    const tuning = buildTuning({ ...DEFAULT_TUNING, kbm: WHITE_KBM });
+    expect(tuning.frequencies[61]).toBeNull();
+    expect(tuning.frequencies[60]).toBeCloseTo(261.6256, 4);
+    expect(tuning.frequencies[72]).toBeCloseTo(523.2511, 4);
+    expect(tuning.scale).toEqual([0, 2, 4, 5, 7, 9, 11, 12]);
+  });
+
+  test('reference pitch moves every key; unreadable files fall back with an error', () => {
+    expect(buildTuning({ ...DEFAULT_TUNING, referencePitch: 432 }).frequencies[69]).toBeCloseTo(432, 9);
+    const broken = buildTuning({ ...DEFAULT_TUNING, scl: 'nonsense' });
+    expect(broken.error).toBe('Could not read the .scl file');
+    expect(broken.name).toBe('12-TET');
+    expect(buildTuning({ ...DEFAULT_TUNING, kbm: '1' }).error).toBe('Could not read the .kbm file');
+  });
+});
+
+describe('sending the tuning', () => {
+  test('MTS single note tuning change: header, 64 keys a message, semitone and 14-bit fraction', () => {
+    const frequencies = buildTuning(DEFAULT_TUNING).frequencies.slice();
+    frequencies[60] = 440 * 2 ** (0.5 / 12);   // a quarter tone above A4
+    frequencies[61] = null;
+    const messages = mtsMessages(frequencies);
+    expect(messages).toHaveLength(2);
+    messages.forEach((msg, i) => {
+      expect(msg.slice(0, 7)).toEqual([0xF0, 0x7F, 0x7F, 0x08, 0x02, 0x00, 64]);
+      expect(msg).toHaveLength(7 + 64 * 4 + 1);
+      expect(msg[msg.length - 1]).toBe(0xF7);
+      expect(msg.slice(7, 8)).toEqual([i * 64]);
+    });
+    const entry = (key) => messages[key >> 6].slice(7 + (key % 64) * 4, 11 + (key % 64) * 4);
+    expect(entry(69)).toEqual([69, 69, 0, 0]);
+    expect(entry(60)).toEqual([60, 69, 0x40, 0x00]);
+    expect(entry(61)).toEqual([61, 0x7F, 0x7F, 0x7F]);
+    expect(entry(0)).toEqual([0, 0, 0, 0]);
+  });
+
+  test('pitch bend reaches the nearest note plus the remainder', () => {
+    expect(bendFor(440, 2)).toEqual({ note: 69, bend: 8192 });
+    expect(bendFor(440 * 2 ** (0.25 / 12), 2)).toEqual({ note: 69, bend: 9216 });
+    expect(bendFor(440 * 2 ** (-0.25 / 12), 12)).toEqual({ note: 69, bend: 8021 });
+  });
+
+  test('channel rotator hands out free channels in turn', () => {
+    const rotator = createChannelRotator(1, 3);
+    const a = rotator.take();
+    const b = rotator.take();
+    expect([a, b]).toEqual([1, 2]);
+    rotator.release(a);
+    expect(rotator.take()).toBe(3);
+    expect(rotator.take()).toBe(1);
+    // All busy: carries on in turn
+    expect(rotator.take()).toBe(2);
+    expect(rotator.matches(1, 3)).toBe(true);
+  });
+});